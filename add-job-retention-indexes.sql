@@ -0,0 +1,4 @@
+-- Completed and dead jobs are deleted once they are past their retention
+-- period (see purgeFinishedJobs in src/job-queue.js)
+CREATE INDEX IF NOT EXISTS idx_jobs_completed_at ON jobs(completed_at) WHERE status = 'completed';
+CREATE INDEX IF NOT EXISTS idx_jobs_dead_updated_at ON jobs(updated_at) WHERE status = 'dead';
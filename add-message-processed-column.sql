@@ -0,0 +1,8 @@
+-- When a stored message went through classification, rules and drafts. Rows
+-- are stored before that runs; a sync that finds one without processed_at
+-- processes it again (see src/gmail-sync.js).
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS processed_at TIMESTAMPTZ;
+
+-- Messages stored before this column existed were handled when they arrived
+UPDATE messages SET processed_at = created_at WHERE processed_at IS NULL;
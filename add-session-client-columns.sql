@@ -0,0 +1,4 @@
+-- Client details shown on the active sessions list
+ALTER TABLE sessions
+ADD COLUMN IF NOT EXISTS ip TEXT,
+ADD COLUMN IF NOT EXISTS user_agent TEXT;
@@ -0,0 +1,12 @@
+-- Columns used by the session store (src/session-store.js). The token column
+-- holds a SHA-256 hash of the session id, data the serialized session.
+ALTER TABLE sessions
+ADD COLUMN IF NOT EXISTS data JSONB NOT NULL DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMPTZ DEFAULT NOW();
+
+-- Expiry is compared against ISO timestamps with a UTC offset
+ALTER TABLE sessions
+ALTER COLUMN expires_at TYPE TIMESTAMPTZ USING expires_at AT TIME ZONE 'UTC',
+ALTER COLUMN created_at TYPE TIMESTAMPTZ USING created_at AT TIME ZONE 'UTC';
+
+CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions(expires_at);
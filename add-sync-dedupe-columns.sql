@@ -0,0 +1,7 @@
+-- Deduplicate Pub/Sub redeliveries and serialize mailbox syncs per user
+ALTER TABLE jobs
+ADD COLUMN IF NOT EXISTS dedupe_key TEXT UNIQUE;
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS sync_locked_by TEXT,
+ADD COLUMN IF NOT EXISTS sync_locked_until TIMESTAMP;
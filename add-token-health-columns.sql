@@ -0,0 +1,7 @@
+-- Set when Google rejects a user's refresh token; cleared when they sign in again
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS needs_reauth BOOLEAN DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS needs_reauth_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS needs_reauth_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_users_needs_reauth ON users(needs_reauth) WHERE needs_reauth;
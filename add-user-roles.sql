@@ -0,0 +1,7 @@
+-- Admin roles (see src/roles.js). Users without a role have no access to /admin.
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS role TEXT CHECK (role IN ('owner', 'admin', 'support', 'viewer')),
+ADD COLUMN IF NOT EXISTS role_granted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS role_granted_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role) WHERE role IS NOT NULL;
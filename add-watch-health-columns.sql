@@ -0,0 +1,9 @@
+-- Watch health shown on /admin (see src/watch-health.js): when Gmail last
+-- pushed a notification for the account and the newest history id it named,
+-- and the outcome of the last sync
+ALTER TABLE mail_accounts
+ADD COLUMN IF NOT EXISTS last_notification_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS last_notification_history_id TEXT,
+ADD COLUMN IF NOT EXISTS last_synced_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS last_sync_error TEXT,
+ADD COLUMN IF NOT EXISTS last_sync_error_at TIMESTAMPTZ;
@@ -0,0 +1,7 @@
+-- Columns used by the Gmail watch renewal scheduler
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS gmail_watch_renewed_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS gmail_watch_renewal_error TEXT,
+ADD COLUMN IF NOT EXISTS gmail_watch_renewal_failed_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_users_watch_expiration ON users(gmail_watch_expiration) WHERE gmail_watch_enabled = TRUE;
@@ -0,0 +1,9 @@
+-- A reply_drafts row is inserted as 'drafting' before its Gmail draft exists
+-- and only gets gmail_draft_id once the draft is created (see createReplyDraft
+-- in src/reply-drafts.js), so retried messages never leave a second draft
+ALTER TABLE reply_drafts
+ALTER COLUMN gmail_draft_id DROP NOT NULL;
+
+ALTER TABLE reply_drafts DROP CONSTRAINT IF EXISTS reply_drafts_status_check;
+ALTER TABLE reply_drafts
+ADD CONSTRAINT reply_drafts_status_check CHECK (status IN ('drafting', 'pending', 'sent', 'discarded'));
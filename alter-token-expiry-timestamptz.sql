@@ -0,0 +1,4 @@
+-- token_expiry has always been written as UTC; store it with its zone so it
+-- reads back unambiguously
+ALTER TABLE users
+ALTER COLUMN token_expiry TYPE TIMESTAMPTZ USING token_expiry AT TIME ZONE 'UTC';
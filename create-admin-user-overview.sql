@@ -0,0 +1,30 @@
+-- One row per user with their mail account state rolled up, for the admin
+-- users table (GET /api/admin/users). Filtering, sorting and paging happen in
+-- the database instead of on the whole users table in memory.
+CREATE OR REPLACE VIEW admin_user_overview
+WITH (security_invoker = true) AS
+SELECT
+  u.id,
+  u.email,
+  u.name,
+  u.picture,
+  u.is_active,
+  u.role,
+  u.created_at,
+  u.last_login,
+  lower(u.email || ' ' || COALESCE(u.name, '')) AS search_text,
+  COALESCE(a.mail_account_count, 0) AS mail_account_count,
+  COALESCE(a.watch_enabled, FALSE) AS watch_enabled,
+  COALESCE(a.needs_reauth, FALSE) AS needs_reauth
+FROM users u
+LEFT JOIN LATERAL (
+  SELECT
+    COUNT(*) AS mail_account_count,
+    bool_or(gmail_watch_enabled) AS watch_enabled,
+    bool_or(needs_reauth) AS needs_reauth
+  FROM mail_accounts
+  WHERE mail_accounts.user_id = u.id
+) a ON TRUE;
+
+CREATE INDEX IF NOT EXISTS idx_users_created_at ON users(created_at, id);
+CREATE INDEX IF NOT EXISTS idx_users_last_login ON users(last_login, id);
@@ -0,0 +1,30 @@
+-- Append-only audit log of every change the server makes to a user's mailbox
+CREATE TABLE IF NOT EXISTS agent_actions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  gmail_message_id TEXT NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('modify', 'trash', 'untrash')),
+  trigger_type TEXT NOT NULL CHECK (trigger_type IN ('rule', 'manual', 'api')),
+  rule_id UUID,
+  rule_name TEXT,
+  actor TEXT,
+  undo_of UUID REFERENCES agent_actions(id),
+  labels_before TEXT[] NOT NULL DEFAULT '{}',
+  labels_after TEXT[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_agent_actions_user_id ON agent_actions(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_agent_actions_undo_of ON agent_actions(undo_of);
+
+-- Entries can never be edited
+CREATE OR REPLACE FUNCTION prevent_agent_actions_update() RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'agent_actions is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS agent_actions_append_only ON agent_actions;
+CREATE TRIGGER agent_actions_append_only
+  BEFORE UPDATE ON agent_actions
+  FOR EACH ROW EXECUTE FUNCTION prevent_agent_actions_update();
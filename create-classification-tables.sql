@@ -0,0 +1,24 @@
+-- Per-user settings for mail classification
+CREATE TABLE IF NOT EXISTS classification_settings (
+  user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  enabled BOOLEAN DEFAULT TRUE,
+  mirror_labels BOOLEAN DEFAULT FALSE,
+  label_prefix TEXT DEFAULT 'Agent',
+  min_confidence REAL DEFAULT 0.5,
+  categories JSONB NOT NULL DEFAULT '[]',
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Classification results, stored next to the message
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS category TEXT,
+ADD COLUMN IF NOT EXISTS category_confidence REAL,
+ADD COLUMN IF NOT EXISTS classification_provider TEXT,
+ADD COLUMN IF NOT EXISTS classified_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_messages_category ON messages(user_id, category);
+
+-- Label changes made by the classifier are logged like rule actions
+ALTER TABLE agent_actions DROP CONSTRAINT IF EXISTS agent_actions_trigger_type_check;
+ALTER TABLE agent_actions ADD CONSTRAINT agent_actions_trigger_type_check
+  CHECK (trigger_type IN ('rule', 'classifier', 'manual', 'api'));
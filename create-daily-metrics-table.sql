@@ -0,0 +1,39 @@
+-- Daily activity counts for the charts on /admin (see src/admin-analytics.js).
+-- One row per UTC day and metric, incremented as events happen.
+CREATE TABLE IF NOT EXISTS daily_metrics (
+  day DATE NOT NULL,
+  metric TEXT NOT NULL,
+  value BIGINT NOT NULL DEFAULT 0,
+  PRIMARY KEY (day, metric)
+);
+
+-- Atomic increment, so concurrent requests and server instances never lose a count
+CREATE OR REPLACE FUNCTION increment_daily_metric(p_metric TEXT, p_amount BIGINT DEFAULT 1)
+RETURNS VOID AS $$
+  INSERT INTO daily_metrics (day, metric, value)
+  VALUES ((NOW() AT TIME ZONE 'UTC')::DATE, p_metric, p_amount)
+  ON CONFLICT (day, metric) DO UPDATE SET value = daily_metrics.value + EXCLUDED.value;
+$$ LANGUAGE sql;
+
+-- Only the roles the server connects as count events: src/server.js uses
+-- SUPABASE_ANON_KEY (anon), the scripts SUPABASE_SERVICE_ROLE_KEY
+REVOKE EXECUTE ON FUNCTION increment_daily_metric(TEXT, BIGINT) FROM PUBLIC, authenticated;
+GRANT EXECUTE ON FUNCTION increment_daily_metric(TEXT, BIGINT) TO anon, service_role;
+
+-- Backfill the days before today from what is already stored. Sign-ins before
+-- this point can't be recovered (users only keeps the last one), and users
+-- deleted since are missing from the counts. Rows that already exist are kept,
+-- so running this again changes nothing.
+INSERT INTO daily_metrics (day, metric, value)
+SELECT created_at::DATE, 'signups', COUNT(*) FROM users
+WHERE created_at < CURRENT_DATE GROUP BY 1
+UNION ALL
+SELECT created_at::DATE, 'notifications', COUNT(*) FROM jobs
+WHERE type = 'gmail_notification' AND created_at < CURRENT_DATE GROUP BY 1
+UNION ALL
+SELECT created_at::DATE, 'messages_processed', COUNT(*) FROM messages
+WHERE created_at < CURRENT_DATE GROUP BY 1
+UNION ALL
+SELECT created_at::DATE, 'rule_actions', COUNT(*) FROM agent_actions
+WHERE trigger_type = 'rule' AND created_at < CURRENT_DATE GROUP BY 1
+ON CONFLICT (day, metric) DO NOTHING;
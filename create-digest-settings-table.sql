@@ -0,0 +1,17 @@
+-- Per-user digest schedule and delivery. Times are TIMESTAMPTZ because the
+-- schedule is evaluated in each user's own timezone.
+CREATE TABLE IF NOT EXISTS digest_settings (
+  user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  frequency TEXT NOT NULL DEFAULT 'off' CHECK (frequency IN ('off', 'daily', 'weekly')),
+  send_hour INTEGER NOT NULL DEFAULT 8 CHECK (send_hour BETWEEN 0 AND 23),
+  weekday INTEGER NOT NULL DEFAULT 1 CHECK (weekday BETWEEN 0 AND 6),
+  timezone TEXT NOT NULL DEFAULT 'UTC',
+  delivery TEXT NOT NULL DEFAULT 'mailbox' CHECK (delivery IN ('mailbox', 'webhook')),
+  webhook_url TEXT,
+  unanswered_hours INTEGER NOT NULL DEFAULT 48,
+  last_sent_at TIMESTAMPTZ,
+  last_period_end TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_digest_settings_frequency ON digest_settings(frequency);
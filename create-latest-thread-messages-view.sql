@@ -0,0 +1,20 @@
+-- The latest stored message of every thread, per mail account, for the
+-- "Waiting for a reply" section of digests (see src/digest.js). Messages
+-- without a thread id are threads of their own.
+CREATE OR REPLACE VIEW latest_thread_messages
+WITH (security_invoker = true) AS
+SELECT DISTINCT ON (user_id, mail_account_id, COALESCE(thread_id, gmail_message_id))
+  user_id,
+  mail_account_id,
+  gmail_message_id,
+  thread_id,
+  from_address,
+  subject,
+  sent_at,
+  label_ids,
+  category
+FROM messages
+ORDER BY user_id, mail_account_id, COALESCE(thread_id, gmail_message_id), sent_at DESC;
+
+CREATE INDEX IF NOT EXISTS idx_messages_thread_latest
+ON messages(user_id, mail_account_id, COALESCE(thread_id, gmail_message_id), sent_at DESC);
@@ -0,0 +1,89 @@
+-- Gmail mailboxes connected by each user. The Google account a user signs in
+-- with is their primary mail account; more can be linked from the dashboard.
+-- Tokens, watch state and the sync checkpoint live here instead of on users.
+CREATE TABLE IF NOT EXISTS mail_accounts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  google_id TEXT UNIQUE NOT NULL,
+  email TEXT UNIQUE NOT NULL,
+  is_primary BOOLEAN NOT NULL DEFAULT FALSE,
+  access_token TEXT,
+  refresh_token TEXT,
+  token_expiry TIMESTAMPTZ,
+  needs_reauth BOOLEAN DEFAULT FALSE,
+  needs_reauth_at TIMESTAMPTZ,
+  needs_reauth_reason TEXT,
+  gmail_watch_enabled BOOLEAN DEFAULT FALSE,
+  gmail_watch_expiration BIGINT,
+  gmail_watch_renewed_at TIMESTAMP,
+  gmail_watch_renewal_error TEXT,
+  gmail_watch_renewal_failed_at TIMESTAMP,
+  gmail_history_id TEXT,
+  sync_locked_by TEXT,
+  sync_locked_until TIMESTAMP,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_mail_accounts_user_id ON mail_accounts(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_mail_accounts_primary ON mail_accounts(user_id) WHERE is_primary;
+CREATE INDEX IF NOT EXISTS idx_mail_accounts_watch_expiration ON mail_accounts(gmail_watch_expiration) WHERE gmail_watch_enabled = TRUE;
+CREATE INDEX IF NOT EXISTS idx_mail_accounts_needs_reauth ON mail_accounts(needs_reauth) WHERE needs_reauth;
+
+-- Every existing user's mailbox becomes their primary account
+INSERT INTO mail_accounts (
+  user_id, google_id, email, is_primary, access_token, refresh_token, token_expiry,
+  needs_reauth, needs_reauth_at, needs_reauth_reason,
+  gmail_watch_enabled, gmail_watch_expiration, gmail_watch_renewed_at,
+  gmail_watch_renewal_error, gmail_watch_renewal_failed_at, gmail_history_id
+)
+SELECT
+  id, google_id, email, TRUE, access_token, refresh_token, token_expiry,
+  COALESCE(needs_reauth, FALSE), needs_reauth_at, needs_reauth_reason,
+  COALESCE(gmail_watch_enabled, FALSE), gmail_watch_expiration, gmail_watch_renewed_at,
+  gmail_watch_renewal_error, gmail_watch_renewal_failed_at, gmail_history_id
+FROM users
+ON CONFLICT (google_id) DO NOTHING;
+
+-- Nothing reads the tokens on users anymore, so don't leave a second copy of
+-- them there once the mailbox has its own
+UPDATE users u
+SET access_token = NULL, refresh_token = NULL
+WHERE (u.access_token IS NOT NULL OR u.refresh_token IS NOT NULL)
+  AND EXISTS (SELECT 1 FROM mail_accounts a WHERE a.google_id = u.google_id);
+
+-- Stored messages, drafts and activity belong to the mailbox they came from
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS mail_account_id UUID REFERENCES mail_accounts(id) ON DELETE CASCADE;
+
+UPDATE messages m
+SET mail_account_id = a.id
+FROM mail_accounts a
+WHERE a.user_id = m.user_id AND a.is_primary AND m.mail_account_id IS NULL;
+
+-- Gmail message ids are only unique within one mailbox
+ALTER TABLE messages DROP CONSTRAINT IF EXISTS messages_user_id_gmail_message_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_messages_account_message ON messages(mail_account_id, gmail_message_id);
+
+ALTER TABLE reply_drafts
+ADD COLUMN IF NOT EXISTS mail_account_id UUID REFERENCES mail_accounts(id) ON DELETE CASCADE;
+
+UPDATE reply_drafts d
+SET mail_account_id = a.id
+FROM mail_accounts a
+WHERE a.user_id = d.user_id AND a.is_primary AND d.mail_account_id IS NULL;
+
+ALTER TABLE reply_drafts DROP CONSTRAINT IF EXISTS reply_drafts_user_id_gmail_message_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reply_drafts_account_message ON reply_drafts(mail_account_id, gmail_message_id);
+
+-- No foreign key: the activity log outlives accounts that are disconnected
+ALTER TABLE agent_actions
+ADD COLUMN IF NOT EXISTS mail_account_id UUID;
+
+ALTER TABLE agent_actions DISABLE TRIGGER agent_actions_append_only;
+UPDATE agent_actions x
+SET mail_account_id = a.id
+FROM mail_accounts a
+WHERE a.user_id = x.user_id AND a.is_primary AND x.mail_account_id IS NULL;
+ALTER TABLE agent_actions ENABLE TRIGGER agent_actions_append_only;
+
+CREATE INDEX IF NOT EXISTS idx_agent_actions_account ON agent_actions(mail_account_id, created_at DESC);
@@ -0,0 +1,24 @@
+-- Messages fetched from Gmail push notifications
+CREATE TABLE IF NOT EXISTS messages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  gmail_message_id TEXT NOT NULL,
+  thread_id TEXT,
+  from_address TEXT,
+  to_addresses TEXT,
+  cc_addresses TEXT,
+  subject TEXT,
+  snippet TEXT,
+  sent_at TIMESTAMP,
+  label_ids TEXT[] DEFAULT '{}',
+  size_estimate INTEGER,
+  body_text TEXT,
+  body_html TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (user_id, gmail_message_id)
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_messages_user_id ON messages(user_id);
+CREATE INDEX IF NOT EXISTS idx_messages_thread_id ON messages(user_id, thread_id);
+CREATE INDEX IF NOT EXISTS idx_messages_sent_at ON messages(user_id, sent_at DESC);
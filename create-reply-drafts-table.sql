@@ -0,0 +1,25 @@
+-- Replies drafted for messages classified as needs-reply. Each row mirrors a
+-- Gmail draft; nothing is sent until the user approves it on the dashboard.
+CREATE TABLE IF NOT EXISTS reply_drafts (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  gmail_message_id TEXT NOT NULL,
+  thread_id TEXT NOT NULL,
+  gmail_draft_id TEXT NOT NULL,
+  to_address TEXT,
+  subject TEXT,
+  body TEXT NOT NULL,
+  generator TEXT,
+  edited BOOLEAN DEFAULT FALSE,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'discarded')),
+  sent_message_id TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (user_id, gmail_message_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_reply_drafts_user_status ON reply_drafts(user_id, status, created_at DESC);
+
+-- Users can turn drafting off next to their classification settings
+ALTER TABLE classification_settings
+ADD COLUMN IF NOT EXISTS draft_replies BOOLEAN DEFAULT TRUE;
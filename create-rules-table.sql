@@ -0,0 +1,20 @@
+-- User-defined mail rules (see src/rules-engine.js for the condition and action format)
+CREATE TABLE IF NOT EXISTS rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  enabled BOOLEAN DEFAULT TRUE,
+  match_mode TEXT NOT NULL DEFAULT 'all' CHECK (match_mode IN ('all', 'any')),
+  conditions JSONB NOT NULL DEFAULT '[]',
+  actions JSONB NOT NULL DEFAULT '[]',
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_rules_user_id ON rules(user_id, position);
+
+-- Fields the rule conditions match on
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS has_attachments BOOLEAN DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS headers JSONB DEFAULT '[]';
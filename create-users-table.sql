@@ -14,7 +14,7 @@ CREATE TABLE users (
   is_active BOOLEAN DEFAULT TRUE
 );
 
--- Create sessions table (optional, for future use)
+-- Create sessions table (used by the session store, see add-session-store-columns.sql)
 CREATE TABLE sessions (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   user_id UUID REFERENCES users(id) ON DELETE CASCADE,
@@ -58,22 +58,13 @@ async function diagnoseGmailWatch() {
     );
 
     const { data, error } = await supabase
-      .from('users')
+      .from('mail_accounts')
       .select('access_token, refresh_token, token_expiry, gmail_watch_enabled, gmail_watch_expiration, gmail_history_id')
       .limit(1);
 
     if (error) {
-      console.log(`   ✗ Required columns missing: ${error.message}`);
-      console.log('\n   Please run this SQL in your Supabase SQL Editor:');
-      console.log(`
-ALTER TABLE users
-ADD COLUMN IF NOT EXISTS access_token TEXT,
-ADD COLUMN IF NOT EXISTS refresh_token TEXT,
-ADD COLUMN IF NOT EXISTS token_expiry TIMESTAMP,
-ADD COLUMN IF NOT EXISTS gmail_watch_enabled BOOLEAN DEFAULT FALSE,
-ADD COLUMN IF NOT EXISTS gmail_watch_expiration BIGINT,
-ADD COLUMN IF NOT EXISTS gmail_history_id TEXT;
-      `);
+      console.log(`   ✗ mail_accounts table missing or incomplete: ${error.message}`);
+      console.log('\n   Please run create-mail-accounts-table.sql in your Supabase SQL Editor');
       return;
     }
     console.log('   ✓ All required database columns exist');
@@ -82,45 +73,45 @@ ADD COLUMN IF NOT EXISTS gmail_history_id TEXT;
     return;
   }
 
-  // Check if any users have OAuth tokens
-  console.log('\n4. Checking User OAuth Tokens...');
+  // Check if any mail accounts have OAuth tokens
+  console.log('\n4. Checking Mail Account OAuth Tokens...');
   try {
     const supabase = createClient(
       process.env.SUPABASE_URL,
       process.env.SUPABASE_ANON_KEY
     );
 
-    const { data: users, error } = await supabase
-      .from('users')
+    const { data: accounts, error } = await supabase
+      .from('mail_accounts')
       .select('id, email, access_token, refresh_token, gmail_watch_enabled');
 
     if (error) throw error;
 
-    const usersWithTokens = users.filter(u => u.access_token && u.refresh_token);
-    const usersWithoutTokens = users.filter(u => !u.access_token || !u.refresh_token);
+    const accountsWithTokens = accounts.filter(a => a.access_token && a.refresh_token);
+    const accountsWithoutTokens = accounts.filter(a => !a.access_token || !a.refresh_token);
 
-    console.log(`   Total users: ${users.length}`);
-    console.log(`   ✓ Users with OAuth tokens: ${usersWithTokens.length}`);
-    if (usersWithoutTokens.length > 0) {
-      console.log(`   ⚠ Users without OAuth tokens: ${usersWithoutTokens.length}`);
-      console.log('     These users need to re-authenticate to grant Gmail permissions');
+    console.log(`   Total mail accounts: ${accounts.length}`);
+    console.log(`   ✓ Mail accounts with OAuth tokens: ${accountsWithTokens.length}`);
+    if (accountsWithoutTokens.length > 0) {
+      console.log(`   ⚠ Mail accounts without OAuth tokens: ${accountsWithoutTokens.length}`);
+      console.log('     These accounts need to be reconnected to grant Gmail permissions');
     }
 
-    if (usersWithTokens.length > 0) {
-      console.log('\n   Users with tokens:');
-      for (const user of usersWithTokens) {
-        console.log(`     - ${user.email} (Watch: ${user.gmail_watch_enabled ? 'Enabled' : 'Disabled'})`);
+    if (accountsWithTokens.length > 0) {
+      console.log('\n   Mail accounts with tokens:');
+      for (const account of accountsWithTokens) {
+        console.log(`     - ${account.email} (Watch: ${account.gmail_watch_enabled ? 'Enabled' : 'Disabled'})`);
       }
     }
 
-    if (usersWithoutTokens.length > 0) {
-      console.log('\n   Users needing re-authentication:');
-      for (const user of usersWithoutTokens) {
-        console.log(`     - ${user.email}`);
+    if (accountsWithoutTokens.length > 0) {
+      console.log('\n   Mail accounts needing re-authentication:');
+      for (const account of accountsWithoutTokens) {
+        console.log(`     - ${account.email}`);
       }
     }
   } catch (error) {
-    console.log(`   ✗ User check failed: ${error.message}\n`);
+    console.log(`   ✗ Mail account check failed: ${error.message}\n`);
     return;
   }
 
@@ -138,7 +129,7 @@ ADD COLUMN IF NOT EXISTS gmail_history_id TEXT;
   console.log('Next steps:');
   console.log('1. Ensure all environment variables are set correctly');
   console.log('2. Run the database migration SQL if columns are missing');
-  console.log('3. Users must LOG OUT and LOG IN AGAIN to grant Gmail permissions');
+  console.log('3. Users must reconnect accounts listed above to grant Gmail permissions');
   console.log('4. Check browser console for JavaScript errors when clicking "Enable Gmail Watch"');
   console.log('5. Check server logs for API errors\n');
 }
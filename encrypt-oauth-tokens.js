@@ -0,0 +1,57 @@
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { loadKeyring, reencryptStoredTokens } from './src/token-crypto.js';
+
+dotenv.config();
+
+// Usage:
+//   node encrypt-oauth-tokens.js migrate [--dry-run]  encrypt tokens still stored in plaintext
+//   node encrypt-oauth-tokens.js rotate [--dry-run]   re-encrypt everything under TOKEN_ENCRYPTION_KEY_ID
+//
+// For a rotation, add the new key to TOKEN_ENCRYPTION_KEYS, point
+// TOKEN_ENCRYPTION_KEY_ID at it, deploy, run `rotate`, and only then remove
+// the old key.
+
+const command = process.argv[2];
+const dryRun = process.argv.includes('--dry-run');
+
+if (!['migrate', 'rotate'].includes(command)) {
+  console.log('Usage: node encrypt-oauth-tokens.js <migrate|rotate> [--dry-run]');
+  process.exit(1);
+}
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY
+);
+
+async function main() {
+  const keyring = loadKeyring();
+  if (!keyring) {
+    console.error('❌ TOKEN_ENCRYPTION_KEYS is not set');
+    process.exit(1);
+  }
+
+  console.log(`${command === 'rotate' ? 'Rotating' : 'Encrypting'} OAuth tokens with key "${keyring.activeKeyId}"${dryRun ? ' (dry run)' : ''}...`);
+
+  const results = await reencryptStoredTokens({
+    supabase,
+    keyring,
+    rotate: command === 'rotate',
+    dryRun
+  });
+
+  console.log(`\n✓ Scanned ${results.scanned} mail accounts`);
+  console.log(`  ${dryRun ? 'Would update' : 'Updated'}: ${results.updated}`);
+  console.log(`  Already up to date or changed meanwhile: ${results.skipped}`);
+
+  if (results.failed > 0) {
+    console.log(`  ❌ Failed: ${results.failed} (see errors above)`);
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,48 @@
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { ROLES, assignRole } from './src/roles.js';
+
+dotenv.config();
+
+// Usage:
+//   node grant-role.js <email> <owner|admin|support|viewer|none>
+//
+// For bootstrapping and recovery, e.g. when nobody can sign in as an owner.
+// Runs with database access, so the role hierarchy enforced on /admin does
+// not apply. The user must have signed in at least once.
+
+const [email, roleArg] = process.argv.slice(2);
+const role = roleArg === 'none' ? null : roleArg;
+
+if (!email || (role !== null && !ROLES.includes(role))) {
+  console.log(`Usage: node grant-role.js <email> <${ROLES.join('|')}|none>`);
+  process.exit(1);
+}
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY
+);
+
+async function main() {
+  const { data: user, error } = await supabase
+    .from('users')
+    .select('id, email, role')
+    .eq('email', email)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!user) {
+    console.error(`❌ No user with email ${email}; they need to sign in once first`);
+    process.exit(1);
+  }
+
+  await assignRole(supabase, user.id, role);
+  console.log(`✓ ${user.email}: ${user.role || 'none'} → ${role || 'none'}`);
+  console.log('  Signed-in sessions pick this up within USER_PROFILE_CACHE_TTL_MS');
+}
+
+main().catch(error => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,144 @@
+// Mail accounts card for the user dashboard: connected Gmail accounts, which
+// one the dashboard is showing, linking and removing. Talks to /api/accounts.
+export function generateAccountsSection() {
+  return `
+    <div class="card accounts-card">
+      <style>
+        .accounts-card h3 { margin-bottom: 1rem; color: #333; }
+        .accounts-card .muted { color: #666; }
+        .account-row {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 1rem;
+          padding: 0.75rem 0;
+          border-bottom: 1px solid #f3f4f6;
+          font-size: 0.9rem;
+        }
+        .account-row:last-child { border-bottom: none; }
+        .account-row .account-email { font-weight: 600; color: #333; }
+        .account-row .account-detail { font-size: 0.8rem; color: #666; margin-top: 0.25rem; }
+        .account-row .account-buttons { display: flex; gap: 0.5rem; }
+        .accounts-card .badge.warning { background: #ef4444; }
+        .accounts-card .badge.muted-badge { background: #e5e7eb; color: #333; }
+        .accounts-card button, .accounts-card a.button {
+          background: #e5e7eb;
+          color: #333;
+          padding: 6px 14px;
+          border: none;
+          border-radius: 8px;
+          cursor: pointer;
+          font-weight: 600;
+          font-size: 0.9rem;
+          text-decoration: none;
+        }
+        .accounts-card button:hover, .accounts-card a.button:hover { background: #d1d5db; }
+        .accounts-card a.button.primary { background: #667eea; color: white; }
+        .accounts-card a.button.primary:hover { background: #5568d3; }
+        .accounts-card button.danger { background: #fee2e2; color: #991b1b; }
+        .accounts-card button.danger:hover { background: #fecaca; }
+      </style>
+
+      <div style="display: flex; justify-content: space-between; align-items: center;">
+        <h3>Mail Accounts</h3>
+        <a href="/auth/google/link" class="button primary">Connect another Gmail account</a>
+      </div>
+      <p class="muted" style="margin-bottom: 1rem;">
+        The watch, sync, drafts and activity on this page are for the account you're viewing. Rules, classification and digests cover all of them.
+      </p>
+
+      <div id="accounts-list"><span style="color: #999;">Loading...</span></div>
+    </div>
+
+    <script>
+      function reconnectUrl(account) {
+        return '/auth/google/link?email=' + encodeURIComponent(account.email);
+      }
+
+      function renderReauthBanners(accounts) {
+        const banners = document.getElementById('reauth-banners');
+        if (!banners) return;
+
+        banners.innerHTML = accounts.filter(function(a) { return a.needs_reauth; }).map(function(a) {
+          return '<div class="reauth-banner">' +
+            '<div>' +
+              '<h2>Gmail access for ' + escapeHtml(a.email) + ' needs to be renewed</h2>' +
+              '<p>Google no longer accepts this app\\'s access to this mailbox, so syncing, rules and its Gmail watch are paused. Reconnect to resume them.</p>' +
+            '</div>' +
+            '<a href="' + reconnectUrl(a) + '">Reconnect Gmail</a>' +
+          '</div>';
+        }).join('');
+      }
+
+      async function loadAccounts() {
+        const list = document.getElementById('accounts-list');
+
+        try {
+          const response = await fetch('/api/accounts');
+          if (!response.ok) throw new Error('HTTP ' + response.status);
+          const data = await response.json();
+
+          renderReauthBanners(data.accounts);
+
+          if (data.accounts.length === 0) {
+            list.innerHTML = '<span class="muted">No Gmail account connected yet</span>';
+            return;
+          }
+
+          list.innerHTML = data.accounts.map(function(a) {
+            const viewing = a.id === data.selectedId;
+            return '<div class="account-row">' +
+              '<div>' +
+                '<div class="account-email">' + escapeHtml(a.email) +
+                  (a.is_primary ? ' <span class="badge muted-badge">Sign-in account</span>' : '') +
+                  (viewing ? ' <span class="badge">Viewing</span>' : '') +
+                  (a.needs_reauth ? ' <span class="badge warning">Needs reconnect</span>' : '') + '</div>' +
+                '<div class="account-detail">Watch ' + (a.gmail_watch_enabled ? 'on' : 'off') +
+                  ' · connected ' + new Date(a.created_at).toLocaleDateString() + '</div>' +
+              '</div>' +
+              '<div class="account-buttons">' +
+                (a.needs_reauth ? '<a href="' + reconnectUrl(a) + '" class="button">Reconnect</a>' : '') +
+                (viewing ? '' : '<button type="button" onclick="selectAccount(\\'' + a.id + '\\', this)">View</button>') +
+                (a.is_primary ? '' : '<button type="button" class="danger" onclick="removeAccount(\\'' + a.id + '\\', this)">Remove</button>') +
+              '</div>' +
+            '</div>';
+          }).join('');
+        } catch (error) {
+          list.innerHTML = '<span style="color: #ef4444;">Error loading accounts: ' + escapeHtml(error.message) + '</span>';
+        }
+      }
+
+      async function selectAccount(accountId, button) {
+        button.disabled = true;
+
+        try {
+          const response = await fetch('/api/accounts/' + accountId + '/select', { method: 'POST' });
+          const data = await response.json();
+          if (!data.success) throw new Error(data.error || 'HTTP ' + response.status);
+          // Every card on the page follows the selected account
+          window.location.href = '/dashboard';
+        } catch (error) {
+          alert('Failed to switch account: ' + error.message);
+          button.disabled = false;
+        }
+      }
+
+      async function removeAccount(accountId, button) {
+        if (!confirm('Disconnect this Gmail account? Its watch is stopped and its stored messages and drafts are deleted. Nothing in Gmail is changed.')) return;
+        button.disabled = true;
+
+        try {
+          const response = await fetch('/api/accounts/' + accountId, { method: 'DELETE' });
+          const data = await response.json();
+          if (!data.success) throw new Error(data.error || 'HTTP ' + response.status);
+          window.location.href = '/dashboard';
+        } catch (error) {
+          alert('Failed to remove account: ' + error.message);
+          button.disabled = false;
+        }
+      }
+
+      loadAccounts();
+    </script>
+  `;
+}
@@ -0,0 +1,129 @@
+// Agent activity card for the user dashboard: every change the server made
+// to the mailbox, with undo. Talks to /api/actions.
+export function generateActionsSection() {
+  return `
+    <div class="card actions-card" style="margin-top: 1.5rem;">
+      <style>
+        .actions-card h3 { margin-bottom: 1rem; color: #333; }
+        .actions-card .muted { color: #666; }
+        .action-row {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 1rem;
+          padding: 0.75rem 0;
+          border-bottom: 1px solid #f3f4f6;
+          font-size: 0.9rem;
+        }
+        .action-row:last-child { border-bottom: none; }
+        .action-row .action-title { font-weight: 600; color: #333; }
+        .action-row .action-detail { font-size: 0.8rem; color: #666; margin-top: 0.25rem; }
+        .action-row .label-added { color: #059669; }
+        .action-row .label-removed { color: #dc2626; }
+        .actions-card button {
+          background: #e5e7eb;
+          color: #333;
+          padding: 6px 14px;
+          border: none;
+          border-radius: 8px;
+          cursor: pointer;
+          font-weight: 600;
+        }
+        .actions-card button:hover { background: #d1d5db; }
+      </style>
+
+      <div style="display: flex; justify-content: space-between; align-items: center;">
+        <h3>Agent Activity</h3>
+        <button type="button" onclick="loadActions()">Refresh</button>
+      </div>
+      <p class="muted" style="margin-bottom: 1rem;">Every change made to your mailbox on your behalf</p>
+
+      <div id="actions-list"><span style="color: #999;">Loading...</span></div>
+      <button type="button" id="actions-more" style="display: none; margin-top: 1rem;" onclick="loadActions(true)">Load more</button>
+    </div>
+
+    <script>
+      let agentActions = [];
+
+      function describeTrigger(action) {
+        if (action.undo_of) return 'Undo by ' + (action.actor || 'you');
+        if (action.trigger_type === 'rule') return 'Rule "' + (action.rule_name || action.rule_id) + '"';
+        if (action.trigger_type === 'classifier') return 'Classifier (' + action.actor + ')';
+        if (action.trigger_type === 'api') return 'API' + (action.actor ? ' (' + action.actor + ')' : '');
+        return 'Manual' + (action.actor ? ' (' + action.actor + ')' : '');
+      }
+
+      function describeLabelChange(action) {
+        const before = new Set(action.labels_before);
+        const after = new Set(action.labels_after);
+        const added = action.labels_after.filter(function(id) { return !before.has(id); });
+        const removed = action.labels_before.filter(function(id) { return !after.has(id); });
+
+        return added.map(function(id) { return '<span class="label-added">+' + escapeHtml(id) + '</span>'; })
+          .concat(removed.map(function(id) { return '<span class="label-removed">−' + escapeHtml(id) + '</span>'; }))
+          .join(' ') || 'no label changes';
+      }
+
+      function renderActions() {
+        const list = document.getElementById('actions-list');
+
+        if (agentActions.length === 0) {
+          list.innerHTML = '<span class="muted">No activity yet</span>';
+          return;
+        }
+
+        list.innerHTML = agentActions.map(function(action) {
+          const canUndo = !action.undone && !action.undo_of;
+          return '<div class="action-row">' +
+            '<div>' +
+              '<div class="action-title">' + escapeHtml(action.action) + ' · ' + escapeHtml(describeTrigger(action)) + '</div>' +
+              '<div class="action-detail">Message ' + escapeHtml(action.gmail_message_id) + ' · ' +
+                new Date(action.created_at).toLocaleString() + ' · ' + describeLabelChange(action) + '</div>' +
+            '</div>' +
+            (canUndo
+              ? '<button type="button" onclick="undoAction(\\'' + action.id + '\\', this)">Undo</button>'
+              : '<span class="muted">' + (action.undone ? 'Undone' : '') + '</span>') +
+          '</div>';
+        }).join('');
+      }
+
+      async function loadActions(more) {
+        const list = document.getElementById('actions-list');
+        const moreBtn = document.getElementById('actions-more');
+        const last = agentActions[agentActions.length - 1];
+        const url = '/api/actions?limit=25' + (more && last ? '&before=' + encodeURIComponent(last.created_at) : '');
+
+        try {
+          const response = await fetch(url);
+          if (!response.ok) throw new Error('HTTP ' + response.status);
+          const data = await response.json();
+
+          agentActions = more ? agentActions.concat(data.actions) : data.actions;
+          moreBtn.style.display = data.actions.length === 25 ? 'inline-block' : 'none';
+          renderActions();
+        } catch (error) {
+          list.innerHTML = '<span style="color: #ef4444;">Error loading activity: ' + escapeHtml(error.message) + '</span>';
+        }
+      }
+
+      async function undoAction(actionId, button) {
+        button.disabled = true;
+        button.textContent = 'Undoing...';
+
+        try {
+          const response = await fetch('/api/actions/' + actionId + '/undo', { method: 'POST' });
+          const data = await response.json();
+          if (!data.success) throw new Error(data.error || 'HTTP ' + response.status);
+
+          loadActions();
+        } catch (error) {
+          alert('Failed to undo: ' + error.message);
+          button.disabled = false;
+          button.textContent = 'Undo';
+        }
+      }
+
+      loadActions();
+    </script>
+  `;
+}
@@ -0,0 +1,90 @@
+// Daily activity counts for the charts on /admin
+//
+// Events are counted as they happen into daily_metrics, one row per UTC day
+// and metric (create-daily-metrics-table.sql), so the charts read a few
+// hundred rows however many users, messages or actions there are. Counting at
+// the event also covers what the other tables can't tell afterwards, like
+// every sign-in rather than only the last one.
+//
+//   signups            - users created on first sign-in
+//   logins             - sign-ins, first ones included
+//   notifications      - Gmail push notifications received by the webhook
+//   messages_processed - new messages run through classification, rules and drafts
+//   rule_actions       - label changes and trashes made by mail rules
+
+export const METRICS = ['signups', 'logins', 'notifications', 'messages_processed', 'rule_actions'];
+
+export const ANALYTICS_RANGES = [7, 30, 90, 180];
+const DEFAULT_RANGE = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function utcDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Counting never fails the event itself; a count that can't be stored is
+// only logged, and the chart is off by that much
+export async function incrementDailyMetric(supabase, metric, amount = 1) {
+  const { error } = await supabase.rpc('increment_daily_metric', {
+    p_metric: metric,
+    p_amount: amount
+  });
+
+  if (error) {
+    console.error(`[Analytics] Failed to count ${metric}:`, error.message);
+  }
+}
+
+// Query string of GET /api/admin/analytics: ?days= one of ANALYTICS_RANGES.
+// Returns { options, errors }.
+export function parseAnalyticsQuery(query) {
+  const errors = [];
+  let days = DEFAULT_RANGE;
+
+  if (query.days !== undefined && query.days !== '') {
+    days = Number(query.days);
+    if (!ANALYTICS_RANGES.includes(days)) {
+      errors.push(`days must be one of ${ANALYTICS_RANGES.join(', ')}`);
+    }
+  }
+
+  return { options: { days }, errors };
+}
+
+// The last `days` UTC days up to and including today, with a value for every
+// day and metric (0 where nothing was counted) and the total per metric
+export async function getDailyMetrics(supabase, { days = DEFAULT_RANGE } = {}, now = new Date()) {
+  const dates = [];
+  for (let i = days - 1; i >= 0; i--) {
+    dates.push(utcDay(new Date(now.getTime() - i * DAY_MS)));
+  }
+
+  const { data, error } = await supabase
+    .from('daily_metrics')
+    .select('day, metric, value')
+    .in('metric', METRICS)
+    .gte('day', dates[0])
+    .lte('day', dates[dates.length - 1])
+    .limit(days * METRICS.length);
+
+  if (error) throw error;
+
+  const index = new Map(dates.map((date, i) => [date, i]));
+  const series = {};
+  const totals = {};
+  for (const metric of METRICS) {
+    series[metric] = dates.map(() => 0);
+    totals[metric] = 0;
+  }
+
+  for (const row of data) {
+    const i = index.get(row.day);
+    if (i === undefined) continue;
+    // value is a bigint, which PostgREST may return as a string
+    const value = Number(row.value);
+    series[row.metric][i] = value;
+    totals[row.metric] += value;
+  }
+
+  return { from: dates[0], to: dates[dates.length - 1], days: dates, series, totals };
+}
@@ -0,0 +1,60 @@
+// Admin audit trail
+//
+// Every change made from /admin (roles, sessions, deactivation, deletion,
+// watch operations, job replays) and every user export is appended to
+// admin_audit_log with who made it and to whom. Rows name the actor and target
+// by email as well as id, because they outlive the users they mention, deleted
+// users included.
+
+export const ADMIN_AUDIT_ACTIONS = [
+  'role.change',
+  'session.revoke',
+  'user.sign_out',
+  'user.deactivate',
+  'user.reactivate',
+  'user.delete',
+  'user.export',
+  'watch.renew',
+  'watch.disable',
+  'watch.resync',
+  'job.replay'
+];
+
+// Recording never fails the action itself, which has already happened; an
+// entry that can't be stored is written to the server log instead
+export async function recordAdminAction(supabase, { actor, action, target = null, details = {} }) {
+  const entry = {
+    actor_id: actor.id,
+    actor_email: actor.email,
+    action,
+    target_user_id: target?.id ?? null,
+    target_email: target?.email ?? null,
+    details
+  };
+
+  const { error } = await supabase
+    .from('admin_audit_log')
+    .insert([entry]);
+
+  if (error) {
+    console.error('[Admin Audit] Failed to record entry:', error.message, JSON.stringify(entry));
+    return;
+  }
+  console.log(`[Admin Audit] ${actor.email} ${action}${target ? ` ${target.email}` : ''}`);
+}
+
+// Newest first; pass the created_at of the last entry as before to page back
+export async function listAdminAuditLog(supabase, { limit = 50, before, targetUserId } = {}) {
+  let query = supabase
+    .from('admin_audit_log')
+    .select('id, actor_id, actor_email, action, target_user_id, target_email, details, created_at')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (before) query = query.lt('created_at', before);
+  if (targetUserId) query = query.eq('target_user_id', targetUserId);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data;
+}
@@ -1,5 +1,23 @@
-export function generateAdminDashboard(users, stats) {
-  const recentUsers = users.slice(0, 10);
+import { hasPermission } from './roles.js';
+import { escapeHtml, ESCAPE_HTML_SCRIPT } from './html-escape.js';
+import { ANALYTICS_RANGES } from './admin-analytics.js';
+import { EXPORT_COLUMNS, DEFAULT_EXPORT_COLUMNS } from './user-export.js';
+
+const ROLE_LABELS = {
+  owner: 'Owner',
+  admin: 'Admin',
+  support: 'Support',
+  viewer: 'Viewer'
+};
+
+// Sections are shown according to currentUser's role (see roles.js)
+// The users table is filled in by the page from /api/admin/users
+export function generateAdminDashboard(stats, deadJobs = [], reauthAccounts = [], currentUser = null) {
+  const canReadUsers = hasPermission(currentUser, 'users:read');
+  const canWriteUsers = hasPermission(currentUser, 'users:write');
+  const canReadJobs = hasPermission(currentUser, 'jobs:read');
+  const canWriteJobs = hasPermission(currentUser, 'jobs:write');
+  const canReadAudit = hasPermission(currentUser, 'audit:read');
 
   return `
     <!DOCTYPE html>
@@ -7,6 +25,7 @@ export function generateAdminDashboard(users, stats) {
     <head>
       <title>Admin Dashboard</title>
       <meta name="viewport" content="width=device-width, initial-scale=1">
+      ${ESCAPE_HTML_SCRIPT}
       <style>
         * { margin: 0; padding: 0; box-sizing: border-box; }
         body {
@@ -65,6 +84,7 @@ export function generateAdminDashboard(users, stats) {
         .stat-card.green { border-left-color: #10b981; }
         .stat-card.blue { border-left-color: #3b82f6; }
         .stat-card.purple { border-left-color: #8b5cf6; }
+        .stat-card.orange { border-left-color: #f59e0b; }
         .stat-card .label {
           color: #666;
           font-size: 0.875rem;
@@ -174,6 +194,187 @@ export function generateAdminDashboard(users, stats) {
           text-align: center;
           color: #666;
         }
+        .section {
+          margin-top: 2rem;
+        }
+        .user-sessions {
+          background: #f9fafb;
+          font-size: 0.85rem;
+        }
+        .user-sessions .session-line {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 1rem;
+          padding: 0.4rem 0;
+        }
+        .badge-role {
+          background: #ede9fe;
+          color: #6d28d9;
+        }
+        .role-select {
+          padding: 6px 8px;
+          border: 1px solid #d1d5db;
+          border-radius: 6px;
+          font-size: 0.875rem;
+          background: white;
+        }
+        .user-filters {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 0.75rem;
+          margin-top: 1rem;
+          font-size: 0.875rem;
+          color: #666;
+        }
+        .user-filters input, .user-filters select {
+          padding: 6px 8px;
+          border: 1px solid #d1d5db;
+          border-radius: 6px;
+          font-size: 0.875rem;
+        }
+        .user-filters #user-search {
+          flex: 1;
+          min-width: 220px;
+        }
+        .pager {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          padding: 1rem 1.5rem;
+          border-top: 1px solid #e5e7eb;
+          font-size: 0.875rem;
+          color: #666;
+        }
+        .pager button:disabled {
+          background: #c7d2fe;
+          cursor: default;
+        }
+        .user-actions {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 0.5rem;
+        }
+        .refresh-btn.secondary {
+          background: #e5e7eb;
+          color: #333;
+        }
+        .refresh-btn.secondary:hover {
+          background: #d1d5db;
+        }
+        .refresh-btn.danger {
+          background: #fee2e2;
+          color: #991b1b;
+        }
+        .refresh-btn.danger:hover {
+          background: #fecaca;
+        }
+        .bulk-bar {
+          display: flex;
+          align-items: center;
+          gap: 0.75rem;
+          padding: 0.75rem 1.5rem;
+          background: #f9fafb;
+          border-bottom: 1px solid #e5e7eb;
+          font-size: 0.875rem;
+          color: #666;
+        }
+        .bulk-bar button:disabled {
+          opacity: 0.5;
+          cursor: default;
+        }
+        .health-line {
+          font-size: 0.8rem;
+          white-space: nowrap;
+        }
+        .health-line .account {
+          color: #666;
+        }
+        .health-warning {
+          color: #b45309;
+        }
+        .export-columns {
+          position: relative;
+          align-self: center;
+          font-size: 0.875rem;
+          color: #666;
+        }
+        .export-columns summary {
+          cursor: pointer;
+        }
+        .export-columns-list {
+          position: absolute;
+          right: 0;
+          z-index: 10;
+          display: grid;
+          gap: 0.25rem;
+          margin-top: 0.5rem;
+          padding: 0.75rem 1rem;
+          background: white;
+          border: 1px solid #e5e7eb;
+          border-radius: 6px;
+          box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+          white-space: nowrap;
+        }
+        .analytics-range {
+          padding: 6px 8px;
+          border: 1px solid #d1d5db;
+          border-radius: 6px;
+          font-size: 0.875rem;
+        }
+        .analytics-grid {
+          display: grid;
+          grid-template-columns: repeat(auto-fit, minmax(320px, 1fr));
+          gap: 1.5rem;
+          padding: 1.5rem;
+        }
+        .chart-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: baseline;
+          margin-bottom: 0.5rem;
+        }
+        .chart-title {
+          color: #666;
+          font-size: 0.875rem;
+          font-weight: 500;
+          text-transform: uppercase;
+          letter-spacing: 0.5px;
+        }
+        .chart-total {
+          color: #333;
+          font-size: 1.25rem;
+          font-weight: 700;
+        }
+        .chart svg {
+          display: block;
+          width: 100%;
+          height: 120px;
+          background: #f9fafb;
+          border-radius: 6px;
+        }
+        .chart-axis {
+          display: flex;
+          justify-content: space-between;
+          margin-top: 0.25rem;
+          font-size: 0.75rem;
+          color: #999;
+        }
+        .health-error {
+          color: #991b1b;
+        }
+        .signed-in-as {
+          font-size: 0.875rem;
+          opacity: 0.85;
+          align-self: center;
+        }
+        .job-error {
+          font-family: monospace;
+          font-size: 0.8rem;
+          color: #991b1b;
+          max-width: 480px;
+          word-break: break-word;
+        }
       </style>
     </head>
     <body>
@@ -181,6 +382,7 @@ export function generateAdminDashboard(users, stats) {
         <div class="top-bar-content">
           <h1>🛡️ Admin Dashboard</h1>
           <div class="top-bar-links">
+            ${currentUser ? `<span class="signed-in-as">${escapeHtml(currentUser.email)} · ${ROLE_LABELS[currentUser.role] || ''}</span>` : ''}
             <a href="/dashboard">My Dashboard</a>
             <a href="/logout">Logout</a>
           </div>
@@ -205,66 +407,815 @@ export function generateAdminDashboard(users, stats) {
             <div class="label">New Today</div>
             <div class="value">${stats.newToday}</div>
           </div>
+          <div class="stat-card orange">
+            <div class="label">Watches Expiring in 24h</div>
+            <div class="value">${stats.watchesExpiringSoon ?? 0}</div>
+          </div>
         </div>
 
         <div class="card">
+          <div class="card-header">
+            <div style="display: flex; justify-content: space-between; align-items: center;">
+              <h2>Activity</h2>
+              <select id="analytics-range" class="analytics-range" onchange="loadAnalytics()">
+                ${ANALYTICS_RANGES.map(days => `<option value="${days}"${days === 30 ? ' selected' : ''}>Last ${days} days</option>`).join('')}
+              </select>
+            </div>
+          </div>
+          <div class="analytics-grid" id="analytics-charts">
+            <div class="empty-state" style="grid-column: 1 / -1;">Loading...</div>
+          </div>
+        </div>
+
+        ${canReadUsers ? `
+        <div class="card section">
           <div class="card-header">
             <div style="display: flex; justify-content: space-between; align-items: center;">
               <h2>All Users</h2>
-              <button class="refresh-btn" onclick="location.reload()">Refresh</button>
+              <div class="user-actions">
+                <details class="export-columns">
+                  <summary>Export columns</summary>
+                  <div class="export-columns-list">
+                    ${EXPORT_COLUMNS.map(column => `<label><input type="checkbox" class="export-column" value="${column}"${DEFAULT_EXPORT_COLUMNS.includes(column) ? ' checked' : ''}> ${column}</label>`).join('')}
+                  </div>
+                </details>
+                <button class="refresh-btn secondary" onclick="exportUsers('csv')">Export CSV</button>
+                <button class="refresh-btn secondary" onclick="exportUsers('ndjson')">Export JSON</button>
+                <button class="refresh-btn" onclick="loadUsers()">Refresh</button>
+              </div>
+            </div>
+            <div class="user-filters">
+              <input type="search" id="user-search" placeholder="Search email or name" oninput="searchUsers()">
+              <select id="user-filter-active" onchange="reloadUsers()">
+                <option value="">Any status</option>
+                <option value="true">Active</option>
+                <option value="false">Inactive</option>
+              </select>
+              <select id="user-filter-watch" onchange="reloadUsers()">
+                <option value="">Any watch</option>
+                <option value="true">Watch on</option>
+                <option value="false">Watch off</option>
+              </select>
+              <select id="user-filter-reauth" onchange="reloadUsers()">
+                <option value="">Any Google grant</option>
+                <option value="true">Needs re-auth</option>
+                <option value="false">Healthy</option>
+              </select>
+              <label>Joined <input type="date" id="user-joined-from" onchange="reloadUsers()"></label>
+              <label>to <input type="date" id="user-joined-to" onchange="reloadUsers()"></label>
+              <select id="user-sort" onchange="reloadUsers()">
+                <option value="created_at:desc">Newest first</option>
+                <option value="created_at:asc">Oldest first</option>
+                <option value="last_login:desc">Recently signed in</option>
+                <option value="email:asc">Email A-Z</option>
+                <option value="email:desc">Email Z-A</option>
+                <option value="name:asc">Name A-Z</option>
+              </select>
+            </div>
+          </div>
+          ${canWriteUsers ? `
+          <div class="bulk-bar">
+            <span id="bulk-selected">No users selected</span>
+            <button class="refresh-btn secondary" onclick="runBulkWatchAction('renew', this)" disabled>Renew watches</button>
+            <button class="refresh-btn secondary" onclick="runBulkWatchAction('disable', this)" disabled>Disable watches</button>
+            <button class="refresh-btn secondary" onclick="runBulkWatchAction('resync', this)" disabled>Resync</button>
+          </div>
+          ` : ''}
+          <div class="table-container">
+            <table>
+              <thead>
+                <tr>
+                  ${canWriteUsers ? '<th><input type="checkbox" id="users-select-all" onchange="selectAllUsers(this.checked)"></th>' : ''}
+                  <th>User</th>
+                  <th>Status</th>
+                  <th>Role</th>
+                  <th>Watch</th>
+                  <th>Last Notification</th>
+                  <th>Sync</th>
+                  <th>Joined</th>
+                  <th>Last Login</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody id="users-body"></tbody>
+            </table>
+          </div>
+          <div class="pager">
+            <span id="users-range"></span>
+            <div>
+              <button class="refresh-btn" id="users-previous" onclick="previousUsersPage()" disabled>Previous</button>
+              <button class="refresh-btn" id="users-next" onclick="nextUsersPage()" disabled>Next</button>
+            </div>
+          </div>
+        </div>
+
+        <div class="card section">
+          <div class="card-header">
+            <div style="display: flex; justify-content: space-between; align-items: center;">
+              <h2>Mail Accounts Needing Re-authorization</h2>
+              <span class="badge ${reauthAccounts.length ? 'badge-inactive' : 'badge-active'}">${reauthAccounts.length}</span>
             </div>
           </div>
           <div class="table-container">
-            ${users.length === 0 ? `
+            ${reauthAccounts.length === 0 ? `
               <div class="empty-state">
-                <p>No users found</p>
+                <p>All Google grants are healthy</p>
               </div>
             ` : `
               <table>
                 <thead>
                   <tr>
+                    <th>Account</th>
                     <th>User</th>
-                    <th>Status</th>
-                    <th>Joined</th>
-                    <th>Last Login</th>
+                    <th>Reason</th>
+                    <th>Since</th>
                   </tr>
                 </thead>
                 <tbody>
-                  ${users.map(user => {
-                    const joinDate = new Date(user.created_at).toLocaleDateString();
-                    const lastLogin = user.last_login
-                      ? new Date(user.last_login).toLocaleDateString()
-                      : 'Never';
-                    const isNew = (new Date() - new Date(user.created_at)) < 86400000; // 24 hours
-
-                    return `
-                      <tr>
-                        <td>
-                          <div class="user-cell">
-                            <img src="${user.picture}" alt="${user.name}" class="user-avatar">
-                            <div class="user-info">
-                              <div class="name">${user.name}</div>
-                              <div class="email">${user.email}</div>
-                            </div>
-                          </div>
-                        </td>
-                        <td>
-                          <span class="badge ${user.is_active ? 'badge-active' : 'badge-inactive'}">
-                            ${user.is_active ? 'Active' : 'Inactive'}
-                          </span>
-                          ${isNew ? '<span class="badge badge-new" style="margin-left: 0.5rem;">New</span>' : ''}
-                        </td>
-                        <td>${joinDate}</td>
-                        <td>${lastLogin}</td>
-                      </tr>
-                    `;
-                  }).join('')}
+                  ${reauthAccounts.map(account => `
+                    <tr>
+                      <td>${escapeHtml(account.email)}</td>
+                      <td>${escapeHtml(account.user?.email)}</td>
+                      <td class="job-error">${escapeHtml(account.needs_reauth_reason)}</td>
+                      <td>${account.needs_reauth_at ? new Date(account.needs_reauth_at).toLocaleString() : ''}</td>
+                    </tr>
+                  `).join('')}
                 </tbody>
               </table>
             `}
           </div>
         </div>
+        ` : ''}
+
+        ${canReadJobs ? `
+        <div class="card section">
+          <div class="card-header">
+            <div style="display: flex; justify-content: space-between; align-items: center;">
+              <h2>Dead-Lettered Jobs</h2>
+              <span class="badge ${deadJobs.length ? 'badge-inactive' : 'badge-active'}">${deadJobs.length}</span>
+            </div>
+          </div>
+          <div class="table-container">
+            ${deadJobs.length === 0 ? `
+              <div class="empty-state">
+                <p>No failed jobs</p>
+              </div>
+            ` : `
+              <table>
+                <thead>
+                  <tr>
+                    <th>Type</th>
+                    <th>Payload</th>
+                    <th>Attempts</th>
+                    <th>Last Error</th>
+                    <th>Failed</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  ${deadJobs.map(job => `
+                    <tr id="job-${escapeHtml(job.id)}">
+                      <td>${escapeHtml(job.type)}</td>
+                      <td class="job-error" style="color: #333;">${escapeHtml(JSON.stringify(job.payload))}</td>
+                      <td>${job.attempts}/${job.max_attempts}</td>
+                      <td class="job-error">${escapeHtml(job.last_error)}</td>
+                      <td>${new Date(job.updated_at).toLocaleString()}</td>
+                      <td>${canWriteJobs ? `<button class="refresh-btn" onclick="replayJob('${escapeHtml(job.id)}', this)">Replay</button>` : ''}</td>
+                    </tr>
+                  `).join('')}
+                </tbody>
+              </table>
+            `}
+          </div>
+        </div>
+        ` : ''}
+
+        ${canReadAudit ? `
+        <div class="card section">
+          <div class="card-header">
+            <div style="display: flex; justify-content: space-between; align-items: center;">
+              <h2>Admin Audit Trail</h2>
+              <button class="refresh-btn" onclick="loadAudit(false)">Refresh</button>
+            </div>
+          </div>
+          <div class="table-container">
+            <table>
+              <thead>
+                <tr>
+                  <th>When</th>
+                  <th>Admin</th>
+                  <th>Action</th>
+                  <th>User</th>
+                  <th>Details</th>
+                </tr>
+              </thead>
+              <tbody id="audit-body"></tbody>
+            </table>
+          </div>
+          <div class="pager">
+            <span></span>
+            <button class="refresh-btn" id="audit-older" onclick="loadAudit(true)" disabled>Load older</button>
+          </div>
+        </div>
+        ` : ''}
       </div>
+
+      <script>
+        const CAN_WRITE_USERS = ${canWriteUsers};
+        const ROLE_LABELS = ${JSON.stringify(ROLE_LABELS)};
+        const ROLE_ORDER = [null].concat(Object.keys(ROLE_LABELS));
+        const USERS_PAGE_SIZE = 50;
+
+        const AUDIT_ACTION_LABELS = {
+          'role.change': 'Changed role',
+          'session.revoke': 'Signed out a session',
+          'user.sign_out': 'Signed out everywhere',
+          'user.deactivate': 'Deactivated',
+          'user.reactivate': 'Reactivated',
+          'user.delete': 'Deleted',
+          'user.export': 'Exported users',
+          'watch.renew': 'Renewed watches',
+          'watch.disable': 'Disabled watches',
+          'watch.resync': 'Queued resync',
+          'job.replay': 'Replayed job'
+        };
+        const USER_COLUMNS = CAN_WRITE_USERS ? 10 : 9;
+
+        const ANALYTICS_METRICS = [
+          { key: 'signups', label: 'Signups', color: '#10b981' },
+          { key: 'logins', label: 'Logins', color: '#3b82f6' },
+          { key: 'notifications', label: 'Webhook Notifications', color: '#8b5cf6' },
+          { key: 'messages_processed', label: 'Messages Processed', color: '#667eea' },
+          { key: 'rule_actions', label: 'Rule Actions', color: '#f59e0b' }
+        ];
+
+        // cursors[n] is the cursor that loads page n; the first page has none.
+        // manageable holds which users on this page the admin may act on.
+        const userList = { cursors: [null], page: 0, total: null, manageable: {} };
+        let auditBefore = null;
+        const selectedUsers = {};
+        let userSearchTimer = null;
+
+        function userListQuery(cursor) {
+          const params = new URLSearchParams();
+          const search = document.getElementById('user-search').value.trim();
+          if (search) params.set('q', search);
+
+          ['active', 'watch', 'reauth'].forEach(function(name) {
+            const value = document.getElementById('user-filter-' + name).value;
+            if (value) params.set(name, value);
+          });
+
+          const joinedFrom = document.getElementById('user-joined-from').value;
+          const joinedTo = document.getElementById('user-joined-to').value;
+          if (joinedFrom) params.set('joinedFrom', joinedFrom);
+          if (joinedTo) params.set('joinedTo', joinedTo);
+
+          const sort = document.getElementById('user-sort').value.split(':');
+          params.set('sort', sort[0]);
+          params.set('direction', sort[1]);
+          params.set('limit', USERS_PAGE_SIZE);
+          if (cursor) params.set('cursor', cursor);
+          return params.toString();
+        }
+
+        // Downloads every user matching the current filters, in the current order
+        function exportUsers(format) {
+          const params = new URLSearchParams(userListQuery(null));
+          params.delete('limit');
+          params.set('format', format);
+
+          const columns = Array.prototype.filter.call(document.querySelectorAll('.export-column'), function(box) {
+            return box.checked;
+          }).map(function(box) {
+            return box.value;
+          });
+          if (columns.length === 0) {
+            alert('Choose at least one column to export');
+            return;
+          }
+          params.set('columns', columns.join(','));
+
+          window.location.href = '/api/admin/users/export?' + params.toString();
+        }
+
+        function renderRoleCell(user) {
+          const badge = user.role
+            ? '<span class="badge badge-role">' + escapeHtml(ROLE_LABELS[user.role] || user.role) + '</span>'
+            : '<span style="color: #999;">-</span>';
+          if (user.assignableRoles.length === 0) return badge;
+
+          const roles = ROLE_ORDER.filter(function(role) {
+            return role === user.role || user.assignableRoles.indexOf(role) !== -1;
+          });
+
+          return '<select class="role-select" data-current="' + escapeHtml(user.role || '') + '" onchange="changeRole(\\'' + user.id + '\\', this)">' +
+            roles.map(function(role) {
+              return '<option value="' + (role || '') + '"' + (role === user.role ? ' selected' : '') + '>' +
+                (role ? ROLE_LABELS[role] : 'No role') + '</option>';
+            }).join('') +
+          '</select>';
+        }
+
+        function formatDuration(ms) {
+          const minutes = Math.floor(ms / 60000);
+          if (minutes < 60) return minutes + 'm';
+          const hours = Math.floor(minutes / 60);
+          if (hours < 48) return hours + 'h ' + (minutes % 60) + 'm';
+          return Math.floor(hours / 24) + 'd ' + (hours % 24) + 'h';
+        }
+
+        function formatAgo(value) {
+          return value ? formatDuration(Math.max(0, Date.now() - new Date(value))) + ' ago' : 'Never';
+        }
+
+        // One line per mail account, prefixed with its address when the user has several
+        function renderHealthCell(user, render) {
+          if (user.mailAccounts.length === 0) return '<span style="color: #999;">No mail account</span>';
+
+          return user.mailAccounts.map(function(account) {
+            return '<div class="health-line">' +
+              (user.mailAccounts.length > 1 ? '<span class="account">' + escapeHtml(account.email) + ':</span> ' : '') +
+              render(account) +
+            '</div>';
+          }).join('');
+        }
+
+        function renderWatchHealth(account) {
+          if (account.needsReauth) return '<span class="health-error">Needs re-auth</span>';
+          if (!account.watchEnabled) return '<span style="color: #999;">Off</span>';
+          if (!account.watchExpiresAt) return 'On';
+
+          const remaining = new Date(account.watchExpiresAt) - Date.now();
+          const text = remaining <= 0 ? 'On, expired' : 'On, expires in ' + formatDuration(remaining);
+          const cls = remaining <= 0 || account.renewalError ? 'health-error' : remaining < 86400000 ? 'health-warning' : '';
+          return '<span class="' + cls + '"' + (account.renewalError ? ' title="Renewal failed: ' + escapeHtml(account.renewalError) + '"' : '') + '>' + text + '</span>';
+        }
+
+        function renderNotificationHealth(account) {
+          return formatAgo(account.lastNotificationAt);
+        }
+
+        function renderSyncHealth(account) {
+          const lag = account.historyLag
+            ? ' <span class="health-warning">' + account.historyLag + ' behind</span>'
+            : '';
+
+          if (account.lastSyncError) {
+            return '<span class="health-error" title="' + escapeHtml(account.lastSyncError) + '">Failed ' + formatAgo(account.lastSyncErrorAt) + '</span>' + lag;
+          }
+          return (account.lastSyncedAt ? 'OK ' + formatAgo(account.lastSyncedAt) : '<span style="color: #999;">Never</span>') + lag;
+        }
+
+        function renderUserRow(user) {
+          const isNew = (new Date() - new Date(user.created_at)) < 86400000; // 24 hours
+
+          return '<tr>' +
+            (CAN_WRITE_USERS
+              ? '<td><input type="checkbox" class="user-select" value="' + user.id + '"' + (selectedUsers[user.id] ? ' checked' : '') + ' onchange="selectUser(this.value, this.checked)"></td>'
+              : '') +
+            '<td>' +
+              '<div class="user-cell">' +
+                '<img src="' + escapeHtml(user.picture || '') + '" alt="' + escapeHtml(user.name) + '" class="user-avatar">' +
+                '<div class="user-info">' +
+                  '<div class="name">' + escapeHtml(user.name) + '</div>' +
+                  '<div class="email">' + escapeHtml(user.email) + '</div>' +
+                '</div>' +
+              '</div>' +
+            '</td>' +
+            '<td>' +
+              '<span class="badge ' + (user.is_active ? 'badge-active' : 'badge-inactive') + '">' + (user.is_active ? 'Active' : 'Inactive') + '</span>' +
+              (isNew ? ' <span class="badge badge-new">New</span>' : '') +
+              (user.needs_reauth ? ' <span class="badge badge-inactive">Needs re-auth</span>' : '') +
+            '</td>' +
+            '<td>' + renderRoleCell(user) + '</td>' +
+            '<td>' + renderHealthCell(user, renderWatchHealth) + '</td>' +
+            '<td>' + renderHealthCell(user, renderNotificationHealth) + '</td>' +
+            '<td>' + renderHealthCell(user, renderSyncHealth) + '</td>' +
+            '<td>' + new Date(user.created_at).toLocaleDateString() + '</td>' +
+            '<td>' + (user.last_login ? new Date(user.last_login).toLocaleDateString() : 'Never') + '</td>' +
+            '<td><div class="user-actions">' +
+              '<button class="refresh-btn" onclick="toggleUserSessions(\\'' + user.id + '\\')">Sessions</button>' +
+              (CAN_WRITE_USERS && user.manageable
+                ? (user.is_active
+                    ? '<button class="refresh-btn secondary" onclick="setUserActive(\\'' + user.id + '\\', false, this)">Deactivate</button>'
+                    : '<button class="refresh-btn secondary" onclick="setUserActive(\\'' + user.id + '\\', true, this)">Reactivate</button>') +
+                  '<button class="refresh-btn secondary" onclick="revokeAllUserSessions(\\'' + user.id + '\\', this)">Sign out</button>' +
+                  '<button class="refresh-btn danger" onclick="deleteUser(\\'' + user.id + '\\', this)">Delete</button>'
+                : '') +
+            '</div></td>' +
+          '</tr>' +
+          '<tr id="sessions-' + user.id + '" style="display: none;">' +
+            '<td colspan="' + USER_COLUMNS + '" class="user-sessions"></td>' +
+          '</tr>';
+        }
+
+        async function loadUsers() {
+          const body = document.getElementById('users-body');
+          body.innerHTML = '<tr><td colspan="' + USER_COLUMNS + '" class="empty-state">Loading...</td></tr>';
+
+          try {
+            const response = await fetch('/api/admin/users?' + userListQuery(userList.cursors[userList.page]));
+            const data = await response.json();
+            if (!response.ok) throw new Error((data.details && data.details.join ? data.details.join('; ') : data.error) || 'HTTP ' + response.status);
+
+            if (data.total !== null) userList.total = data.total;
+            userList.cursors.length = userList.page + 1;
+            if (data.nextCursor) userList.cursors.push(data.nextCursor);
+
+            const selectAll = document.getElementById('users-select-all');
+            if (selectAll) selectAll.checked = false;
+
+            userList.manageable = {};
+            data.users.forEach(function(user) { userList.manageable[user.id] = user.manageable; });
+
+            body.innerHTML = data.users.length === 0
+              ? '<tr><td colspan="' + USER_COLUMNS + '" class="empty-state">No users match these filters</td></tr>'
+              : data.users.map(renderUserRow).join('');
+
+            const first = userList.page * USERS_PAGE_SIZE;
+            document.getElementById('users-range').textContent = data.users.length === 0 ? '' :
+              'Showing ' + (first + 1) + '-' + (first + data.users.length) +
+              (userList.total !== null ? ' of ' + userList.total : '');
+            document.getElementById('users-previous').disabled = userList.page === 0;
+            document.getElementById('users-next').disabled = !data.nextCursor;
+          } catch (error) {
+            body.innerHTML = '<tr><td colspan="' + USER_COLUMNS + '" class="empty-state" style="color: #991b1b;">Error loading users: ' + escapeHtml(error.message) + '</td></tr>';
+          }
+        }
+
+        // Selections are kept across pages until the filters change
+        function selectUser(userId, selected) {
+          if (selected) {
+            selectedUsers[userId] = true;
+          } else {
+            delete selectedUsers[userId];
+          }
+          updateBulkBar();
+        }
+
+        function selectAllUsers(selected) {
+          document.querySelectorAll('.user-select').forEach(function(box) {
+            box.checked = selected;
+            selectUser(box.value, selected);
+          });
+        }
+
+        function clearUserSelection() {
+          Object.keys(selectedUsers).forEach(function(userId) { delete selectedUsers[userId]; });
+          const selectAll = document.getElementById('users-select-all');
+          if (selectAll) selectAll.checked = false;
+          updateBulkBar();
+        }
+
+        function updateBulkBar() {
+          const label = document.getElementById('bulk-selected');
+          if (!label) return;
+
+          const count = Object.keys(selectedUsers).length;
+          label.textContent = count === 0 ? 'No users selected' : count + ' user' + (count === 1 ? '' : 's') + ' selected';
+          document.querySelectorAll('.bulk-bar button').forEach(function(button) { button.disabled = count === 0; });
+        }
+
+        async function runBulkWatchAction(action, button) {
+          const userIds = Object.keys(selectedUsers);
+          const questions = {
+            renew: 'Renew the Gmail watches of ' + userIds.length + ' user(s) now?',
+            disable: 'Stop the Gmail watches of ' + userIds.length + ' user(s)? They can turn them back on from their dashboard.',
+            resync: 'Queue a catch-up sync for every mail account of ' + userIds.length + ' user(s)?'
+          };
+          if (!confirm(questions[action])) return;
+          button.disabled = true;
+
+          try {
+            const response = await fetch('/api/admin/watches/bulk', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ action: action, userIds: userIds })
+            });
+            const data = await response.json();
+            if (!data.success) throw new Error((data.details && data.details.join ? data.details.join('; ') : data.error) || 'HTTP ' + response.status);
+
+            const summary = Object.keys(data.counts).map(function(outcome) { return data.counts[outcome] + ' ' + outcome; }).join(', ');
+            const failures = data.results.filter(function(r) { return r.outcome === 'failed'; }).map(function(r) { return r.email + ': ' + r.error; });
+            alert('Mail accounts: ' + (summary || 'none') + (failures.length ? '\\n\\n' + failures.join('\\n') : ''));
+
+            clearUserSelection();
+            loadUsers();
+            refreshAudit();
+          } catch (error) {
+            alert('Failed to ' + action + ' watches: ' + error.message);
+            button.disabled = false;
+          }
+        }
+
+        // Filters and sort start again from the first page
+        function reloadUsers() {
+          clearUserSelection();
+          userList.cursors = [null];
+          userList.page = 0;
+          userList.total = null;
+          loadUsers();
+        }
+
+        function searchUsers() {
+          clearTimeout(userSearchTimer);
+          userSearchTimer = setTimeout(reloadUsers, 300);
+        }
+
+        function nextUsersPage() {
+          if (userList.page + 1 >= userList.cursors.length) return;
+          userList.page++;
+          loadUsers();
+        }
+
+        function previousUsersPage() {
+          if (userList.page === 0) return;
+          userList.page--;
+          loadUsers();
+        }
+
+        function toggleUserSessions(userId) {
+          const row = document.getElementById('sessions-' + userId);
+          const visible = row.style.display !== 'none';
+          row.style.display = visible ? 'none' : '';
+          if (!visible) loadUserSessions(userId);
+        }
+
+        async function loadUserSessions(userId) {
+          const cell = document.querySelector('#sessions-' + userId + ' td');
+          const canManage = CAN_WRITE_USERS && userList.manageable[userId];
+          cell.innerHTML = 'Loading...';
+
+          try {
+            const response = await fetch('/api/admin/users/' + userId + '/sessions');
+            if (!response.ok) throw new Error('HTTP ' + response.status);
+            const data = await response.json();
+
+            if (data.sessions.length === 0) {
+              cell.innerHTML = 'No active sessions';
+              return;
+            }
+
+            cell.innerHTML = data.sessions.map(function(s) {
+              return '<div class="session-line">' +
+                '<span>' + escapeHtml(s.userAgent || 'Unknown browser') + ' · IP ' + escapeHtml(s.ip || 'unknown') +
+                  ' · signed in ' + new Date(s.createdAt).toLocaleString() +
+                  ' · last seen ' + new Date(s.lastSeenAt).toLocaleString() +
+                  (s.current ? ' · <strong>your current session</strong>' : '') + '</span>' +
+                (canManage ? '<button class="refresh-btn" onclick="revokeUserSession(\\'' + userId + '\\', \\'' + s.id + '\\', this)">Sign out</button>' : '') +
+              '</div>';
+            }).join('') +
+            (canManage ? '<div style="margin-top: 0.5rem;"><button class="refresh-btn" onclick="revokeAllUserSessions(\\'' + userId + '\\', this)">Sign out everywhere</button></div>' : '');
+          } catch (error) {
+            cell.innerHTML = '<span style="color: #991b1b;">Error loading sessions: ' + escapeHtml(error.message) + '</span>';
+          }
+        }
+
+        async function revokeUserSession(userId, sessionId, button) {
+          button.disabled = true;
+
+          try {
+            const response = await fetch('/api/admin/users/' + userId + '/sessions/' + sessionId, { method: 'DELETE' });
+            const data = await response.json();
+            if (!data.success) throw new Error(data.error || 'HTTP ' + response.status);
+            loadUserSessions(userId);
+            refreshAudit();
+          } catch (error) {
+            alert('Failed to sign out session: ' + error.message);
+            button.disabled = false;
+          }
+        }
+
+        async function revokeAllUserSessions(userId, button) {
+          if (!confirm('Sign this user out of every session?')) return;
+          button.disabled = true;
+
+          try {
+            const response = await fetch('/api/admin/users/' + userId + '/sessions/revoke-all', { method: 'POST' });
+            const data = await response.json();
+            if (!data.success) throw new Error(data.error || 'HTTP ' + response.status);
+
+            button.disabled = false;
+            if (document.getElementById('sessions-' + userId).style.display !== 'none') {
+              loadUserSessions(userId);
+            } else {
+              alert('Signed out of ' + data.revoked + ' session(s)');
+            }
+            refreshAudit();
+          } catch (error) {
+            alert('Failed to sign out sessions: ' + error.message);
+            button.disabled = false;
+          }
+        }
+
+        async function setUserActive(userId, active, button) {
+          const question = active
+            ? 'Reactivate this user? They can sign in again and turn their Gmail watch back on.'
+            : 'Deactivate this user? They are signed out everywhere, can no longer sign in, and their Gmail watches are stopped.';
+          if (!confirm(question)) return;
+          button.disabled = true;
+
+          try {
+            const response = await fetch('/api/admin/users/' + userId + '/' + (active ? 'reactivate' : 'deactivate'), { method: 'POST' });
+            const data = await response.json();
+            if (!data.success) throw new Error(data.error || 'HTTP ' + response.status);
+            loadUsers();
+            refreshAudit();
+          } catch (error) {
+            alert('Failed to ' + (active ? 'reactivate' : 'deactivate') + ' user: ' + error.message);
+            button.disabled = false;
+          }
+        }
+
+        async function deleteUser(userId, button) {
+          const confirmEmail = prompt('This permanently deletes the user, revokes the app\\'s access to their Gmail accounts and removes all their stored mail data. It cannot be undone.\\n\\nType the user\\'s email address to confirm:');
+          if (!confirmEmail) return;
+          button.disabled = true;
+
+          try {
+            const response = await fetch('/api/admin/users/' + userId, {
+              method: 'DELETE',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ confirmEmail: confirmEmail })
+            });
+            const data = await response.json();
+            if (!data.success) throw new Error(data.error || 'HTTP ' + response.status);
+            loadUsers();
+            refreshAudit();
+          } catch (error) {
+            alert('Failed to delete user: ' + error.message);
+            button.disabled = false;
+          }
+        }
+
+        function describeAuditDetails(entry) {
+          const details = entry.details || {};
+          if (entry.action === 'role.change') {
+            return (ROLE_LABELS[details.from] || 'No role') + ' → ' + (ROLE_LABELS[details.to] || 'No role');
+          }
+          if (entry.action === 'user.export') {
+            return details.rows + ' users as ' + String(details.format).toUpperCase() + (details.completed ? '' : ' (incomplete)');
+          }
+          if (entry.action.indexOf('watch.') === 0) {
+            return (details.accounts || []).map(function(a) {
+              return a.email + ' ' + a.outcome + (a.error ? ' (' + a.error + ')' : '');
+            }).join(', ') || 'No mail accounts';
+          }
+          if (details.sessionsRevoked !== undefined && !details.accounts) {
+            return details.sessionsRevoked + ' session(s)';
+          }
+          if (details.accounts) {
+            return details.sessionsRevoked + ' session(s); ' + details.accounts.map(function(a) {
+              return a.email + (a.watchStopped ? ' watch stopped' : '') +
+                (a.grantRevoked ? ' access revoked' : a.grantRevoked === false ? ' access not revoked' : '') +
+                (a.error || a.revokeError ? ' (' + (a.error || a.revokeError) + ')' : '');
+            }).join(', ');
+          }
+          if (details.jobId) return details.type + ' ' + details.jobId;
+          return '';
+        }
+
+        // older appends the next page; otherwise the newest entries are reloaded
+        async function loadAudit(older) {
+          const body = document.getElementById('audit-body');
+          if (!older) {
+            auditBefore = null;
+            body.innerHTML = '<tr><td colspan="5" class="empty-state">Loading...</td></tr>';
+          }
+
+          try {
+            const response = await fetch('/api/admin/audit' + (older && auditBefore ? '?before=' + encodeURIComponent(auditBefore) : ''));
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'HTTP ' + response.status);
+
+            const rows = data.entries.map(function(entry) {
+              return '<tr>' +
+                '<td>' + new Date(entry.created_at).toLocaleString() + '</td>' +
+                '<td>' + escapeHtml(entry.actor_email) + '</td>' +
+                '<td>' + escapeHtml(AUDIT_ACTION_LABELS[entry.action] || entry.action) + '</td>' +
+                '<td>' + escapeHtml(entry.target_email || '') + '</td>' +
+                '<td class="job-error" style="color: #333;">' + escapeHtml(describeAuditDetails(entry)) + '</td>' +
+              '</tr>';
+            }).join('');
+
+            if (older) {
+              body.insertAdjacentHTML('beforeend', rows);
+            } else {
+              body.innerHTML = rows || '<tr><td colspan="5" class="empty-state">No admin actions recorded yet</td></tr>';
+            }
+
+            if (data.entries.length > 0) auditBefore = data.entries[data.entries.length - 1].created_at;
+            document.getElementById('audit-older').disabled = data.entries.length < 50;
+          } catch (error) {
+            body.innerHTML = '<tr><td colspan="5" class="empty-state" style="color: #991b1b;">Error loading audit trail: ' + escapeHtml(error.message) + '</td></tr>';
+          }
+        }
+
+        function refreshAudit() {
+          if (document.getElementById('audit-body')) loadAudit(false);
+        }
+
+        async function changeRole(userId, select) {
+          const previous = select.getAttribute('data-current');
+          const role = select.value || null;
+          const label = select.options[select.selectedIndex].text;
+
+          if (!confirm(role ? 'Change this user\\'s role to ' + label + '?' : 'Remove this user\\'s role?')) {
+            select.value = previous;
+            return;
+          }
+          select.disabled = true;
+
+          try {
+            const response = await fetch('/api/admin/users/' + userId + '/role', {
+              method: 'PUT',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ role: role })
+            });
+            const data = await response.json();
+            if (!data.success) throw new Error(data.error || 'HTTP ' + response.status);
+            // Which roles can be picked next depends on the new one
+            loadUsers();
+            refreshAudit();
+          } catch (error) {
+            alert('Failed to change role: ' + error.message);
+            select.value = previous;
+            select.disabled = false;
+          }
+        }
+
+        async function replayJob(jobId, button) {
+          button.disabled = true;
+          button.textContent = 'Replaying...';
+
+          try {
+            const response = await fetch('/api/admin/jobs/' + jobId + '/replay', { method: 'POST' });
+            const data = await response.json();
+
+            if (!data.success) throw new Error(data.error || 'HTTP ' + response.status);
+
+            document.getElementById('job-' + jobId).remove();
+            refreshAudit();
+          } catch (error) {
+            alert('Failed to replay job: ' + error.message);
+            button.disabled = false;
+            button.textContent = 'Replay';
+          }
+        }
+
+        // One bar per day, drawn as inline SVG scaled to the busiest day
+        function renderChart(metric, days, values, total) {
+          const width = 300;
+          const height = 100;
+          const peak = Math.max.apply(null, values);
+          const slot = width / values.length;
+          const gap = slot > 4 ? 1 : 0;
+
+          const bars = values.map(function(value, i) {
+            const barHeight = peak > 0 ? value / peak * height : 0;
+            const x = i * slot;
+            return '<g><title>' + days[i] + ': ' + value.toLocaleString() + '</title>' +
+              '<rect x="' + x.toFixed(2) + '" y="0" width="' + slot.toFixed(2) + '" height="' + height + '" fill="transparent"></rect>' +
+              '<rect x="' + (x + gap / 2).toFixed(2) + '" y="' + (height - barHeight).toFixed(2) + '" width="' + (slot - gap).toFixed(2) + '" height="' + barHeight.toFixed(2) + '" fill="' + metric.color + '"></rect>' +
+              '</g>';
+          }).join('');
+
+          return '<div class="chart">' +
+            '<div class="chart-header">' +
+              '<span class="chart-title">' + escapeHtml(metric.label) + '</span>' +
+              '<span class="chart-total">' + total.toLocaleString() + '</span>' +
+            '</div>' +
+            '<svg viewBox="0 0 ' + width + ' ' + height + '" preserveAspectRatio="none" role="img" aria-label="' + escapeHtml(metric.label) + ' per day">' + bars + '</svg>' +
+            '<div class="chart-axis">' +
+              '<span>' + days[0] + '</span>' +
+              '<span>Peak ' + peak.toLocaleString() + '/day</span>' +
+              '<span>' + days[days.length - 1] + '</span>' +
+            '</div>' +
+          '</div>';
+        }
+
+        async function loadAnalytics() {
+          const container = document.getElementById('analytics-charts');
+          const days = document.getElementById('analytics-range').value;
+
+          try {
+            const response = await fetch('/api/admin/analytics?days=' + days);
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'HTTP ' + response.status);
+
+            container.innerHTML = ANALYTICS_METRICS.map(function(metric) {
+              return renderChart(metric, data.days, data.series[metric.key], data.totals[metric.key]);
+            }).join('');
+          } catch (error) {
+            container.innerHTML = '<div class="empty-state" style="grid-column: 1 / -1;">Failed to load activity: ' + escapeHtml(error.message) + '</div>';
+          }
+        }
+
+        loadAnalytics();
+        ${canReadUsers ? 'loadUsers();' : ''}
+        ${canReadAudit ? 'loadAudit(false);' : ''}
+      </script>
     </body>
     </html>
   `;
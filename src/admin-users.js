@@ -0,0 +1,217 @@
+// The users table on /admin: filters, sorting and keyset pagination
+//
+// Reads the admin_user_overview view (create-admin-user-overview.sql), which
+// rolls each user's mail accounts up into watch_enabled and needs_reauth.
+// Pages are addressed by an opaque cursor holding the sort value and id of the
+// last row shown, so a page costs the same however deep it is and users who
+// sign up meanwhile don't shift the pages after it.
+
+// Never includes token columns; those live in mail_accounts anyway
+export const ADMIN_USER_COLUMNS = 'id, email, name, picture, is_active, role, created_at, last_login, mail_account_count, watch_enabled, needs_reauth';
+
+export const USER_SORTS = ['created_at', 'last_login', 'email', 'name'];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_SEARCH_LENGTH = 200;
+
+const BOOLEAN_FILTERS = {
+  active: 'is_active',
+  watch: 'watch_enabled',
+  reauth: 'needs_reauth'
+};
+
+function parseBoolean(value, name, errors) {
+  if (value === undefined || value === '') return undefined;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  errors.push(`${name} must be true or false`);
+  return undefined;
+}
+
+// YYYY-MM-DD is a whole UTC day; anything else must be a full timestamp
+function parseDate(value, name, errors, { endOfDay = false } = {}) {
+  if (value === undefined || value === '') return undefined;
+
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const time = Date.parse(dateOnly ? `${value}T00:00:00Z` : value);
+  if (isNaN(time)) {
+    errors.push(`${name} must be a date (YYYY-MM-DD) or timestamp`);
+    return undefined;
+  }
+  return new Date(dateOnly && endOfDay ? time + 86400000 : time).toISOString();
+}
+
+export function encodeCursor({ sort, direction }, user) {
+  return Buffer.from(JSON.stringify({ s: sort, d: direction, v: user[sort] ?? null, id: user.id })).toString('base64url');
+}
+
+function decodeCursor(value) {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    return typeof cursor?.id === 'string' ? cursor : null;
+  } catch {
+    return null;
+  }
+}
+
+// Filters shared by the users table and anything else that lists users the
+// same way. Returns { filters, errors }.
+export function parseUserFilters(query) {
+  const errors = [];
+  const filters = {};
+
+  if (query.q !== undefined && query.q !== '') {
+    if (typeof query.q !== 'string' || query.q.length > MAX_SEARCH_LENGTH) {
+      errors.push(`q must be a string of at most ${MAX_SEARCH_LENGTH} characters`);
+    } else if (query.q.trim()) {
+      filters.search = query.q.trim().toLowerCase();
+    }
+  }
+
+  for (const name of Object.keys(BOOLEAN_FILTERS)) {
+    const value = parseBoolean(query[name], name, errors);
+    if (value !== undefined) filters[name] = value;
+  }
+
+  const joinedFrom = parseDate(query.joinedFrom, 'joinedFrom', errors);
+  const joinedTo = parseDate(query.joinedTo, 'joinedTo', errors, { endOfDay: true });
+  if (joinedFrom) filters.joinedFrom = joinedFrom;
+  if (joinedTo) filters.joinedTo = joinedTo;
+
+  return { filters, errors };
+}
+
+// Query string of GET /api/admin/users. Returns { options, errors }.
+export function parseUserListQuery(query) {
+  const { filters, errors } = parseUserFilters(query);
+  const options = {
+    filters,
+    sort: query.sort || 'created_at',
+    direction: query.direction || 'desc',
+    limit: DEFAULT_PAGE_SIZE,
+    cursor: null
+  };
+
+  if (!USER_SORTS.includes(options.sort)) {
+    errors.push(`sort must be one of ${USER_SORTS.join(', ')}`);
+  }
+  if (!['asc', 'desc'].includes(options.direction)) {
+    errors.push('direction must be asc or desc');
+  }
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      errors.push(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+    } else {
+      options.limit = limit;
+    }
+  }
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      errors.push('cursor is invalid');
+    } else if (cursor.s !== options.sort || cursor.d !== options.direction) {
+      errors.push('cursor belongs to a different sort order; start again from the first page');
+    } else {
+      options.cursor = cursor;
+    }
+  }
+
+  return { options, errors };
+}
+
+// PostgREST filter value, quoted so dots, commas and parentheses stay literal
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/["\\]/g, match => `\\${match}`)}"`;
+}
+
+export function applyUserFilters(query, filters) {
+  if (filters.search) {
+    query = query.ilike('search_text', `%${filters.search.replace(/[\\%_]/g, match => `\\${match}`)}%`);
+  }
+  for (const [name, column] of Object.entries(BOOLEAN_FILTERS)) {
+    if (filters[name] !== undefined) query = query.eq(column, filters[name]);
+  }
+  if (filters.joinedFrom) query = query.gte('created_at', filters.joinedFrom);
+  if (filters.joinedTo) query = query.lt('created_at', filters.joinedTo);
+  return query;
+}
+
+// Rows after the cursor in (sort, id) order. Rows without a sort value (no
+// name, never logged in) come last in both directions.
+function applyCursor(query, { sort, direction }, cursor) {
+  const op = direction === 'asc' ? 'gt' : 'lt';
+
+  if (cursor.v === null) {
+    return query.is(sort, null)[op]('id', cursor.id);
+  }
+
+  const value = quoteFilterValue(cursor.v);
+  return query.or(`${sort}.${op}.${value},and(${sort}.eq.${value},id.${op}.${quoteFilterValue(cursor.id)}),${sort}.is.null`);
+}
+
+// One page of users. total is only counted for the first page, and only when
+// countTotal is left on.
+export async function listAdminUsers(supabase, { filters = {}, sort = 'created_at', direction = 'desc', limit = DEFAULT_PAGE_SIZE, cursor = null, countTotal = true } = {}) {
+  const withTotal = countTotal && !cursor;
+  let query = supabase
+    .from('admin_user_overview')
+    .select(ADMIN_USER_COLUMNS, withTotal ? { count: 'exact' } : undefined);
+
+  query = applyUserFilters(query, filters);
+  if (cursor) query = applyCursor(query, { sort, direction }, cursor);
+
+  const ascending = direction === 'asc';
+  const { data, error, count } = await query
+    .order(sort, { ascending, nullsFirst: false })
+    .order('id', { ascending })
+    .limit(limit + 1);
+
+  if (error) throw error;
+
+  const users = data.slice(0, limit);
+  return {
+    users,
+    nextCursor: data.length > limit ? encodeCursor({ sort, direction }, users[users.length - 1]) : null,
+    total: withTotal ? count ?? null : null
+  };
+}
+
+// Every user matching filters, one page of batchSize at a time, so exports of
+// any size only ever hold one page in memory
+export async function* iterateAdminUsers(supabase, { filters = {}, sort = 'created_at', direction = 'asc', batchSize = 500 } = {}) {
+  let cursor = null;
+  do {
+    const page = await listAdminUsers(supabase, { filters, sort, direction, limit: batchSize, cursor, countTotal: false });
+    yield page.users;
+    cursor = page.nextCursor ? decodeCursor(page.nextCursor) : null;
+  } while (cursor);
+}
+
+async function countUsers(supabase, filter = query => query) {
+  const { count, error } = await filter(
+    supabase.from('users').select('id', { count: 'exact', head: true })
+  );
+
+  if (error) throw error;
+  return count;
+}
+
+// The summary cards, counted in the database
+export async function getUserStats(supabase, now = new Date()) {
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const weekAgo = new Date(today);
+  weekAgo.setDate(weekAgo.getDate() - 7);
+
+  const [totalUsers, activeUsers, newToday, newThisWeek] = await Promise.all([
+    countUsers(supabase),
+    countUsers(supabase, query => query.eq('is_active', true)),
+    countUsers(supabase, query => query.gte('created_at', today.toISOString())),
+    countUsers(supabase, query => query.gte('created_at', weekAgo.toISOString()))
+  ]);
+
+  return { totalUsers, activeUsers, newToday, newThisWeek };
+}
@@ -0,0 +1,224 @@
+// Mailbox modifications with an audit trail
+//
+// Every label change or trash the server makes goes through this module, which
+// records the labels before and after in the append-only agent_actions table.
+// Undo is itself a new entry (undo_of points at the original) that reverts
+// exactly the labels the original action changed.
+
+import { incrementDailyMetric } from './admin-analytics.js';
+
+async function getCurrentLabelIds(gmail, messageId) {
+  const response = await gmail.users.messages.get({
+    userId: 'me',
+    id: messageId,
+    format: 'minimal'
+  });
+  return response.data.labelIds || [];
+}
+
+async function recordAction(supabase, entry) {
+  const { data, error } = await supabase
+    .from('agent_actions')
+    .insert([entry])
+    .select()
+    .single();
+
+  if (error) throw error;
+  if (entry.trigger_type === 'rule') await incrementDailyMetric(supabase, 'rule_actions');
+  return data;
+}
+
+function triggerFields(trigger) {
+  return {
+    trigger_type: trigger.type,
+    rule_id: trigger.ruleId || null,
+    rule_name: trigger.ruleName || null,
+    actor: trigger.actor || null,
+    undo_of: trigger.undoOf || null
+  };
+}
+
+// Add/remove labels on a message and log it. `trigger` is
+// { type: 'rule' | 'classifier' | 'manual' | 'api', ruleId?, ruleName?, actor? }.
+// `mailAccountId` is the account whose mailbox `gmail` is authorized for.
+// Returns the message's label ids after the change.
+export async function modifyMessageLabels({ gmail, supabase, userId, mailAccountId, messageId, addLabelIds = [], removeLabelIds = [], trigger }) {
+  const labelsBefore = await getCurrentLabelIds(gmail, messageId);
+
+  const response = await gmail.users.messages.modify({
+    userId: 'me',
+    id: messageId,
+    requestBody: { addLabelIds, removeLabelIds }
+  });
+  const labelsAfter = response.data.labelIds || [];
+
+  await recordAction(supabase, {
+    user_id: userId,
+    mail_account_id: mailAccountId,
+    gmail_message_id: messageId,
+    action: 'modify',
+    labels_before: labelsBefore,
+    labels_after: labelsAfter,
+    ...triggerFields(trigger)
+  });
+
+  return labelsAfter;
+}
+
+// Move a message to the trash and log it. Returns the label ids afterwards.
+export async function trashMessage({ gmail, supabase, userId, mailAccountId, messageId, trigger }) {
+  const labelsBefore = await getCurrentLabelIds(gmail, messageId);
+
+  const response = await gmail.users.messages.trash({ userId: 'me', id: messageId });
+  const labelsAfter = response.data.labelIds || [];
+
+  await recordAction(supabase, {
+    user_id: userId,
+    mail_account_id: mailAccountId,
+    gmail_message_id: messageId,
+    action: 'trash',
+    labels_before: labelsBefore,
+    labels_after: labelsAfter,
+    ...triggerFields(trigger)
+  });
+
+  return labelsAfter;
+}
+
+// Map a label name (or id) to a Gmail label id. Missing labels are created
+// when `create` is set, otherwise null is returned. Pass the same `labelCache`
+// object across calls to list the mailbox's labels only once.
+export async function resolveLabelId(gmail, label, labelCache, create) {
+  if (!labelCache.labels) {
+    const response = await gmail.users.labels.list({ userId: 'me' });
+    labelCache.labels = response.data.labels || [];
+  }
+
+  const existing = labelCache.labels.find(l =>
+    l.id === label || l.name.toLowerCase() === label.toLowerCase()
+  );
+  if (existing) return existing.id;
+  if (!create) return null;
+
+  const created = await gmail.users.labels.create({
+    userId: 'me',
+    requestBody: {
+      name: label,
+      labelListVisibility: 'labelShow',
+      messageListVisibility: 'show'
+    }
+  });
+  labelCache.labels.push(created.data);
+  return created.data.id;
+}
+
+// Most recent actions for a user, newest first, with an `undone` flag.
+// Pass `before` (an ISO timestamp) to page further back and `mailAccountId`
+// to only list one mailbox.
+export async function listAgentActions(supabase, userId, { limit = 50, before, mailAccountId } = {}) {
+  let query = supabase
+    .from('agent_actions')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (before) query = query.lt('created_at', before);
+  if (mailAccountId) query = query.eq('mail_account_id', mailAccountId);
+
+  const { data: actions, error } = await query;
+  if (error) throw error;
+
+  const ids = actions.map(a => a.id);
+  const { data: undos, error: undoError } = ids.length
+    ? await supabase.from('agent_actions').select('undo_of').in('undo_of', ids)
+    : { data: [], error: null };
+
+  if (undoError) throw undoError;
+  const undone = new Set(undos.map(u => u.undo_of));
+
+  return actions.map(action => ({ ...action, undone: undone.has(action.id) }));
+}
+
+// Revert the labels changed by a logged action on the mailbox `gmail` is
+// authorized for. Labels the user changed independently since then are left alone.
+export async function undoAgentAction({ gmail, supabase, userId, mailAccountId, actionId, actor }) {
+  const { data: action, error } = await supabase
+    .from('agent_actions')
+    .select('*')
+    .eq('id', actionId)
+    .eq('user_id', userId)
+    .eq('mail_account_id', mailAccountId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!action) {
+    const notFound = new Error('Action not found');
+    notFound.code = 'NOT_FOUND';
+    throw notFound;
+  }
+
+  const { data: existingUndos, error: undoError } = await supabase
+    .from('agent_actions')
+    .select('id')
+    .eq('undo_of', actionId)
+    .limit(1);
+
+  if (undoError) throw undoError;
+  if (existingUndos.length > 0 || action.undo_of) {
+    const conflict = new Error(action.undo_of ? 'An undo cannot be undone' : 'Action was already undone');
+    conflict.code = 'CONFLICT';
+    throw conflict;
+  }
+
+  const before = new Set(action.labels_before);
+  const after = new Set(action.labels_after);
+  const addLabelIds = action.labels_before.filter(id => !after.has(id));
+  let removeLabelIds = action.labels_after.filter(id => !before.has(id));
+  const trigger = { type: 'manual', actor, undoOf: action.id };
+
+  // Gmail doesn't allow removing TRASH through modify, so untrash first
+  if (removeLabelIds.includes('TRASH')) {
+    const labelsBefore = await getCurrentLabelIds(gmail, action.gmail_message_id);
+    const response = await gmail.users.messages.untrash({ userId: 'me', id: action.gmail_message_id });
+
+    await recordAction(supabase, {
+      user_id: userId,
+      mail_account_id: mailAccountId,
+      gmail_message_id: action.gmail_message_id,
+      action: 'untrash',
+      labels_before: labelsBefore,
+      labels_after: response.data.labelIds || [],
+      ...triggerFields(trigger)
+    });
+
+    removeLabelIds = removeLabelIds.filter(id => id !== 'TRASH');
+  }
+
+  let labelIds;
+  if (addLabelIds.length || removeLabelIds.length) {
+    labelIds = await modifyMessageLabels({
+      gmail,
+      supabase,
+      userId,
+      mailAccountId,
+      messageId: action.gmail_message_id,
+      addLabelIds,
+      removeLabelIds,
+      trigger
+    });
+  } else {
+    labelIds = await getCurrentLabelIds(gmail, action.gmail_message_id);
+  }
+
+  // Keep the stored copy's labels in line with Gmail
+  const { error: updateError } = await supabase
+    .from('messages')
+    .update({ label_ids: labelIds })
+    .eq('mail_account_id', mailAccountId)
+    .eq('gmail_message_id', action.gmail_message_id);
+
+  if (updateError) console.error('[Agent Actions] Failed to update stored labels:', updateError);
+
+  return labelIds;
+}
@@ -0,0 +1,134 @@
+// Classification settings card for the user dashboard. Talks to /api/classification/settings.
+export function generateClassificationSection() {
+  return `
+    <div class="card classification-card" style="margin-top: 1.5rem;">
+      <style>
+        .classification-card h3 { margin-bottom: 1rem; color: #333; }
+        .classification-card .muted { color: #666; }
+        .classification-card .field-row {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 0.5rem;
+          align-items: center;
+          margin-bottom: 0.5rem;
+        }
+        .classification-card input {
+          padding: 8px;
+          border: 1px solid #ddd;
+          border-radius: 6px;
+          font-size: 0.9rem;
+        }
+        .classification-card button {
+          background: #667eea;
+          color: white;
+          padding: 8px 16px;
+          border: none;
+          border-radius: 8px;
+          cursor: pointer;
+          font-weight: 600;
+        }
+        .classification-card button:hover { background: #5568d3; }
+        .classification-card button.secondary { background: #e5e7eb; color: #333; }
+        .classification-card h4 { margin: 1rem 0 0.5rem; color: #333; }
+      </style>
+
+      <h3>Mail Classification</h3>
+      <p class="muted" style="margin-bottom: 1rem;">
+        New messages are sorted into categories. Provider: <strong id="classifier-provider">…</strong>
+      </p>
+
+      <div class="field-row">
+        <label><input id="classification-enabled" type="checkbox"> Classify new mail</label>
+        <label><input id="classification-mirror" type="checkbox"> Add Gmail labels</label>
+        <label><input id="classification-drafts" type="checkbox"> Draft replies for needs-reply mail</label>
+        <label>Label prefix <input id="classification-prefix" style="width: 100px;"></label>
+        <label>Min. confidence <input id="classification-min-confidence" type="number" min="0" max="1" step="0.05" style="width: 80px;"></label>
+      </div>
+
+      <h4>Categories</h4>
+      <div id="classification-categories"></div>
+      <button type="button" class="secondary" onclick="addCategoryRow({})">+ Category</button>
+
+      <div class="field-row" style="margin-top: 1rem;">
+        <button type="button" onclick="saveClassificationSettings()">Save</button>
+        <span id="classification-message"></span>
+      </div>
+    </div>
+
+    <script>
+      function addCategoryRow(category) {
+        const row = document.createElement('div');
+        row.className = 'field-row category-row';
+        row.innerHTML = '<input class="category-name" placeholder="name" style="width: 140px;" value="' + escapeHtml(category.name) + '">' +
+          '<input class="category-keywords" placeholder="keywords, comma separated" style="flex: 1; min-width: 200px;" value="' +
+            escapeHtml((category.keywords || []).join(', ')) + '">' +
+          '<input class="category-description" placeholder="description (used by LLM providers)" style="flex: 1; min-width: 200px;" value="' +
+            escapeHtml(category.description) + '">' +
+          '<button type="button" class="secondary" onclick="this.parentElement.remove()">✕</button>';
+        document.getElementById('classification-categories').appendChild(row);
+      }
+
+      async function loadClassificationSettings() {
+        try {
+          const response = await fetch('/api/classification/settings');
+          if (!response.ok) throw new Error('HTTP ' + response.status);
+          const data = await response.json();
+
+          document.getElementById('classifier-provider').textContent = data.provider;
+          document.getElementById('classification-enabled').checked = data.settings.enabled;
+          document.getElementById('classification-mirror').checked = data.settings.mirror_labels;
+          document.getElementById('classification-drafts').checked = data.settings.draft_replies;
+          document.getElementById('classification-prefix').value = data.settings.label_prefix;
+          document.getElementById('classification-min-confidence').value = data.settings.min_confidence;
+          document.getElementById('classification-categories').innerHTML = '';
+          data.settings.categories.forEach(addCategoryRow);
+        } catch (error) {
+          document.getElementById('classification-message').innerHTML =
+            '<span style="color: #ef4444;">Error loading settings: ' + escapeHtml(error.message) + '</span>';
+        }
+      }
+
+      async function saveClassificationSettings() {
+        const messageSpan = document.getElementById('classification-message');
+        const categories = Array.from(document.querySelectorAll('.category-row')).map(function(row) {
+          return {
+            name: row.querySelector('.category-name').value.trim(),
+            description: row.querySelector('.category-description').value.trim(),
+            keywords: row.querySelector('.category-keywords').value.split(',')
+              .map(function(k) { return k.trim(); })
+              .filter(Boolean)
+          };
+        });
+
+        try {
+          const response = await fetch('/api/classification/settings', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              enabled: document.getElementById('classification-enabled').checked,
+              mirror_labels: document.getElementById('classification-mirror').checked,
+              draft_replies: document.getElementById('classification-drafts').checked,
+              label_prefix: document.getElementById('classification-prefix').value.trim(),
+              min_confidence: Number(document.getElementById('classification-min-confidence').value),
+              categories: categories
+            })
+          });
+          const data = await response.json();
+
+          if (!data.success) {
+            messageSpan.innerHTML = '<span style="color: #991b1b;">✗ ' + escapeHtml(data.error) + ': ' +
+              escapeHtml((data.details || []).join ? data.details.join('; ') : data.details) + '</span>';
+            return;
+          }
+
+          messageSpan.innerHTML = '<span style="color: #10b981;">✓ Saved</span>';
+          setTimeout(function() { messageSpan.innerHTML = ''; }, 2000);
+        } catch (error) {
+          messageSpan.innerHTML = '<span style="color: #991b1b;">✗ Connection Error</span>';
+        }
+      }
+
+      loadClassificationSettings();
+    </script>
+  `;
+}
@@ -0,0 +1,259 @@
+// Classification of incoming mail into user-configurable categories
+//
+// A provider is an object with
+//   name: string
+//   classify(message, categories) -> Promise<{ category, confidence }>
+// where `category` is one of the category names (or null when nothing fits)
+// and `confidence` is between 0 and 1.
+//
+// CLASSIFIER_PROVIDER selects the provider:
+//   keyword - deterministic keyword matching, no network (default, used in tests)
+//   http    - any OpenAI-compatible chat completions endpoint
+//             (LLM_API_URL, LLM_API_KEY, LLM_MODEL)
+
+import { modifyMessageLabels, resolveLabelId } from './agent-actions.js';
+
+export const DEFAULT_CATEGORIES = [
+  {
+    name: 'urgent',
+    description: 'Time-sensitive mail that needs attention today',
+    keywords: ['urgent', 'asap', 'immediately', 'action required', 'deadline', 'overdue']
+  },
+  {
+    name: 'needs-reply',
+    description: 'A person is asking the recipient a question or waiting on an answer',
+    keywords: ['can you', 'could you', 'let me know', 'please reply', 'your thoughts', 'are you available']
+  },
+  {
+    name: 'newsletter',
+    description: 'Newsletters, digests and marketing mail',
+    keywords: ['unsubscribe', 'newsletter', 'weekly digest', 'view in browser']
+  },
+  {
+    name: 'receipt',
+    description: 'Receipts, invoices and order confirmations',
+    keywords: ['receipt', 'invoice', 'order confirmation', 'payment received', 'your order']
+  },
+  {
+    name: 'spam-ish',
+    description: 'Unsolicited offers and likely spam that got past Gmail',
+    keywords: ['winner', 'free money', 'limited time offer', 'act now', 'congratulations you']
+  }
+];
+
+const DEFAULT_LABEL_PREFIX = 'Agent';
+const DEFAULT_MIN_CONFIDENCE = 0.5;
+const MAX_KEYWORD_LENGTH = 100;
+const MAX_PROMPT_BODY_LENGTH = 4000;
+
+function messageText(message) {
+  return [message.subject, message.snippet, message.body_text]
+    .filter(Boolean)
+    .join('\n')
+    .toLowerCase();
+}
+
+// Scores each category by how many of its keywords appear in the message.
+// The same input always gives the same result. A single hit scores exactly the
+// default min_confidence, so with default settings one keyword is enough.
+export function createKeywordProvider() {
+  return {
+    name: 'keyword',
+    async classify(message, categories) {
+      const text = messageText(message);
+      let best = { category: null, confidence: 0 };
+
+      for (const category of categories) {
+        // Settings saved before keywords were validated may hold anything
+        const keywords = (category.keywords || []).filter(keyword => typeof keyword === 'string' && keyword.trim());
+        if (keywords.length === 0) continue;
+
+        const hits = keywords.filter(keyword => text.includes(keyword.trim().toLowerCase())).length;
+        if (hits === 0) continue;
+
+        // One hit is a weak signal; three or more is as sure as keywords get
+        const confidence = Math.min(DEFAULT_MIN_CONFIDENCE + 0.2 * (hits - 1), 0.9);
+        if (confidence > best.confidence) {
+          best = { category: category.name, confidence };
+        }
+      }
+
+      return best;
+    }
+  };
+}
+
+// Asks an OpenAI-compatible chat completions endpoint to pick a category
+export function createHttpProvider({
+  apiUrl = process.env.LLM_API_URL,
+  apiKey = process.env.LLM_API_KEY,
+  model = process.env.LLM_MODEL,
+  timeoutMs = parseInt(process.env.LLM_TIMEOUT_MS) || 20000
+} = {}) {
+  if (!apiUrl || !model) {
+    throw new Error('LLM_API_URL and LLM_MODEL must be set for the http classifier');
+  }
+
+  return {
+    name: 'http',
+    async classify(message, categories) {
+      const categoryList = categories
+        .map(c => `- ${c.name}${c.description ? `: ${c.description}` : ''}`)
+        .join('\n');
+
+      const response = await fetch(`${apiUrl.replace(/\/$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({
+          model,
+          temperature: 0,
+          messages: [
+            {
+              role: 'system',
+              content: 'You classify emails. Reply with JSON only: {"category": "<name or null>", "confidence": <0..1>}. ' +
+                `Pick one of these categories, or null if none fits:\n${categoryList}`
+            },
+            {
+              role: 'user',
+              content: `From: ${message.from_address || ''}\nSubject: ${message.subject || ''}\n\n` +
+                (message.body_text || message.snippet || '').slice(0, MAX_PROMPT_BODY_LENGTH)
+            }
+          ]
+        }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Classifier endpoint returned HTTP ${response.status}`);
+      }
+
+      const data = await response.json();
+      const content = data.choices?.[0]?.message?.content || '';
+      const json = content.match(/\{[\s\S]*\}/);
+      if (!json) {
+        throw new Error('Classifier response did not contain JSON');
+      }
+
+      const result = JSON.parse(json[0]);
+      const known = categories.some(c => c.name === result.category);
+      const confidence = Math.max(0, Math.min(1, Number(result.confidence) || 0));
+
+      return known ? { category: result.category, confidence } : { category: null, confidence: 0 };
+    }
+  };
+}
+
+export function createClassifier(provider = process.env.CLASSIFIER_PROVIDER || 'keyword') {
+  switch (provider) {
+    case 'keyword':
+      return createKeywordProvider();
+    case 'http':
+      return createHttpProvider();
+    default:
+      throw new Error(`Unknown CLASSIFIER_PROVIDER: ${provider}`);
+  }
+}
+
+// A user's classification settings, falling back to the defaults when they have none
+export async function getClassificationSettings(supabase, userId) {
+  const { data, error } = await supabase
+    .from('classification_settings')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return {
+    enabled: data ? data.enabled : true,
+    mirror_labels: data ? data.mirror_labels : false,
+    label_prefix: data?.label_prefix || DEFAULT_LABEL_PREFIX,
+    min_confidence: data ? data.min_confidence : DEFAULT_MIN_CONFIDENCE,
+    draft_replies: data ? data.draft_replies !== false : true,
+    categories: data?.categories?.length ? data.categories : DEFAULT_CATEGORIES
+  };
+}
+
+// Returns a list of validation errors; empty means the settings are valid
+export function validateClassificationSettings(settings) {
+  const errors = [];
+
+  if (!Array.isArray(settings.categories) || settings.categories.length === 0) {
+    errors.push('at least one category is required');
+  } else {
+    const names = new Set();
+    settings.categories.forEach((category, i) => {
+      if (!category?.name || typeof category.name !== 'string' || !/^[\w -]{1,40}$/.test(category.name)) {
+        errors.push(`categories[${i}]: name must be 1-40 letters, digits, spaces, dashes or underscores`);
+      } else if (names.has(category.name)) {
+        errors.push(`categories[${i}]: duplicate name "${category.name}"`);
+      } else {
+        names.add(category.name);
+      }
+      if (category?.keywords && !Array.isArray(category.keywords)) {
+        errors.push(`categories[${i}]: keywords must be a list`);
+      } else if ((category?.keywords || []).some(keyword =>
+        typeof keyword !== 'string' || !keyword.trim() || keyword.length > MAX_KEYWORD_LENGTH)) {
+        errors.push(`categories[${i}]: keywords must be non-empty text of at most ${MAX_KEYWORD_LENGTH} characters`);
+      }
+    });
+  }
+  if (settings.label_prefix !== undefined &&
+      (typeof settings.label_prefix !== 'string' || !/^[\w -]{1,40}$/.test(settings.label_prefix))) {
+    errors.push('label_prefix must be 1-40 letters, digits, spaces, dashes or underscores');
+  }
+  if (settings.min_confidence !== undefined &&
+      (typeof settings.min_confidence !== 'number' || settings.min_confidence < 0 || settings.min_confidence > 1)) {
+    errors.push('min_confidence must be between 0 and 1');
+  }
+
+  return errors;
+}
+
+// Classify a newly synced message, store the result on it and, if the user
+// asked for it, mirror the category as a Gmail label.
+export async function classifyMessage({ gmail, supabase, user, message, classifier }) {
+  const settings = await getClassificationSettings(supabase, user.id);
+  if (!settings.enabled) return null;
+
+  const result = await classifier.classify(message, settings.categories);
+  const category = result.confidence >= settings.min_confidence ? result.category : null;
+
+  const { error } = await supabase
+    .from('messages')
+    .update({
+      category,
+      category_confidence: result.confidence,
+      classification_provider: classifier.name,
+      classified_at: new Date().toISOString()
+    })
+    .eq('id', message.id);
+
+  if (error) throw error;
+
+  message.category = category;
+  message.category_confidence = result.confidence;
+
+  if (category && settings.mirror_labels) {
+    const labelId = await resolveLabelId(gmail, `${settings.label_prefix}/${category}`, {}, true);
+    message.label_ids = await modifyMessageLabels({
+      gmail,
+      supabase,
+      userId: user.id,
+      mailAccountId: message.mail_account_id,
+      messageId: message.gmail_message_id,
+      addLabelIds: [labelId],
+      trigger: { type: 'classifier', actor: classifier.name }
+    });
+
+    await supabase
+      .from('messages')
+      .update({ label_ids: message.label_ids })
+      .eq('id', message.id);
+  }
+
+  return { category, confidence: result.confidence };
+}
@@ -0,0 +1,177 @@
+// Digest settings card for the user dashboard. Talks to /api/digest.
+export function generateDigestSection() {
+  return `
+    <div class="card digest-card" style="margin-top: 1.5rem;">
+      <style>
+        .digest-card h3 { margin-bottom: 1rem; color: #333; }
+        .digest-card .muted { color: #666; }
+        .digest-card .field-row {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 0.5rem;
+          align-items: center;
+          margin-bottom: 0.5rem;
+        }
+        .digest-card input, .digest-card select {
+          padding: 8px;
+          border: 1px solid #ddd;
+          border-radius: 6px;
+          font-size: 0.9rem;
+        }
+        .digest-card button {
+          background: #667eea;
+          color: white;
+          padding: 8px 16px;
+          border: none;
+          border-radius: 8px;
+          cursor: pointer;
+          font-weight: 600;
+        }
+        .digest-card button:hover { background: #5568d3; }
+        .digest-card button.secondary { background: #e5e7eb; color: #333; }
+      </style>
+
+      <h3>Mail Digest</h3>
+      <p class="muted" style="margin-bottom: 1rem;">
+        A summary of your mail: counts by category, top senders and threads waiting for your reply.
+        Schedule: <strong id="digest-schedule">…</strong>
+      </p>
+
+      <div class="field-row">
+        <label>Frequency
+          <select id="digest-frequency" onchange="updateDigestFields()">
+            <option value="off">Off</option>
+            <option value="daily">Daily</option>
+            <option value="weekly">Weekly</option>
+          </select>
+        </label>
+        <label id="digest-weekday-field">on
+          <select id="digest-weekday">
+            <option value="1">Monday</option>
+            <option value="2">Tuesday</option>
+            <option value="3">Wednesday</option>
+            <option value="4">Thursday</option>
+            <option value="5">Friday</option>
+            <option value="6">Saturday</option>
+            <option value="0">Sunday</option>
+          </select>
+        </label>
+        <label>at <select id="digest-hour"></select></label>
+        <label>Timezone <input id="digest-timezone" style="width: 180px;" placeholder="Europe/Berlin"></label>
+      </div>
+
+      <div class="field-row">
+        <label>Deliver to
+          <select id="digest-delivery" onchange="updateDigestFields()">
+            <option value="mailbox">My inbox</option>
+            <option value="webhook">Webhook</option>
+          </select>
+        </label>
+        <input id="digest-webhook-url" type="url" placeholder="https://..." style="flex: 1; min-width: 220px;">
+        <label>Unanswered after <input id="digest-unanswered-hours" type="number" min="1" max="720" style="width: 70px;"> hours</label>
+      </div>
+
+      <div class="field-row" style="margin-top: 1rem;">
+        <button type="button" onclick="saveDigestSettings()">Save</button>
+        <button type="button" class="secondary" onclick="sendDigestNow(this)">Send one now</button>
+        <span id="digest-message"></span>
+      </div>
+    </div>
+
+    <script>
+      (function() {
+        const hourSelect = document.getElementById('digest-hour');
+        for (let hour = 0; hour < 24; hour++) {
+          const option = document.createElement('option');
+          option.value = hour;
+          option.textContent = (hour < 10 ? '0' : '') + hour + ':00';
+          hourSelect.appendChild(option);
+        }
+      })();
+
+      function updateDigestFields() {
+        const frequency = document.getElementById('digest-frequency').value;
+        const delivery = document.getElementById('digest-delivery').value;
+        document.getElementById('digest-weekday-field').style.display = frequency === 'weekly' ? '' : 'none';
+        document.getElementById('digest-webhook-url').style.display = delivery === 'webhook' ? '' : 'none';
+      }
+
+      function showDigestMessage(html) {
+        const messageSpan = document.getElementById('digest-message');
+        messageSpan.innerHTML = html;
+        setTimeout(function() { messageSpan.innerHTML = ''; }, 3000);
+      }
+
+      async function loadDigestSettings() {
+        try {
+          const response = await fetch('/api/digest/settings');
+          if (!response.ok) throw new Error('HTTP ' + response.status);
+          const data = await response.json();
+          const settings = data.settings;
+
+          document.getElementById('digest-frequency').value = settings.frequency;
+          document.getElementById('digest-weekday').value = settings.weekday;
+          document.getElementById('digest-hour').value = settings.send_hour;
+          // Suggest the browser's timezone until the user has saved one
+          document.getElementById('digest-timezone').value = settings.frequency === 'off' && settings.timezone === 'UTC'
+            ? Intl.DateTimeFormat().resolvedOptions().timeZone
+            : settings.timezone;
+          document.getElementById('digest-delivery').value = settings.delivery;
+          document.getElementById('digest-webhook-url').value = settings.webhook_url || '';
+          document.getElementById('digest-unanswered-hours').value = settings.unanswered_hours;
+          document.getElementById('digest-schedule').textContent = data.schedule;
+          updateDigestFields();
+        } catch (error) {
+          document.getElementById('digest-message').innerHTML =
+            '<span style="color: #ef4444;">Error loading settings: ' + escapeHtml(error.message) + '</span>';
+        }
+      }
+
+      async function saveDigestSettings() {
+        try {
+          const response = await fetch('/api/digest/settings', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              frequency: document.getElementById('digest-frequency').value,
+              weekday: Number(document.getElementById('digest-weekday').value),
+              send_hour: Number(document.getElementById('digest-hour').value),
+              timezone: document.getElementById('digest-timezone').value.trim(),
+              delivery: document.getElementById('digest-delivery').value,
+              webhook_url: document.getElementById('digest-webhook-url').value.trim(),
+              unanswered_hours: Number(document.getElementById('digest-unanswered-hours').value)
+            })
+          });
+          const data = await response.json();
+
+          if (!data.success) {
+            showDigestMessage('<span style="color: #991b1b;">✗ ' + escapeHtml(data.error) + ': ' +
+              escapeHtml((data.details || []).join ? data.details.join('; ') : data.details) + '</span>');
+            return;
+          }
+
+          document.getElementById('digest-schedule').textContent = data.schedule;
+          showDigestMessage('<span style="color: #10b981;">✓ Saved</span>');
+        } catch (error) {
+          showDigestMessage('<span style="color: #991b1b;">✗ Connection Error</span>');
+        }
+      }
+
+      async function sendDigestNow(button) {
+        button.disabled = true;
+        try {
+          const response = await fetch('/api/digest/send', { method: 'POST' });
+          const data = await response.json();
+          if (!data.success) throw new Error(data.details || data.error);
+          showDigestMessage('<span style="color: #10b981;">✓ Digest sent (' + data.digest.totalMessages + ' messages)</span>');
+        } catch (error) {
+          showDigestMessage('<span style="color: #991b1b;">✗ ' + escapeHtml(error.message) + '</span>');
+        } finally {
+          button.disabled = false;
+        }
+      }
+
+      loadDigestSettings();
+    </script>
+  `;
+}
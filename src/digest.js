@@ -0,0 +1,453 @@
+// Daily/weekly mail digests
+//
+// A scheduler checks digest_settings every few minutes and queues a
+// send_digest job for each user whose scheduled time (in their own timezone)
+// has passed since their last digest. The job summarizes the stored messages
+// for the period, across all of the user's mail accounts, and delivers the
+// summary as an HTML email inserted into the user's primary mailbox, or posts
+// it to the user's webhook. Every function takes `now` so the schedule can be
+// driven by a fake clock.
+
+import { enqueueJob } from './job-queue.js';
+import { needsReauthError } from './gmail-client.js';
+import { getPrimaryMailAccount, listMailAccounts } from './mail-accounts.js';
+import { escapeHtml } from './html-escape.js';
+import { checkWebhookUrl, postWebhookJson } from './outbound-webhook.js';
+
+export const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+export const DIGEST_DELIVERY_METHODS = ['mailbox', 'webhook'];
+
+const PERIOD_MS = { daily: 24 * 60 * 60 * 1000, weekly: 7 * 24 * 60 * 60 * 1000 };
+const DEFAULT_CHECK_INTERVAL_MINUTES = 15;
+const MAX_DIGEST_MESSAGES = 5000;
+const TOP_SENDERS = 10;
+const MAX_UNANSWERED = 20;
+// Threads waiting longer than this aren't listed any more, and at most this
+// many are looked at
+const UNANSWERED_LOOKBACK_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_UNANSWERED_SCAN = 500;
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const DEFAULT_SETTINGS = {
+  frequency: 'off',
+  send_hour: 8,
+  weekday: 1,
+  timezone: 'UTC',
+  delivery: 'mailbox',
+  webhook_url: null,
+  unanswered_hours: 48
+};
+
+// A user's digest settings, falling back to the defaults when they have none
+export async function getDigestSettings(supabase, userId) {
+  const { data, error } = await supabase
+    .from('digest_settings')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return { ...DEFAULT_SETTINGS, ...data };
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Returns a list of validation errors; empty means the settings are valid
+export function validateDigestSettings(settings) {
+  const errors = [];
+
+  if (!DIGEST_FREQUENCIES.includes(settings.frequency)) {
+    errors.push(`frequency must be one of ${DIGEST_FREQUENCIES.join(', ')}`);
+  }
+  if (!Number.isInteger(settings.send_hour) || settings.send_hour < 0 || settings.send_hour > 23) {
+    errors.push('send_hour must be a whole hour between 0 and 23');
+  }
+  if (settings.weekday !== undefined &&
+      (!Number.isInteger(settings.weekday) || settings.weekday < 0 || settings.weekday > 6)) {
+    errors.push('weekday must be between 0 (Sunday) and 6 (Saturday)');
+  }
+  if (typeof settings.timezone !== 'string' || !isValidTimeZone(settings.timezone)) {
+    errors.push('timezone must be an IANA time zone such as Europe/Berlin');
+  }
+  if (!DIGEST_DELIVERY_METHODS.includes(settings.delivery)) {
+    errors.push(`delivery must be one of ${DIGEST_DELIVERY_METHODS.join(', ')}`);
+  }
+  if (settings.delivery === 'webhook') {
+    const problem = checkWebhookUrl(settings.webhook_url);
+    if (problem) errors.push(`webhook_url ${problem}`);
+  }
+  if (settings.unanswered_hours !== undefined &&
+      (!Number.isInteger(settings.unanswered_hours) || settings.unanswered_hours < 1 || settings.unanswered_hours > 720)) {
+    errors.push('unanswered_hours must be between 1 and 720');
+  }
+
+  return errors;
+}
+
+// Wall-clock date and time of `date` in `timeZone`
+function zonedParts(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = parseInt(value);
+  });
+  return parts;
+}
+
+// How far the wall clock in `timeZone` is ahead of UTC at `utc` (ms)
+function zoneOffset(utc, timeZone) {
+  const p = zonedParts(new Date(utc), timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - utc;
+}
+
+// The instant at which the wall clock in `timeZone` shows the given local time.
+// Across a DST change the offsets from before and after it are tried. A time
+// that occurs twice (clocks going back) is its first occurrence; a time that
+// is skipped (clocks going forward) becomes the moment the clocks jump.
+function zonedTimeToUtc(year, month, day, hour, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour);
+  const before = wallClock - zoneOffset(wallClock - PERIOD_MS.daily, timeZone);
+  const after = wallClock - zoneOffset(wallClock + PERIOD_MS.daily, timeZone);
+
+  const valid = [before, after].filter(utc => utc + zoneOffset(utc, timeZone) === wallClock);
+  return new Date(valid.length > 0 ? Math.min(...valid) : before);
+}
+
+// The most recent scheduled digest time at or before `now`, or null when digests are off
+export function getLatestScheduledRun(settings, now = new Date()) {
+  if (!PERIOD_MS[settings.frequency]) return null;
+
+  const local = zonedParts(now, settings.timezone);
+
+  for (let daysBack = 0; daysBack <= 7; daysBack++) {
+    const day = new Date(Date.UTC(local.year, local.month - 1, local.day - daysBack));
+    if (settings.frequency === 'weekly' && day.getUTCDay() !== settings.weekday) continue;
+
+    const run = zonedTimeToUtc(day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(), settings.send_hour, settings.timezone);
+    if (run <= now) return run;
+  }
+
+  return null;
+}
+
+export function getDigestPeriod(settings, periodEnd) {
+  return {
+    periodStart: new Date(periodEnd.getTime() - (PERIOD_MS[settings.frequency] || PERIOD_MS.daily)),
+    periodEnd
+  };
+}
+
+// Queue a send_digest job for every user whose digest time has passed since
+// their last one. The dedupe key makes this safe to run from several servers.
+export async function enqueueDueDigests({ supabase, now = new Date() }) {
+  const { data: allSettings, error } = await supabase
+    .from('digest_settings')
+    .select('*')
+    .neq('frequency', 'off');
+
+  if (error) throw error;
+
+  let queued = 0;
+
+  for (const settings of allSettings) {
+    const runAt = getLatestScheduledRun(settings, now);
+    if (!runAt) continue;
+
+    // Already sent for this slot, or the slot passed before digests were set up
+    if (settings.last_period_end && new Date(settings.last_period_end) >= runAt) continue;
+    if (settings.updated_at && new Date(settings.updated_at) > runAt) continue;
+
+    await enqueueJob(supabase, 'send_digest', {
+      userId: settings.user_id,
+      periodEnd: runAt.toISOString()
+    }, {
+      dedupeKey: `digest:${settings.user_id}:${runAt.toISOString()}`
+    });
+    queued++;
+  }
+
+  return queued;
+}
+
+function senderAddress(from) {
+  const match = /<([^>]+)>/.exec(from || '');
+  return (match ? match[1] : from || 'unknown').trim().toLowerCase();
+}
+
+// Every address the user can send from: their sign-in email and all of their
+// linked mail accounts, so a reply from a work address counts as theirs too
+async function getOwnAddresses(supabase, user) {
+  const accounts = await listMailAccounts(supabase, user.id);
+  return new Set([user.email, ...accounts.map(account => account.email)].map(email => email.toLowerCase()));
+}
+
+function isFromUser(message, ownAddresses) {
+  return (message.label_ids || []).includes('SENT') || ownAddresses.has(senderAddress(message.from_address));
+}
+
+// Threads whose latest message came from someone else and has been waiting
+// longer than unansweredHours, oldest first. These are looked up apart from
+// the period's messages: with a daily digest and a 48 hour threshold, the
+// latest message of a waiting thread is always from before the period.
+async function findUnansweredThreads({ supabase, user, ownAddresses, unansweredHours, now }) {
+  const unansweredBefore = new Date(now.getTime() - unansweredHours * 60 * 60 * 1000);
+
+  // latest_thread_messages holds the latest message of every thread
+  // (create-latest-thread-messages-view.sql)
+  const { data, error } = await supabase
+    .from('latest_thread_messages')
+    .select('gmail_message_id, thread_id, from_address, subject, sent_at, label_ids, category')
+    .eq('user_id', user.id)
+    .lt('sent_at', unansweredBefore.toISOString())
+    .gte('sent_at', new Date(unansweredBefore.getTime() - UNANSWERED_LOOKBACK_MS).toISOString())
+    .not('label_ids', 'ov', '{SENT,TRASH,SPAM}')
+    .order('sent_at', { ascending: true })
+    .limit(MAX_UNANSWERED_SCAN);
+
+  if (error) throw error;
+
+  return data
+    .filter(m => !isFromUser(m, ownAddresses))
+    .map(m => ({
+      threadId: m.thread_id,
+      from: m.from_address,
+      subject: m.subject,
+      receivedAt: m.sent_at,
+      category: m.category || null
+    }));
+}
+
+// Summarize the user's stored messages between periodStart and periodEnd
+export async function buildDigest({ supabase, user, settings, periodStart, periodEnd, now = new Date() }) {
+  const { data: messages, error } = await supabase
+    .from('messages')
+    .select('gmail_message_id, thread_id, from_address, subject, sent_at, label_ids, category')
+    .eq('user_id', user.id)
+    .gte('sent_at', periodStart.toISOString())
+    .lt('sent_at', periodEnd.toISOString())
+    .order('sent_at', { ascending: true })
+    .limit(MAX_DIGEST_MESSAGES);
+
+  if (error) throw error;
+
+  const ownAddresses = await getOwnAddresses(supabase, user);
+  const incoming = messages.filter(m => !isFromUser(m, ownAddresses));
+  const bySender = new Map();
+  const byCategory = {};
+
+  for (const message of incoming) {
+    const sender = senderAddress(message.from_address);
+    bySender.set(sender, (bySender.get(sender) || 0) + 1);
+
+    const category = message.category || 'uncategorized';
+    byCategory[category] = (byCategory[category] || 0) + 1;
+  }
+
+  const unansweredHours = settings.unanswered_hours || DEFAULT_SETTINGS.unanswered_hours;
+  const unanswered = await findUnansweredThreads({ supabase, user, ownAddresses, unansweredHours, now });
+
+  return {
+    periodStart: periodStart.toISOString(),
+    periodEnd: periodEnd.toISOString(),
+    totalMessages: incoming.length,
+    uniqueSenders: bySender.size,
+    byCategory,
+    topSenders: [...bySender.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, TOP_SENDERS)
+      .map(([sender, count]) => ({ sender, count })),
+    unansweredHours,
+    unansweredThreads: unanswered.slice(0, MAX_UNANSWERED),
+    unansweredTotal: unanswered.length
+  };
+}
+
+export function renderDigestHtml(digest, { timezone = 'UTC' } = {}) {
+  const formatDate = (iso) => new Date(iso).toLocaleString('en-US', { timeZone: timezone, dateStyle: 'medium', timeStyle: 'short' });
+  const row = (cells) => `<tr>${cells.map(c => `<td style="padding: 4px 12px 4px 0;">${c}</td>`).join('')}</tr>`;
+
+  const categories = Object.entries(digest.byCategory)
+    .sort((a, b) => b[1] - a[1])
+    .map(([category, count]) => row([escapeHtml(category), count]))
+    .join('');
+
+  const senders = digest.topSenders
+    .map(({ sender, count }) => row([escapeHtml(sender), count]))
+    .join('');
+
+  const unanswered = digest.unansweredThreads
+    .map(t => row([escapeHtml(t.subject || '(no subject)'), escapeHtml(t.from), formatDate(t.receivedAt)]))
+    .join('');
+
+  return `<!DOCTYPE html>
+<html>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #333;">
+  <h2 style="color: #667eea;">Your mail digest</h2>
+  <p>${formatDate(digest.periodStart)} – ${formatDate(digest.periodEnd)}</p>
+  <p><strong>${digest.totalMessages}</strong> messages from <strong>${digest.uniqueSenders}</strong> senders.</p>
+
+  <h3>By category</h3>
+  ${categories ? `<table>${categories}</table>` : '<p>No messages in this period.</p>'}
+
+  <h3>Top senders</h3>
+  ${senders ? `<table>${senders}</table>` : '<p>No messages in this period.</p>'}
+
+  <h3>Waiting for a reply (over ${digest.unansweredHours} hours)</h3>
+  ${unanswered
+    ? `<table>${unanswered}</table>${digest.unansweredTotal > digest.unansweredThreads.length
+      ? `<p>…and ${digest.unansweredTotal - digest.unansweredThreads.length} more.</p>` : ''}`
+    : '<p>Nothing is waiting on you.</p>'}
+</body>
+</html>`;
+}
+
+function buildDigestMime({ to, subject, html, date }) {
+  const lines = [
+    `From: Mail Digest <${to}>`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    `Date: ${date.toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/html; charset="UTF-8"',
+    'Content-Transfer-Encoding: base64',
+    '',
+    Buffer.from(html, 'utf8').toString('base64').replace(/(.{76})/g, '$1\r\n')
+  ];
+
+  return Buffer.from(lines.join('\r\n')).toString('base64url');
+}
+
+// Gmail client for mailbox delivery (null for webhook delivery). Digests go to
+// the user's primary mail account.
+export async function getDigestGmailClient({ supabase, getGmailClient, user, settings }) {
+  if (settings.delivery !== 'mailbox') return null;
+
+  const account = await getPrimaryMailAccount(supabase, user.id);
+  if (!account) throw needsReauthError('No mail account connected');
+  return getGmailClient(account.id);
+}
+
+// Build the digest for a period and deliver it. `gmail` is only needed for
+// mailbox delivery.
+export async function sendDigest({ supabase, gmail, user, settings, periodStart, periodEnd, now = new Date() }) {
+  const digest = await buildDigest({ supabase, user, settings, periodStart, periodEnd, now });
+  const html = renderDigestHtml(digest, { timezone: settings.timezone });
+  const subject = `Your ${settings.frequency === 'weekly' ? 'weekly' : 'daily'} mail digest: ${digest.totalMessages} messages, ${digest.unansweredTotal} waiting`;
+
+  if (settings.delivery === 'webhook') {
+    // Private and internal hosts are refused, see outbound-webhook.js
+    const status = await postWebhookJson(settings.webhook_url, { user: { id: user.id, email: user.email }, subject, digest, html });
+
+    if (status < 200 || status >= 300) {
+      throw new Error(`Digest webhook returned HTTP ${status}`);
+    }
+  } else {
+    // Insert rather than send: the digest lands in the user's inbox without
+    // going through SMTP or needing the gmail.send scope
+    await gmail.users.messages.insert({
+      userId: 'me',
+      internalDateSource: 'dateHeader',
+      requestBody: {
+        raw: buildDigestMime({ to: user.email, subject, html, date: now }),
+        labelIds: ['INBOX', 'UNREAD']
+      }
+    });
+  }
+
+  console.log(`[Digest] Delivered ${settings.frequency} digest to ${user.email} via ${settings.delivery}`);
+  return digest;
+}
+
+// Job handler for send_digest. Records the period so the scheduler moves on.
+export async function processDigestJob({ supabase, getGmailClient, payload, now = new Date() }) {
+  const { data: user, error } = await supabase
+    .from('users')
+    .select('*')
+    .eq('id', payload.userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!user) {
+    console.log('[Digest] User not found:', payload.userId);
+    return;
+  }
+  if (user.is_active === false) {
+    console.log(`[Digest] Skipping digest for deactivated user ${user.email}`);
+    return;
+  }
+
+  const settings = await getDigestSettings(supabase, user.id);
+  if (settings.frequency === 'off') return;
+
+  const { periodStart, periodEnd } = getDigestPeriod(settings, new Date(payload.periodEnd));
+
+  try {
+    const gmail = await getDigestGmailClient({ supabase, getGmailClient, user, settings });
+    await sendDigest({ supabase, gmail, user, settings, periodStart, periodEnd, now });
+  } catch (error) {
+    // Retrying can't help until the user signs in again, so drop this digest
+    if (error.code === 'NEEDS_REAUTH') {
+      console.log(`[Digest] Skipping digest for ${user.email}: Gmail access needs to be re-authorized`);
+      return;
+    }
+    throw error;
+  }
+
+  const { error: updateError } = await supabase
+    .from('digest_settings')
+    .update({ last_sent_at: now.toISOString(), last_period_end: periodEnd.toISOString() })
+    .eq('user_id', user.id);
+
+  if (updateError) throw updateError;
+}
+
+export function describeDigestSchedule(settings) {
+  if (settings.frequency === 'off') return 'off';
+  const hour = `${String(settings.send_hour).padStart(2, '0')}:00`;
+  return settings.frequency === 'weekly'
+    ? `every ${WEEKDAYS[settings.weekday]} at ${hour} (${settings.timezone})`
+    : `every day at ${hour} (${settings.timezone})`;
+}
+
+// Run enqueueDueDigests on an interval. Returns a function that stops the scheduler.
+export function startDigestScheduler({ supabase }) {
+  const intervalMs = (parseFloat(process.env.DIGEST_CHECK_INTERVAL_MINUTES) || DEFAULT_CHECK_INTERVAL_MINUTES) * 60 * 1000;
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      const queued = await enqueueDueDigests({ supabase });
+      if (queued) console.log(`[Digest] Queued ${queued} digests`);
+    } catch (error) {
+      console.error('[Digest] Scheduler run failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  run();
+
+  console.log(`✓ Digest scheduler every ${intervalMs / 60000} min`);
+
+  return () => clearInterval(timer);
+}
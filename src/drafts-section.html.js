@@ -0,0 +1,143 @@
+// Reply drafts card for the user dashboard: drafts waiting for approval, with
+// edit, send and discard. Talks to /api/drafts.
+export function generateDraftsSection() {
+  return `
+    <div class="card drafts-card" style="margin-top: 1.5rem;">
+      <style>
+        .drafts-card h3 { margin-bottom: 1rem; color: #333; }
+        .drafts-card .muted { color: #666; }
+        .draft-item {
+          border: 1px solid #e5e7eb;
+          border-radius: 8px;
+          padding: 1rem;
+          margin-bottom: 1rem;
+        }
+        .draft-item .draft-title { font-weight: 600; color: #333; }
+        .draft-item .draft-detail { font-size: 0.8rem; color: #666; margin: 0.25rem 0 0.75rem; }
+        .draft-item textarea {
+          width: 100%;
+          min-height: 120px;
+          padding: 8px;
+          border: 1px solid #ddd;
+          border-radius: 6px;
+          font-family: inherit;
+          font-size: 0.9rem;
+          box-sizing: border-box;
+        }
+        .draft-item .draft-buttons { display: flex; gap: 0.5rem; margin-top: 0.5rem; }
+        .drafts-card button {
+          background: #e5e7eb;
+          color: #333;
+          padding: 6px 14px;
+          border: none;
+          border-radius: 8px;
+          cursor: pointer;
+          font-weight: 600;
+        }
+        .drafts-card button:hover { background: #d1d5db; }
+        .drafts-card button.primary { background: #667eea; color: white; }
+        .drafts-card button.primary:hover { background: #5568d3; }
+      </style>
+
+      <div style="display: flex; justify-content: space-between; align-items: center;">
+        <h3>Reply Drafts</h3>
+        <button type="button" onclick="loadDrafts()">Refresh</button>
+      </div>
+      <p class="muted" style="margin-bottom: 1rem;">
+        Suggested replies to mail that needs an answer. They are saved as Gmail drafts and only sent when you approve them.
+      </p>
+
+      <div id="drafts-list"><span style="color: #999;">Loading...</span></div>
+    </div>
+
+    <script>
+      function renderDrafts(drafts) {
+        const list = document.getElementById('drafts-list');
+
+        if (drafts.length === 0) {
+          list.innerHTML = '<span class="muted">No drafts waiting for approval</span>';
+          return;
+        }
+
+        list.innerHTML = drafts.map(function(draft) {
+          return '<div class="draft-item" id="draft-' + draft.id + '">' +
+            '<div class="draft-title">' + escapeHtml(draft.subject) + '</div>' +
+            '<div class="draft-detail">To ' + escapeHtml(draft.to_address) + ' · ' +
+              new Date(draft.created_at).toLocaleString() + ' · ' + escapeHtml(draft.generator) +
+              (draft.edited ? ' · edited' : '') + '</div>' +
+            '<textarea>' + escapeHtml(draft.body) + '</textarea>' +
+            '<div class="draft-buttons">' +
+              '<button type="button" class="primary" onclick="approveDraft(\\'' + draft.id + '\\', this)">Send</button>' +
+              '<button type="button" onclick="saveDraft(\\'' + draft.id + '\\', this)">Save edit</button>' +
+              '<button type="button" onclick="discardDraft(\\'' + draft.id + '\\', this)">Discard</button>' +
+            '</div>' +
+          '</div>';
+        }).join('');
+      }
+
+      async function loadDrafts() {
+        const list = document.getElementById('drafts-list');
+
+        try {
+          const response = await fetch('/api/drafts');
+          if (!response.ok) throw new Error('HTTP ' + response.status);
+          const data = await response.json();
+          renderDrafts(data.drafts);
+        } catch (error) {
+          list.innerHTML = '<span style="color: #ef4444;">Error loading drafts: ' + escapeHtml(error.message) + '</span>';
+        }
+      }
+
+      async function draftRequest(url, options, button, busyLabel) {
+        const label = button.textContent;
+        button.disabled = true;
+        button.textContent = busyLabel;
+
+        try {
+          const response = await fetch(url, options);
+          const data = await response.json();
+          if (!data.success) throw new Error(data.error || 'HTTP ' + response.status);
+          return data.draft;
+        } catch (error) {
+          alert(label + ' failed: ' + error.message);
+          return null;
+        } finally {
+          button.disabled = false;
+          button.textContent = label;
+        }
+      }
+
+      async function saveDraft(draftId, button) {
+        const body = document.querySelector('#draft-' + draftId + ' textarea').value;
+        const draft = await draftRequest('/api/drafts/' + draftId, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ body: body })
+        }, button, 'Saving...');
+
+        if (draft) loadDrafts();
+      }
+
+      async function approveDraft(draftId, button) {
+        const textarea = document.querySelector('#draft-' + draftId + ' textarea');
+        if (textarea.value !== textarea.defaultValue) {
+          alert('Save your edit before sending');
+          return;
+        }
+        if (!confirm('Send this reply now?')) return;
+
+        const draft = await draftRequest('/api/drafts/' + draftId + '/approve', { method: 'POST' }, button, 'Sending...');
+        if (draft) loadDrafts();
+      }
+
+      async function discardDraft(draftId, button) {
+        if (!confirm('Discard this draft? It will also be deleted from Gmail.')) return;
+
+        const draft = await draftRequest('/api/drafts/' + draftId + '/discard', { method: 'POST' }, button, 'Discarding...');
+        if (draft) loadDrafts();
+      }
+
+      loadDrafts();
+    </script>
+  `;
+}
@@ -0,0 +1,212 @@
+// Authorized Gmail API clients per mail account, and tracking of grants that stopped working
+//
+// When Google rejects an account's refresh token (invalid_grant: the user
+// revoked access, the token expired or was superseded), the account is marked
+// needs_reauth and its watch is switched off. Until the user reconnects it,
+// getGmailClient fails fast with an error whose code is NEEDS_REAUTH instead
+// of calling Google.
+
+import { google } from 'googleapis';
+import { encryptTokenFields, decryptTokenFields } from './token-crypto.js';
+
+export const NEEDS_REAUTH = 'NEEDS_REAUTH';
+
+export function isInvalidGrantError(error) {
+  return error?.response?.data?.error === 'invalid_grant' || /invalid_grant/.test(error?.message || '');
+}
+
+export function needsReauthError(reason) {
+  const error = new Error('Gmail access needs to be re-authorized');
+  error.code = NEEDS_REAUTH;
+  error.reason = reason;
+  return error;
+}
+
+// Flag the account for re-consent and stop treating its watch as active
+export async function markNeedsReauth(supabase, accountId, reason) {
+  const { error } = await supabase
+    .from('mail_accounts')
+    .update({
+      needs_reauth: true,
+      needs_reauth_at: new Date().toISOString(),
+      needs_reauth_reason: reason,
+      gmail_watch_enabled: false
+    })
+    .eq('id', accountId);
+
+  if (error) throw error;
+  console.log(`[Token Health] Mail account ${accountId} needs to be re-authorized: ${reason}`);
+}
+
+// Fields that clear the flag again, for the sign-in that stores fresh tokens
+export const REAUTH_CLEARED = {
+  needs_reauth: false,
+  needs_reauth_at: null,
+  needs_reauth_reason: null
+};
+
+const GOOGLE_REVOKE_URL = 'https://oauth2.googleapis.com/revoke';
+
+// Revoke this app's access to a mail account at Google, e.g. when its user is
+// deleted. Revoking the refresh token also ends the access tokens issued from
+// it. Returns false if no token was stored.
+export async function revokeStoredGrant(supabase, accountId) {
+  const { data: row, error } = await supabase
+    .from('mail_accounts')
+    .select('access_token, refresh_token')
+    .eq('id', accountId)
+    .single();
+
+  if (error) throw error;
+
+  const tokens = decryptTokenFields(row);
+  const token = tokens.refresh_token || tokens.access_token;
+  if (!token) return false;
+
+  // POSTed rather than via OAuth2.revokeToken, which puts the token in the URL
+  // and so in any error message about the request
+  const response = await fetch(GOOGLE_REVOKE_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ token })
+  });
+
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(`Google refused to revoke the grant: ${body.error || `HTTP ${response.status}`}`);
+  }
+  return true;
+}
+
+// TIMESTAMP columns come back without a zone; they are written as UTC
+export function parseStoredTimestamp(value) {
+  if (!value) return null;
+  const time = Date.parse(/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? value : `${value}Z`);
+  return isNaN(time) ? null : time;
+}
+
+// Reuse a token another request or instance stored if it is good for at least this long
+const STORED_TOKEN_MIN_VALIDITY_MS = 60 * 1000;
+
+export function createGmailClientFactory({ supabase }) {
+  if (typeof google.auth.OAuth2.prototype.refreshTokenNoCache !== 'function') {
+    console.error('[Gmail Client] google-auth-library no longer has OAuth2Client.refreshTokenNoCache; token refreshes are neither deduplicated nor stored');
+  }
+
+  // One refresh per account at a time; concurrent callers share its result
+  const refreshes = new Map();
+
+  async function flagAccount(accountId, reason) {
+    try {
+      await markNeedsReauth(supabase, accountId, reason);
+    } catch (error) {
+      console.error(`[Token Health] Failed to mark mail account ${accountId} for re-authorization:`, error.message);
+    }
+  }
+
+  async function loadTokens(accountId) {
+    const { data: row, error } = await supabase
+      .from('mail_accounts')
+      .select('access_token, refresh_token, token_expiry, needs_reauth, needs_reauth_reason')
+      .eq('id', accountId)
+      .single();
+
+    if (error || !row) {
+      throw new Error('Mail account not found');
+    }
+    return decryptTokenFields(row);
+  }
+
+  async function saveTokens(accountId, tokens) {
+    const { error } = await supabase
+      .from('mail_accounts')
+      .update(encryptTokenFields({
+        access_token: tokens.access_token,
+        // Google only sometimes rotates the refresh token
+        ...(tokens.refresh_token ? { refresh_token: tokens.refresh_token } : {}),
+        token_expiry: new Date(tokens.expiry_date).toISOString()
+      }))
+      .eq('id', accountId);
+
+    if (error) {
+      console.error(`[Gmail Client] Failed to store refreshed tokens for mail account ${accountId}:`, error.message);
+    }
+  }
+
+  async function refreshAccountTokens(client, refreshToken, refresh) {
+    // A concurrent request on another instance may have refreshed already
+    const stored = await loadTokens(client.accountId);
+    const storedExpiry = parseStoredTimestamp(stored.token_expiry);
+    if (stored.access_token && stored.access_token !== client.credentials.access_token &&
+        storedExpiry > Date.now() + STORED_TOKEN_MIN_VALIDITY_MS) {
+      return { tokens: { access_token: stored.access_token, expiry_date: storedExpiry, token_type: 'Bearer' }, res: null };
+    }
+
+    try {
+      const result = await refresh(stored.refresh_token || refreshToken);
+      await saveTokens(client.accountId, result.tokens);
+      return result;
+    } catch (error) {
+      if (!isInvalidGrantError(error)) throw error;
+
+      const reason = error.response?.data?.error_description || 'invalid_grant';
+      await flagAccount(client.accountId, reason);
+      throw Object.assign(needsReauthError(reason), { cause: error });
+    }
+  }
+
+  // Every token refresh, whether proactive (the library refreshes a few
+  // minutes before expiry_date) or after a 401, goes through
+  // refreshTokenNoCache, so this is where refreshes are deduplicated and
+  // where invalid_grant surfaces.
+  //
+  // refreshTokenNoCache is not part of google-auth-library's public API. This
+  // relies on how OAuth2Client works in 10.4.1 (what googleapis 164 installs):
+  // refreshToken() and so getAccessToken() and every API request call it with
+  // the refresh token and expect { tokens, res } back. Check this override,
+  // and run tests/gmail-client.test.js, when googleapis or google-auth-library
+  // is upgraded.
+  class AccountOAuth2Client extends google.auth.OAuth2 {
+    constructor(accountId) {
+      super(process.env.GOOGLE_CLIENT_ID, process.env.GOOGLE_CLIENT_SECRET, process.env.CALLBACK_URL);
+      this.accountId = accountId;
+    }
+
+    async refreshTokenNoCache(refreshToken) {
+      let pending = refreshes.get(this.accountId);
+      if (!pending) {
+        pending = refreshAccountTokens(this, refreshToken, token => super.refreshTokenNoCache(token))
+          .finally(() => refreshes.delete(this.accountId));
+        refreshes.set(this.accountId, pending);
+      }
+
+      // The library mutates the tokens it gets back, so each caller gets a copy
+      const { tokens, res } = await pending;
+      return { tokens: { ...tokens }, res };
+    }
+  }
+
+  // Takes a mail_accounts id
+  return async function getGmailClient(accountId) {
+    const account = await loadTokens(accountId);
+
+    if (account.needs_reauth) {
+      throw needsReauthError(account.needs_reauth_reason);
+    }
+
+    if (!account.refresh_token) {
+      await flagAccount(accountId, 'No refresh token stored');
+      throw needsReauthError('No refresh token stored');
+    }
+
+    const oauth2Client = new AccountOAuth2Client(accountId);
+
+    oauth2Client.setCredentials({
+      access_token: account.access_token,
+      refresh_token: account.refresh_token,
+      expiry_date: parseStoredTimestamp(account.token_expiry)
+    });
+
+    return google.gmail({ version: 'v1', auth: oauth2Client });
+  };
+}
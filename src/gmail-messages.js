@@ -0,0 +1,165 @@
+// Helpers for fetching Gmail messages and storing them in the messages table
+
+// googleapis reports the HTTP status in `code`, but older versions only set response.status
+export function isNotFoundError(error) {
+  return error.code === 404 || error.code === '404' || error.response?.status === 404;
+}
+
+// Gmail encodes bodies as base64url
+function decodeBody(data) {
+  if (!data) return '';
+  return Buffer.from(data.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+}
+
+function getHeader(headers, name) {
+  const header = headers.find(h => h.name.toLowerCase() === name.toLowerCase());
+  return header ? header.value : null;
+}
+
+// Walk the MIME tree and collect the first text/plain and text/html parts
+function extractBodies(part, bodies = { text: '', html: '' }) {
+  if (!part) return bodies;
+
+  if (part.mimeType === 'text/plain' && !bodies.text && !part.filename) {
+    bodies.text = decodeBody(part.body?.data);
+  } else if (part.mimeType === 'text/html' && !bodies.html && !part.filename) {
+    bodies.html = decodeBody(part.body?.data);
+  }
+
+  for (const child of part.parts || []) {
+    extractBodies(child, bodies);
+  }
+
+  return bodies;
+}
+
+// Attachments are parts with a filename whose data is fetched separately
+function hasAttachments(part) {
+  if (!part) return false;
+  if (part.filename && part.body?.attachmentId) return true;
+  return (part.parts || []).some(hasAttachments);
+}
+
+// Convert a users.messages.get response (format=full) into a messages row
+export function normalizeMessage(message, userId, mailAccountId = null) {
+  const payload = message.payload || {};
+  const headers = payload.headers || [];
+  const bodies = extractBodies(payload);
+
+  return {
+    user_id: userId,
+    mail_account_id: mailAccountId,
+    gmail_message_id: message.id,
+    thread_id: message.threadId,
+    from_address: getHeader(headers, 'From'),
+    to_addresses: getHeader(headers, 'To'),
+    cc_addresses: getHeader(headers, 'Cc'),
+    subject: getHeader(headers, 'Subject'),
+    snippet: message.snippet || null,
+    sent_at: message.internalDate
+      ? new Date(parseInt(message.internalDate)).toISOString()
+      : null,
+    label_ids: message.labelIds || [],
+    size_estimate: message.sizeEstimate || null,
+    body_text: bodies.text || null,
+    body_html: bodies.html || null,
+    has_attachments: hasAttachments(payload),
+    headers: headers.map(({ name, value }) => ({ name, value }))
+  };
+}
+
+// Fetch the user's most recent messages from Gmail without storing them
+export async function listRecentMessages(gmail, userId, limit) {
+  const messages = [];
+  let pageToken;
+
+  do {
+    const response = await gmail.users.messages.list({
+      userId: 'me',
+      maxResults: Math.min(100, limit - messages.length),
+      pageToken
+    });
+
+    for (const { id } of response.data.messages || []) {
+      try {
+        const full = await gmail.users.messages.get({ userId: 'me', id, format: 'full' });
+        messages.push(normalizeMessage(full.data, userId));
+      } catch (error) {
+        if (!isNotFoundError(error)) throw error;
+      }
+    }
+
+    pageToken = response.data.nextPageToken;
+  } while (pageToken && messages.length < limit);
+
+  return messages;
+}
+
+// Fetch a single message from Gmail and store it for the given mail account.
+// Returns the row to process: the new one, or the stored one if it was never
+// marked processed (processing failed after it was stored). Returns null if
+// it was already processed or no longer exists, so callers only act on each
+// Gmail message once.
+export async function fetchAndStoreMessage(gmail, supabase, account, messageId) {
+  const { data: existing, error: existingError } = await supabase
+    .from('messages')
+    .select('id, processed_at')
+    .eq('mail_account_id', account.id)
+    .eq('gmail_message_id', messageId)
+    .maybeSingle();
+
+  if (existingError) throw existingError;
+  if (existing?.processed_at) {
+    console.log(`[Gmail Sync] Message ${messageId} already processed, skipping`);
+    return null;
+  }
+  if (existing) {
+    console.log(`[Gmail Sync] Message ${messageId} stored but not processed, processing it again`);
+    const { data: stored, error: storedError } = await supabase
+      .from('messages')
+      .select('*')
+      .eq('id', existing.id)
+      .single();
+
+    if (storedError) throw storedError;
+    return stored;
+  }
+
+  let response;
+  try {
+    response = await gmail.users.messages.get({
+      userId: 'me',
+      id: messageId,
+      format: 'full'
+    });
+  } catch (error) {
+    // Message was deleted before we got to it
+    if (isNotFoundError(error)) {
+      console.log(`[Gmail Sync] Message ${messageId} no longer exists, skipping`);
+      return null;
+    }
+    throw error;
+  }
+
+  const record = normalizeMessage(response.data, account.user_id, account.id);
+
+  // ignoreDuplicates returns no row if a concurrent sync stored it first
+  const { data, error } = await supabase
+    .from('messages')
+    .upsert(record, { onConflict: 'mail_account_id,gmail_message_id', ignoreDuplicates: true })
+    .select();
+
+  if (error) throw error;
+  return data[0] || null;
+}
+
+// Set once every step for a stored message has run; until then each sync
+// hands it to processing again
+export async function markMessageProcessed(supabase, message) {
+  const { error } = await supabase
+    .from('messages')
+    .update({ processed_at: new Date().toISOString() })
+    .eq('id', message.id);
+
+  if (error) throw error;
+}
@@ -0,0 +1,183 @@
+// Mailbox sync shared by the Gmail webhook and the manual resync endpoint
+//
+// Each connected mail account is synced on its own. Incremental sync pages
+// through users.history.list from the account's stored gmail_history_id. The
+// stored id only ever moves forward, and only past history records whose
+// messages were all processed, so a failure part way through is retried from
+// the same point on the next notification.
+// If Gmail no longer has history that old (404), we fall back to a bounded
+// full resync of the most recent messages. That mostly finds mail the user has
+// long since dealt with, so only messages newer than the account's last
+// successful sync go to onMessage; older ones are only stored.
+
+import { fetchAndStoreMessage, markMessageProcessed, isNotFoundError } from './gmail-messages.js';
+import { withMailboxSyncLock } from './sync-lock.js';
+
+const DEFAULT_FULL_SYNC_MAX_MESSAGES = 500;
+
+function isNewerHistoryId(candidate, current) {
+  if (!candidate) return false;
+  if (!current) return true;
+  return BigInt(candidate) > BigInt(current);
+}
+
+// Persist a new checkpoint, never moving it backwards
+async function saveHistoryId(supabase, account, historyId) {
+  if (!isNewerHistoryId(historyId, account.gmail_history_id)) return;
+
+  const { error } = await supabase
+    .from('mail_accounts')
+    .update({ gmail_history_id: historyId })
+    .eq('id', account.id);
+
+  if (error) throw error;
+  account.gmail_history_id = historyId;
+}
+
+// A message counts as processed only after onMessage succeeded, so one that
+// failed is picked up again by the retry even though it is already stored
+async function processMessage({ gmail, supabase, user, account, messageId, onMessage }) {
+  const stored = await fetchAndStoreMessage(gmail, supabase, account, messageId);
+  if (!stored) return null;
+
+  if (onMessage) await onMessage(stored, { gmail, user, account });
+  await markMessageProcessed(supabase, stored);
+  return stored;
+}
+
+async function incrementalSync({ gmail, supabase, user, account, startHistoryId, onMessage, extendLock }) {
+  const seen = new Set();
+  let pageToken;
+  let latestHistoryId;
+  let messagesProcessed = 0;
+
+  do {
+    const response = await gmail.users.history.list({
+      userId: 'me',
+      startHistoryId,
+      historyTypes: ['messageAdded'],
+      pageToken
+    });
+
+    let lastProcessedId;
+    try {
+      for (const historyItem of response.data.history || []) {
+        for (const added of historyItem.messagesAdded || []) {
+          // The same message can appear in several history records
+          if (seen.has(added.message.id)) continue;
+          seen.add(added.message.id);
+
+          await processMessage({ gmail, supabase, user, account, messageId: added.message.id, onMessage });
+          messagesProcessed++;
+        }
+        lastProcessedId = historyItem.id;
+      }
+    } finally {
+      // Keep whatever progress was made on this page, even if a message failed
+      await saveHistoryId(supabase, account, lastProcessedId);
+    }
+
+    latestHistoryId = response.data.historyId;
+    pageToken = response.data.nextPageToken;
+    if (pageToken) await extendLock();
+  } while (pageToken);
+
+  // Every page was processed, so we're caught up to the mailbox's current id
+  await saveHistoryId(supabase, account, latestHistoryId);
+
+  return { mode: 'incremental', messagesProcessed, historyId: account.gmail_history_id };
+}
+
+async function fullSync({ gmail, supabase, user, account, onMessage, extendLock }) {
+  const maxMessages = parseInt(process.env.FULL_SYNC_MAX_MESSAGES) || DEFAULT_FULL_SYNC_MAX_MESSAGES;
+
+  // Nothing is new to an account that has never been synced
+  const syncedAt = account.last_synced_at ? new Date(account.last_synced_at) : null;
+  const isNew = (stored) => Boolean(syncedAt && stored.sent_at && new Date(stored.sent_at) > syncedAt);
+  const onNewMessage = onMessage && ((stored, context) => (isNew(stored) ? onMessage(stored, context) : null));
+
+  // Read the current history id first so nothing that arrives mid-sync is skipped
+  const profile = await gmail.users.getProfile({ userId: 'me' });
+
+  let pageToken;
+  let messagesProcessed = 0;
+
+  do {
+    const response = await gmail.users.messages.list({
+      userId: 'me',
+      labelIds: ['INBOX'],
+      maxResults: Math.min(100, maxMessages - messagesProcessed),
+      pageToken
+    });
+
+    for (const message of response.data.messages || []) {
+      await processMessage({ gmail, supabase, user, account, messageId: message.id, onMessage: onNewMessage });
+      messagesProcessed++;
+    }
+
+    pageToken = response.data.nextPageToken;
+    if (pageToken) await extendLock();
+  } while (pageToken && messagesProcessed < maxMessages);
+
+  await saveHistoryId(supabase, account, profile.data.historyId);
+
+  return { mode: 'full', messagesProcessed, historyId: account.gmail_history_id };
+}
+
+// Last outcome per account, for the watch health columns on /admin
+async function recordSyncOutcome(supabase, account, error) {
+  const now = new Date().toISOString();
+  const { error: updateError } = await supabase
+    .from('mail_accounts')
+    .update(error
+      ? { last_sync_error: error.message, last_sync_error_at: now }
+      : { last_synced_at: now, last_sync_error: null, last_sync_error_at: null })
+    .eq('id', account.id);
+
+  if (updateError) console.error(`[Gmail Sync] Failed to record sync outcome for ${account.email}:`, updateError.message);
+}
+
+async function runSync({ gmail, supabase, user, account, notificationHistoryId, full, onMessage, extendLock }) {
+  const startHistoryId = account.gmail_history_id || notificationHistoryId;
+
+  if (full || !startHistoryId) {
+    console.log(`[Gmail Sync] Running full resync for ${account.email}`);
+    return fullSync({ gmail, supabase, user, account, onMessage, extendLock });
+  }
+
+  try {
+    return await incrementalSync({ gmail, supabase, user, account, startHistoryId, onMessage, extendLock });
+  } catch (error) {
+    if (!isNotFoundError(error)) throw error;
+
+    console.log(`[Gmail Sync] History ${startHistoryId} expired for ${account.email}, running full resync`);
+    return fullSync({ gmail, supabase, user, account, onMessage, extendLock });
+  }
+}
+
+// Bring the stored messages for one of `user`'s mail accounts up to date with
+// the mailbox. `onMessage(storedMessage, { gmail, user, account })` is called
+// once for every new message (see fullSync for resyncs). Syncs for the same account never overlap (see sync-lock.js).
+export function syncMailbox({ gmail, supabase, user, account, notificationHistoryId, full = false, onMessage }) {
+  return withMailboxSyncLock(supabase, account.id, async (extendLock) => {
+    // Another sync may have advanced the checkpoint while we waited for the lock
+    const { data: current, error } = await supabase
+      .from('mail_accounts')
+      .select('gmail_history_id, last_synced_at')
+      .eq('id', account.id)
+      .single();
+
+    if (error) throw error;
+    account.gmail_history_id = current.gmail_history_id;
+    account.last_synced_at = current.last_synced_at;
+
+    try {
+      const result = await runSync({ gmail, supabase, user, account, notificationHistoryId, full, onMessage, extendLock });
+      await recordSyncOutcome(supabase, account, null);
+      return result;
+    } catch (syncError) {
+      await recordSyncOutcome(supabase, account, syncError);
+      throw syncError;
+    }
+  });
+}
@@ -0,0 +1,175 @@
+// Gmail watch setup and automatic renewal
+//
+// Gmail stops sending push notifications 7 days after users.watch is called,
+// so the scheduler below re-registers every enabled watch before it expires.
+// Watches belong to mail accounts, so a user with several accounts has one each.
+
+const DEFAULT_WINDOW_HOURS = 24;
+const DEFAULT_INTERVAL_MINUTES = 60;
+
+// Register (or re-register) the Pub/Sub watch on a mailbox's inbox
+export async function startGmailWatch(gmail) {
+  const response = await gmail.users.watch({
+    userId: 'me',
+    requestBody: {
+      topicName: process.env.GMAIL_PUBSUB_TOPIC,
+      labelIds: ['INBOX']
+    }
+  });
+
+  return response.data;
+}
+
+// Stop the watches on all of a user's mail accounts, e.g. when the user is
+// deactivated. Stopping at Google is best effort (a revoked grant can't, and
+// the watch lapses within 7 days anyway); the accounts are switched off here
+// regardless so nothing renews or processes them. Returns one entry per account.
+export async function stopUserWatches({ supabase, getGmailClient, userId }) {
+  const { data: accounts, error } = await supabase
+    .from('mail_accounts')
+    .select('id, email, gmail_watch_enabled')
+    .eq('user_id', userId);
+
+  if (error) throw error;
+
+  const results = [];
+  for (const account of accounts) {
+    const result = { email: account.email, watchStopped: false };
+
+    if (account.gmail_watch_enabled) {
+      try {
+        const gmail = await getGmailClient(account.id);
+        await gmail.users.stop({ userId: 'me' });
+        result.watchStopped = true;
+      } catch (error) {
+        console.log(`[Gmail Watch] Could not stop the watch for ${account.email}:`, error.message);
+        result.error = error.message;
+      }
+    }
+    results.push(result);
+  }
+
+  const { error: updateError } = await supabase
+    .from('mail_accounts')
+    .update({
+      gmail_watch_enabled: false,
+      gmail_watch_expiration: null
+    })
+    .eq('user_id', userId);
+
+  if (updateError) throw updateError;
+  return results;
+}
+
+// Re-register one account's watch and record the outcome on the account
+export async function renewAccountWatch({ supabase, getGmailClient, account, now = Date.now() }) {
+  try {
+    const gmail = await getGmailClient(account.id);
+    const watch = await startGmailWatch(gmail);
+
+    // Only seed the history id; an existing one is the sync checkpoint and
+    // jumping it forward would skip messages that haven't been processed yet
+    const { error: updateError } = await supabase
+      .from('mail_accounts')
+      .update({
+        gmail_watch_expiration: watch.expiration,
+        ...(account.gmail_history_id ? {} : { gmail_history_id: watch.historyId }),
+        gmail_watch_renewed_at: new Date(now).toISOString(),
+        gmail_watch_renewal_error: null,
+        gmail_watch_renewal_failed_at: null
+      })
+      .eq('id', account.id);
+
+    if (updateError) throw updateError;
+
+    console.log(`[Watch Renewal] Renewed watch for ${account.email}. Expiration: ${watch.expiration}`);
+    return watch;
+  } catch (error) {
+    console.error(`[Watch Renewal] Failed to renew watch for ${account.email}:`, error.message);
+
+    await supabase
+      .from('mail_accounts')
+      .update({
+        gmail_watch_renewal_error: error.message,
+        gmail_watch_renewal_failed_at: new Date(now).toISOString()
+      })
+      .eq('id', account.id);
+
+    throw error;
+  }
+}
+
+// Renew every enabled watch that expires within windowMs
+export async function renewExpiringWatches({ supabase, getGmailClient, windowMs, now = Date.now() }) {
+  const threshold = now + windowMs;
+
+  const { data: accounts, error } = await supabase
+    .from('mail_accounts')
+    .select('id, email, gmail_watch_expiration, gmail_history_id')
+    .eq('gmail_watch_enabled', true)
+    .or(`gmail_watch_expiration.is.null,gmail_watch_expiration.lt.${threshold}`);
+
+  if (error) throw error;
+
+  const results = { renewed: 0, failed: 0 };
+
+  for (const account of accounts) {
+    try {
+      await renewAccountWatch({ supabase, getGmailClient, account, now });
+      results.renewed++;
+    } catch {
+      results.failed++;
+    }
+  }
+
+  return results;
+}
+
+// A push notification arrived for the account. The newest history id Gmail
+// announced, against the sync checkpoint, is how far processing lags behind.
+export async function recordWatchNotification(supabase, account, historyId, now = new Date()) {
+  const newer = historyId && (!account.last_notification_history_id ||
+    BigInt(historyId) > BigInt(account.last_notification_history_id));
+
+  const { error } = await supabase
+    .from('mail_accounts')
+    .update({
+      last_notification_at: now.toISOString(),
+      ...(newer ? { last_notification_history_id: String(historyId) } : {})
+    })
+    .eq('id', account.id);
+
+  if (error) console.error(`[Gmail Watch] Failed to record notification for ${account.email}:`, error.message);
+}
+
+// Run renewExpiringWatches on an interval. Returns a function that stops the scheduler.
+export function startWatchRenewalScheduler({ supabase, getGmailClient }) {
+  const windowMs = (parseFloat(process.env.WATCH_RENEWAL_WINDOW_HOURS) || DEFAULT_WINDOW_HOURS) * 60 * 60 * 1000;
+  const intervalMs = (parseFloat(process.env.WATCH_RENEWAL_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES) * 60 * 1000;
+  let running = false;
+
+  const run = async () => {
+    // Skip this tick if the previous run is still going
+    if (running) return;
+    running = true;
+
+    try {
+      const results = await renewExpiringWatches({ supabase, getGmailClient, windowMs });
+      if (results.renewed || results.failed) {
+        console.log(`[Watch Renewal] Renewed: ${results.renewed}, failed: ${results.failed}`);
+      }
+    } catch (error) {
+      console.error('[Watch Renewal] Renewal run failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  run();
+
+  console.log(`✓ Gmail watch renewal every ${intervalMs / 60000} min (window: ${windowMs / 3600000} h)`);
+
+  return () => clearInterval(timer);
+}
@@ -0,0 +1,18 @@
+// Escaping for text put into HTML, on the server and in the pages' scripts
+//
+// Quotes are escaped as well, so the result is safe inside quoted attribute
+// values (alt, title, src, value, data-*), not only between tags. Names, email
+// subjects and error messages come from Google and senders and can be anything.
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// The same function for the inline scripts of a page, which call it as
+// escapeHtml(). Put this in the page's <head>, before any section's script.
+export const ESCAPE_HTML_SCRIPT = `<script>${escapeHtml.toString()}</script>`;
@@ -0,0 +1,309 @@
+// Durable job queue backed by the jobs table
+//
+// Jobs move pending -> running -> completed. A failed job goes back to
+// pending with an exponential backoff until it has used max_attempts, then it
+// is parked as dead so an admin can inspect and replay it. Jobs are claimed
+// with a conditional update, so several workers (or server instances) can
+// poll the same table without running a job twice. While a job runs, its
+// worker renews the lock every HEARTBEAT_INTERVAL_MS; a job left running by a
+// crashed worker is picked up again once its lock is older than LOCK_TIMEOUT_MS.
+// Completed and dead jobs are deleted once they are older than the retention
+// period (JOB_RETENTION_DAYS, JOB_DEAD_RETENTION_DAYS).
+
+import os from 'os';
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_BACKOFF_BASE_MS = 5000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+const HEARTBEAT_INTERVAL_MS = 2 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Completed jobs hold the dedupe keys, so they are kept for longer than
+// Pub/Sub keeps redelivering a message (7 days at most)
+const DEFAULT_RETENTION_DAYS = 8;
+const DEFAULT_DEAD_RETENTION_DAYS = 30;
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+export function getBackoffDelay(attempts, baseMs = DEFAULT_BACKOFF_BASE_MS) {
+  const delay = Math.min(baseMs * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+  // Up to 20% jitter so retries from a burst of failures spread out
+  return Math.round(delay * (1 + Math.random() * 0.2));
+}
+
+// Add a job to the queue. When `dedupeKey` is given and a job with the same
+// key already exists, that job is returned instead of queueing a duplicate.
+export async function enqueueJob(supabase, type, payload, { maxAttempts, dedupeKey } = {}) {
+  const { data, error } = await supabase
+    .from('jobs')
+    .insert([
+      {
+        type,
+        payload,
+        dedupe_key: dedupeKey || null,
+        status: 'pending',
+        attempts: 0,
+        max_attempts: maxAttempts || parseInt(process.env.JOB_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS,
+        run_at: new Date().toISOString()
+      }
+    ])
+    .select()
+    .single();
+
+  // Unique violation on dedupe_key: this job was already queued
+  if (error && error.code === '23505' && dedupeKey) {
+    const { data: existing, error: fetchError } = await supabase
+      .from('jobs')
+      .select('*')
+      .eq('dedupe_key', dedupeKey)
+      .single();
+
+    if (fetchError) throw fetchError;
+    console.log(`[Job Queue] Duplicate ${type} job ignored (${dedupeKey})`);
+    return existing;
+  }
+
+  if (error) throw error;
+  return data;
+}
+
+// Claim the next runnable job, or return null if there is none
+async function claimNextJob(supabase) {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - LOCK_TIMEOUT_MS).toISOString();
+
+  const { data: candidates, error } = await supabase
+    .from('jobs')
+    .select('*')
+    .or(`and(status.eq.pending,run_at.lte.${now.toISOString()}),and(status.eq.running,locked_at.lt.${staleBefore})`)
+    .order('run_at', { ascending: true })
+    .limit(5);
+
+  if (error) throw error;
+
+  for (const job of candidates) {
+    // Only succeeds if nobody else claimed the job since we read it
+    const { data: claimed, error: claimError } = await supabase
+      .from('jobs')
+      .update({
+        status: 'running',
+        attempts: job.attempts + 1,
+        locked_at: now.toISOString(),
+        locked_by: WORKER_ID,
+        updated_at: now.toISOString()
+      })
+      .eq('id', job.id)
+      .eq('status', job.status)
+      .eq('attempts', job.attempts)
+      .select();
+
+    if (claimError) throw claimError;
+    if (claimed.length > 0) return claimed[0];
+  }
+
+  return null;
+}
+
+// Renew the job's lock while it runs, so a long sync or digest isn't reclaimed
+// and run a second time by another worker. Returns a function that stops it.
+function keepJobLocked(supabase, job) {
+  const timer = setInterval(async () => {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('jobs')
+      .update({ locked_at: now, updated_at: now })
+      .eq('id', job.id)
+      .eq('status', 'running')
+      .eq('attempts', job.attempts)
+      .select('id');
+
+    if (error) {
+      console.error(`[Job Queue] Failed to renew the lock on job ${job.id}:`, error.message);
+    } else if (data.length === 0) {
+      console.warn(`[Job Queue] Job ${job.id} (${job.type}) was reclaimed by another worker while it ran`);
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+async function completeJob(supabase, job) {
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from('jobs')
+    .update({
+      status: 'completed',
+      completed_at: now,
+      updated_at: now,
+      locked_at: null,
+      locked_by: null,
+      last_error: null
+    })
+    .eq('id', job.id);
+
+  if (error) throw error;
+}
+
+async function failJob(supabase, job, jobError) {
+  const isDead = job.attempts >= job.max_attempts;
+  const now = Date.now();
+  const backoffBaseMs = parseInt(process.env.JOB_BACKOFF_BASE_MS) || DEFAULT_BACKOFF_BASE_MS;
+
+  const { error } = await supabase
+    .from('jobs')
+    .update({
+      status: isDead ? 'dead' : 'pending',
+      run_at: isDead ? job.run_at : new Date(now + getBackoffDelay(job.attempts, backoffBaseMs)).toISOString(),
+      last_error: jobError.message,
+      locked_at: null,
+      locked_by: null,
+      updated_at: new Date(now).toISOString()
+    })
+    .eq('id', job.id);
+
+  if (error) throw error;
+
+  if (isDead) {
+    console.error(`[Job Queue] Job ${job.id} (${job.type}) dead-lettered after ${job.attempts} attempts:`, jobError.message);
+  } else {
+    console.log(`[Job Queue] Job ${job.id} (${job.type}) failed (attempt ${job.attempts}/${job.max_attempts}), will retry:`, jobError.message);
+  }
+}
+
+// Claim and run a single job. Returns false when the queue is empty.
+export async function runNextJob(supabase, handlers) {
+  const job = await claimNextJob(supabase);
+  if (!job) return false;
+
+  const stopHeartbeat = keepJobLocked(supabase, job);
+  try {
+    const handler = handlers[job.type];
+    if (!handler) {
+      throw new Error(`No handler registered for job type: ${job.type}`);
+    }
+
+    await handler(job.payload, job);
+    await completeJob(supabase, job);
+  } catch (error) {
+    await failJob(supabase, job, error);
+  } finally {
+    stopHeartbeat();
+  }
+
+  return true;
+}
+
+// Delete completed and dead jobs past their retention period. Returns how many
+// of each were deleted.
+export async function purgeFinishedJobs(supabase, { now = new Date() } = {}) {
+  const retentionDays = parseInt(process.env.JOB_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+  const deadRetentionDays = parseInt(process.env.JOB_DEAD_RETENTION_DAYS) || DEFAULT_DEAD_RETENTION_DAYS;
+
+  const { data: completed, error } = await supabase
+    .from('jobs')
+    .delete()
+    .eq('status', 'completed')
+    .lt('completed_at', new Date(now.getTime() - retentionDays * DAY_MS).toISOString())
+    .select('id');
+
+  if (error) throw error;
+
+  const { data: dead, error: deadError } = await supabase
+    .from('jobs')
+    .delete()
+    .eq('status', 'dead')
+    .lt('updated_at', new Date(now.getTime() - deadRetentionDays * DAY_MS).toISOString())
+    .select('id');
+
+  if (deadError) throw deadError;
+  return { completed: completed.length, dead: dead.length };
+}
+
+async function runPurge(supabase) {
+  try {
+    const { completed, dead } = await purgeFinishedJobs(supabase);
+    if (completed || dead) {
+      console.log(`[Job Queue] Purged ${completed} completed and ${dead} dead jobs past their retention`);
+    }
+  } catch (error) {
+    console.error('[Job Queue] Failed to purge old jobs:', error.message || error);
+  }
+}
+
+// Start `concurrency` polling workers. Returns a function that stops them.
+// Old jobs are purged on start and then every hour.
+export function startJobWorkers({ supabase, handlers }) {
+  const concurrency = parseInt(process.env.JOB_WORKER_CONCURRENCY) || 2;
+  const pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+  let stopped = false;
+  const timers = new Set();
+
+  const sleep = (ms) => new Promise(resolve => {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      resolve();
+    }, ms);
+    timer.unref();
+    timers.add(timer);
+  });
+
+  const work = async () => {
+    while (!stopped) {
+      try {
+        const ranJob = await runNextJob(supabase, handlers);
+        if (!ranJob) await sleep(pollIntervalMs);
+      } catch (error) {
+        console.error('[Job Queue] Worker error:', error);
+        await sleep(pollIntervalMs);
+      }
+    }
+  };
+
+  for (let i = 0; i < concurrency; i++) {
+    work();
+  }
+
+  runPurge(supabase);
+  const purgeTimer = setInterval(() => runPurge(supabase), PURGE_INTERVAL_MS);
+  purgeTimer.unref();
+
+  console.log(`✓ Job queue: ${concurrency} workers polling every ${pollIntervalMs}ms`);
+
+  return () => {
+    stopped = true;
+    clearInterval(purgeTimer);
+    for (const timer of timers) clearTimeout(timer);
+  };
+}
+
+export async function listJobs(supabase, { status = 'dead', limit = 50 } = {}) {
+  const { data, error } = await supabase
+    .from('jobs')
+    .select('*')
+    .eq('status', status)
+    .order('updated_at', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return data;
+}
+
+// Put a dead job back in the queue with a fresh set of attempts
+export async function replayJob(supabase, jobId) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('jobs')
+    .update({
+      status: 'pending',
+      attempts: 0,
+      run_at: now,
+      updated_at: now
+    })
+    .eq('id', jobId)
+    .eq('status', 'dead')
+    .select();
+
+  if (error) throw error;
+  return data[0] || null;
+}
@@ -0,0 +1,126 @@
+// Gmail mailboxes connected to a user
+//
+// The Google account a user signs in with becomes their primary mail account.
+// More accounts can be linked from the dashboard. Each one keeps its own OAuth
+// tokens, watch state and sync checkpoint in mail_accounts, while rules,
+// classification and digest settings stay per user and cover all of them.
+
+import { encryptTokenFields } from './token-crypto.js';
+import { REAUTH_CLEARED } from './gmail-client.js';
+
+// Columns safe to send to the browser
+export const MAIL_ACCOUNT_COLUMNS = 'id, user_id, email, is_primary, needs_reauth, needs_reauth_reason, gmail_watch_enabled, gmail_watch_expiration, created_at';
+
+function accountError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// A user's accounts, primary first
+export async function listMailAccounts(supabase, userId) {
+  const { data, error } = await supabase
+    .from('mail_accounts')
+    .select(MAIL_ACCOUNT_COLUMNS)
+    .eq('user_id', userId)
+    .order('is_primary', { ascending: false })
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data;
+}
+
+// The account the user picked on the dashboard, falling back to their primary
+// one. Returns null if the user has no mail account at all.
+export function pickMailAccount(accounts, selectedId) {
+  return accounts.find(account => account.id === selectedId) ||
+    accounts.find(account => account.is_primary) ||
+    accounts[0] ||
+    null;
+}
+
+export async function resolveMailAccount(supabase, userId, selectedId) {
+  return pickMailAccount(await listMailAccounts(supabase, userId), selectedId);
+}
+
+export async function getPrimaryMailAccount(supabase, userId) {
+  return resolveMailAccount(supabase, userId, null);
+}
+
+// The account a Gmail push notification is about
+export async function findMailAccountByEmail(supabase, email) {
+  const { data, error } = await supabase
+    .from('mail_accounts')
+    .select('id, user_id, email, gmail_history_id, last_notification_history_id')
+    .eq('email', email)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Store the tokens from a Google sign-in or account link. Creates the account
+// on first use. A Google account can only belong to one user, so linking one
+// that another user already connected fails with code CONFLICT.
+export async function saveMailAccountTokens(supabase, { userId, googleId, email, isPrimary = false, accessToken, refreshToken, tokenExpiry }) {
+  const { data: existing, error: fetchError } = await supabase
+    .from('mail_accounts')
+    .select('id, user_id')
+    .eq('google_id', googleId)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+  if (existing && existing.user_id !== userId) {
+    throw accountError(`${email} is already connected to another user`, 'CONFLICT');
+  }
+
+  const fields = encryptTokenFields({
+    email,
+    access_token: accessToken,
+    token_expiry: tokenExpiry,
+    // Google only sends a refresh token on consent; a new one also means the
+    // user has re-consented after a revoked grant
+    ...(refreshToken ? { refresh_token: refreshToken, ...REAUTH_CLEARED } : {})
+  });
+
+  const { data: account, error } = existing
+    ? await supabase
+      .from('mail_accounts')
+      .update(fields)
+      .eq('id', existing.id)
+      .select(MAIL_ACCOUNT_COLUMNS)
+      .single()
+    : await supabase
+      .from('mail_accounts')
+      .insert([{ user_id: userId, google_id: googleId, is_primary: isPrimary, ...fields }])
+      .select(MAIL_ACCOUNT_COLUMNS)
+      .single();
+
+  if (error) throw error;
+  return account;
+}
+
+// Disconnect a linked account. Its stored messages and drafts go with it; the
+// activity log keeps its entries. The primary account can't be removed.
+export async function removeMailAccount(supabase, userId, accountId) {
+  const { data: account, error: fetchError } = await supabase
+    .from('mail_accounts')
+    .select('id, email, is_primary')
+    .eq('id', accountId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+  if (!account) throw accountError('Mail account not found', 'NOT_FOUND');
+  if (account.is_primary) {
+    throw accountError('The account you sign in with cannot be removed', 'CONFLICT');
+  }
+
+  const { error } = await supabase
+    .from('mail_accounts')
+    .delete()
+    .eq('id', account.id);
+
+  if (error) throw error;
+  return account;
+}
@@ -0,0 +1,93 @@
+// POSTs to webhook URLs that users configure themselves
+//
+// A user-supplied URL must not become a way to reach hosts only the server can
+// see (SSRF): localhost, the private network or the cloud metadata endpoint at
+// 169.254.169.254. URLs are checked when they are saved, and again when the
+// request is made. At request time the check runs on the addresses the
+// hostname actually resolves to, inside the connection's own DNS lookup. That
+// way a name can't pass the check and then resolve somewhere else for the
+// connection. Redirects are not followed.
+
+import https from 'https';
+import dns from 'dns';
+import net from 'net';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+const blockedAddresses = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv4');
+}
+// IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are checked against the IPv4 ranges
+for (const [network, prefix] of [
+  ['::', 127], ['64:ff9b::', 96], ['100::', 64], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv6');
+}
+
+// Loopback, private, link-local, multicast and other non-public addresses
+export function isPrivateAddress(address) {
+  const type = net.isIP(address);
+  if (!type) return false;
+  return blockedAddresses.check(address, type === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Returns an error message, or null if the URL may be used as a webhook
+export function checkWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return 'must be a valid URL';
+  }
+
+  if (url.protocol !== 'https:') return 'must use https';
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (hostname === 'localhost' || /\.(localhost|local|internal)$/.test(hostname) || isPrivateAddress(hostname)) {
+    return 'must point to a public host';
+  }
+  return null;
+}
+
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to a non-public address (${blocked.address})`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// POST `payload` as JSON to a user's webhook. Resolves with the HTTP status,
+// or throws if the URL is not allowed or the request fails or times out.
+export function postWebhookJson(url, payload, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const problem = checkWebhookUrl(url);
+  if (problem) return Promise.reject(new Error(`Webhook URL ${problem}`));
+
+  const body = JSON.stringify(payload);
+
+  return new Promise((resolve, reject) => {
+    const request = https.request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+      lookup: publicOnlyLookup,
+      signal: AbortSignal.timeout(timeoutMs)
+    }, (response) => {
+      // Only the status matters
+      response.resume();
+      resolve(response.statusCode);
+    });
+
+    request.on('error', reject);
+    request.end(body);
+  });
+}
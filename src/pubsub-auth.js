@@ -0,0 +1,168 @@
+// Authentication for Pub/Sub push requests to the Gmail webhook
+//
+// Two modes are supported (PUBSUB_AUTH_MODE):
+//   oidc  - Pub/Sub signs each push with a Google OIDC token (default)
+//   token - a shared secret passed as ?token= on the push endpoint URL
+// "none" disables verification and should only be used for local development.
+
+import crypto from 'crypto';
+
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+const GOOGLE_JWKS_URL = 'https://www.googleapis.com/oauth2/v3/certs';
+const CLOCK_SKEW_SECONDS = 60;
+const JWKS_CACHE_MS = 60 * 60 * 1000;
+// Unknown kids can come from anyone who can reach the webhook, so whatever the
+// reason, the keys are fetched at most this often
+const JWKS_MIN_REFETCH_MS = 60 * 1000;
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+// Resolve signing keys by kid. `source` is either a JWKS URL or a JWKS object
+// ({ keys: [...] }), which lets tests verify against a locally generated key pair.
+export function createJwksKeyResolver(source = GOOGLE_JWKS_URL, { now = Date.now } = {}) {
+  let keys = new Map();
+  let fetchedAt = 0;
+  let attemptedAt = -Infinity;
+  let pending = null;
+
+  const load = (jwks) => {
+    keys = new Map(
+      jwks.keys
+        .filter(jwk => jwk.kid)
+        .map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })])
+    );
+  };
+
+  if (typeof source !== 'string') {
+    load(source);
+    return async (kid) => keys.get(kid) || null;
+  }
+
+  const refetch = async () => {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch JWKS: HTTP ${response.status}`);
+    }
+    load(await response.json());
+    fetchedAt = now();
+  };
+
+  return async (kid) => {
+    // Refetch when the cache is stale or an unknown kid shows up (key rotation).
+    // Concurrent requests share one fetch, and failed fetches count too.
+    const wanted = now() - fetchedAt > JWKS_CACHE_MS || !keys.has(kid);
+    if (wanted && !pending && now() - attemptedAt > JWKS_MIN_REFETCH_MS) {
+      attemptedAt = now();
+      pending = refetch().finally(() => { pending = null; });
+    }
+    if (pending) await pending;
+    return keys.get(kid) || null;
+  };
+}
+
+// Verify a Pub/Sub push OIDC token and return its claims. Throws on any failure.
+export async function verifyPubSubToken(token, { audience, serviceAccountEmail, getKey, now = Date.now() }) {
+  const segments = token.split('.');
+  if (segments.length !== 3) {
+    throw new Error('Malformed token');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = segments;
+  const header = decodeSegment(encodedHeader);
+  const claims = decodeSegment(encodedPayload);
+
+  if (header.alg !== 'RS256') {
+    throw new Error(`Unsupported token algorithm: ${header.alg}`);
+  }
+
+  const key = await getKey(header.kid);
+  if (!key) {
+    throw new Error(`Unknown signing key: ${header.kid}`);
+  }
+
+  const signatureValid = crypto.verify(
+    'RSA-SHA256',
+    Buffer.from(`${encodedHeader}.${encodedPayload}`),
+    key,
+    Buffer.from(encodedSignature, 'base64url')
+  );
+  if (!signatureValid) {
+    throw new Error('Invalid token signature');
+  }
+
+  const nowSeconds = Math.floor(now / 1000);
+
+  if (!GOOGLE_ISSUERS.includes(claims.iss)) {
+    throw new Error(`Invalid issuer: ${claims.iss}`);
+  }
+  if (claims.aud !== audience) {
+    throw new Error(`Invalid audience: ${claims.aud}`);
+  }
+  if (!claims.exp || claims.exp + CLOCK_SKEW_SECONDS < nowSeconds) {
+    throw new Error('Token expired');
+  }
+  if (claims.iat && claims.iat - CLOCK_SKEW_SECONDS > nowSeconds) {
+    throw new Error('Token issued in the future');
+  }
+  if (claims.email !== serviceAccountEmail || claims.email_verified !== true) {
+    throw new Error(`Invalid service account: ${claims.email}`);
+  }
+
+  return claims;
+}
+
+function tokensMatch(expected, actual) {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual || '');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Express middleware that rejects unauthenticated push requests with 401
+export function createPubSubAuthMiddleware({
+  mode = process.env.PUBSUB_AUTH_MODE || 'oidc',
+  audience = process.env.PUBSUB_AUDIENCE,
+  serviceAccountEmail = process.env.PUBSUB_SERVICE_ACCOUNT_EMAIL,
+  verificationToken = process.env.PUBSUB_VERIFICATION_TOKEN,
+  getKey = createJwksKeyResolver(process.env.PUBSUB_JWKS_URL || GOOGLE_JWKS_URL)
+} = {}) {
+  if (mode === 'oidc' && (!audience || !serviceAccountEmail)) {
+    console.error('[Pub/Sub Auth] PUBSUB_AUDIENCE and PUBSUB_SERVICE_ACCOUNT_EMAIL must be set; all webhook requests will be rejected');
+  } else if (mode === 'token' && !verificationToken) {
+    console.error('[Pub/Sub Auth] PUBSUB_VERIFICATION_TOKEN must be set; all webhook requests will be rejected');
+  } else if (mode === 'none') {
+    console.warn('[Pub/Sub Auth] Webhook authentication is disabled (PUBSUB_AUTH_MODE=none)');
+  }
+
+  return async (req, res, next) => {
+    try {
+      if (mode === 'none') return next();
+
+      if (mode === 'token') {
+        if (!verificationToken || !tokensMatch(verificationToken, req.query.token)) {
+          throw new Error('Invalid verification token');
+        }
+        return next();
+      }
+
+      if (mode !== 'oidc') {
+        throw new Error(`Unknown PUBSUB_AUTH_MODE: ${mode}`);
+      }
+      if (!audience || !serviceAccountEmail) {
+        throw new Error('OIDC verification is not configured');
+      }
+
+      const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+      if (!match) {
+        throw new Error('Missing bearer token');
+      }
+
+      req.pubsubClaims = await verifyPubSubToken(match[1], { audience, serviceAccountEmail, getKey });
+      next();
+    } catch (error) {
+      console.log('[Pub/Sub Auth] Rejected webhook request:', error.message);
+      res.status(401).send('Unauthorized');
+    }
+  };
+}
@@ -0,0 +1,343 @@
+// AI-drafted replies, saved as Gmail drafts for the user to review
+//
+// Drafts are only ever created here; nothing is sent unless the user approves
+// a draft from the dashboard. A generator is an object with
+//   name: string
+//   generateReply({ message, thread, user }) -> Promise<string>
+// REPLY_GENERATOR_PROVIDER selects it:
+//   stub - deterministic template, no network (default when no LLM is configured)
+//   http - any OpenAI-compatible chat completions endpoint (LLM_API_URL, LLM_API_KEY, LLM_MODEL)
+
+import { normalizeMessage, isNotFoundError } from './gmail-messages.js';
+
+const MAX_THREAD_MESSAGES = 10;
+const MAX_CONTEXT_BODY_LENGTH = 3000;
+
+function getHeader(message, name) {
+  const header = (message.headers || []).find(h => h.name.toLowerCase() === name.toLowerCase());
+  return header ? header.value : null;
+}
+
+// "Jane Doe <jane@example.com>" -> "Jane"
+function firstName(address) {
+  const match = /^\s*"?([^"<@]+?)"?\s*</.exec(address || '');
+  return match ? match[1].trim().split(/\s+/)[0] : null;
+}
+
+function emailOf(address) {
+  const match = /<([^>]+)>/.exec(address || '');
+  return (match ? match[1] : address || '').trim().toLowerCase();
+}
+
+export function createStubReplyGenerator() {
+  return {
+    name: 'stub',
+    async generateReply({ message }) {
+      const name = firstName(message.from_address);
+      return `Hi${name ? ` ${name}` : ''},\n\n` +
+        `Thanks for your message${message.subject ? ` about "${message.subject}"` : ''}. ` +
+        'I\'ll get back to you shortly.\n\nBest regards';
+    }
+  };
+}
+
+export function createHttpReplyGenerator({
+  apiUrl = process.env.LLM_API_URL,
+  apiKey = process.env.LLM_API_KEY,
+  model = process.env.LLM_MODEL,
+  timeoutMs = parseInt(process.env.LLM_TIMEOUT_MS) || 30000
+} = {}) {
+  if (!apiUrl || !model) {
+    throw new Error('LLM_API_URL and LLM_MODEL must be set for the http reply generator');
+  }
+
+  return {
+    name: 'http',
+    async generateReply({ message, thread, user }) {
+      const context = thread
+        .map(m => `From: ${m.from_address}\nDate: ${m.sent_at}\nSubject: ${m.subject}\n\n` +
+          (m.body_text || m.snippet || '').slice(0, MAX_CONTEXT_BODY_LENGTH))
+        .join('\n\n---\n\n');
+
+      const response = await fetch(`${apiUrl.replace(/\/$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({
+          model,
+          temperature: 0.3,
+          messages: [
+            {
+              role: 'system',
+              content: `You draft email replies on behalf of ${user.name || user.email}. ` +
+                'Write only the reply body in plain text: no subject line, no quoted thread. ' +
+                'Be concise and do not promise anything the thread does not support.'
+            },
+            {
+              role: 'user',
+              content: `Email thread, oldest first:\n\n${context}\n\nDraft a reply to the last message.`
+            }
+          ]
+        }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Reply generator endpoint returned HTTP ${response.status}`);
+      }
+
+      const data = await response.json();
+      const reply = data.choices?.[0]?.message?.content?.trim();
+      if (!reply) {
+        throw new Error('Reply generator returned an empty reply');
+      }
+      return reply;
+    }
+  };
+}
+
+export function createReplyGenerator(provider = process.env.REPLY_GENERATOR_PROVIDER || 'stub') {
+  switch (provider) {
+    case 'stub':
+      return createStubReplyGenerator();
+    case 'http':
+      return createHttpReplyGenerator();
+    default:
+      throw new Error(`Unknown REPLY_GENERATOR_PROVIDER: ${provider}`);
+  }
+}
+
+// Encode a header value with RFC 2047 if it isn't plain ASCII
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+// Build the raw RFC 2822 reply, threaded onto `message`
+export function buildReplyMime({ message, from, to, subject, body }) {
+  const messageId = getHeader(message, 'Message-ID');
+  const references = [getHeader(message, 'References'), messageId].filter(Boolean).join(' ');
+
+  const lines = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    ...(messageId ? [`In-Reply-To: ${messageId}`] : []),
+    ...(references ? [`References: ${references}`] : []),
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset="UTF-8"',
+    'Content-Transfer-Encoding: base64',
+    '',
+    Buffer.from(body, 'utf8').toString('base64').replace(/(.{76})/g, '$1\r\n')
+  ];
+
+  return Buffer.from(lines.join('\r\n')).toString('base64url');
+}
+
+function replySubject(subject) {
+  if (!subject) return 'Re:';
+  return /^re:/i.test(subject) ? subject : `Re: ${subject}`;
+}
+
+async function loadThread(gmail, message, userId) {
+  const response = await gmail.users.threads.get({
+    userId: 'me',
+    id: message.thread_id,
+    format: 'full'
+  });
+
+  return (response.data.messages || [])
+    .slice(-MAX_THREAD_MESSAGES)
+    .map(m => normalizeMessage(m, userId));
+}
+
+// True if drafting a reply to `message`, received by `account`, makes sense at all
+export function shouldDraftReply(message, account) {
+  const sender = emailOf(getHeader(message, 'Reply-To') || message.from_address);
+  if (!sender || sender === account.email.toLowerCase()) return false;
+  if (/(^|[.+_-])(no-?reply|do-?not-?reply|mailer-daemon)/i.test(sender.split('@')[0])) return false;
+  return true;
+}
+
+async function getDraftForMessage(supabase, account, message) {
+  const { data, error } = await supabase
+    .from('reply_drafts')
+    .select('*')
+    .eq('mail_account_id', account.id)
+    .eq('gmail_message_id', message.gmail_message_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Generate a reply to `message` and save it as a Gmail draft on the same
+// thread, in the mailbox of the account that received it.
+//
+// There is one draft per message. The row is inserted as 'drafting' before
+// anything is created in Gmail and only gets its Gmail draft id afterwards, so
+// a message that is processed again (see processed_at) finds its row and
+// doesn't leave a second draft in the mailbox. A 'drafting' row left by a
+// failed attempt is finished from where it stopped.
+export async function createReplyDraft({ gmail, supabase, user, account, message, generator }) {
+  let draft = await getDraftForMessage(supabase, account, message);
+  if (draft && draft.status !== 'drafting') {
+    console.log(`[Reply Drafts] Message ${message.gmail_message_id} already has a draft, skipping`);
+    return draft;
+  }
+
+  if (!draft) {
+    const thread = await loadThread(gmail, message, user.id);
+    const body = await generator.generateReply({ message, thread, user });
+
+    const { data, error } = await supabase
+      .from('reply_drafts')
+      .insert([
+        {
+          user_id: user.id,
+          mail_account_id: account.id,
+          gmail_message_id: message.gmail_message_id,
+          thread_id: message.thread_id,
+          to_address: getHeader(message, 'Reply-To') || message.from_address,
+          subject: replySubject(message.subject),
+          body,
+          generator: generator.name,
+          status: 'drafting'
+        }
+      ])
+      .select()
+      .single();
+
+    // Unique violation: another sync of this message got there first
+    if (error && error.code === '23505') {
+      console.log(`[Reply Drafts] Message ${message.gmail_message_id} is already being drafted, skipping`);
+      return null;
+    }
+    if (error) throw error;
+    draft = data;
+  }
+
+  const raw = buildReplyMime({ message, from: account.email, to: draft.to_address, subject: draft.subject, body: draft.body });
+  const response = await gmail.users.drafts.create({
+    userId: 'me',
+    requestBody: {
+      message: { raw, threadId: message.thread_id }
+    }
+  });
+
+  draft = await setDraftStatus(supabase, draft, { status: 'pending', gmail_draft_id: response.data.id });
+
+  console.log(`[Reply Drafts] Draft created for message ${message.gmail_message_id} (${account.email})`);
+  return draft;
+}
+
+// A user's drafts, newest first (pending ones only unless `status` says
+// otherwise). Pass `mailAccountId` to only list one mailbox.
+export async function listReplyDrafts(supabase, userId, { status = 'pending', limit = 50, mailAccountId } = {}) {
+  let query = supabase
+    .from('reply_drafts')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('status', status)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (mailAccountId) query = query.eq('mail_account_id', mailAccountId);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data;
+}
+
+async function getPendingDraft(supabase, account, draftId) {
+  const { data: draft, error } = await supabase
+    .from('reply_drafts')
+    .select('*')
+    .eq('id', draftId)
+    .eq('user_id', account.user_id)
+    .eq('mail_account_id', account.id)
+    .eq('status', 'pending')
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!draft) {
+    const notFound = new Error('Pending draft not found');
+    notFound.code = 'NOT_FOUND';
+    throw notFound;
+  }
+  return draft;
+}
+
+async function setDraftStatus(supabase, draft, fields) {
+  const { data, error } = await supabase
+    .from('reply_drafts')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', draft.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+async function loadOriginalMessage(supabase, draft) {
+  const { data: message, error } = await supabase
+    .from('messages')
+    .select('*')
+    .eq('mail_account_id', draft.mail_account_id)
+    .eq('gmail_message_id', draft.gmail_message_id)
+    .single();
+
+  if (error) throw error;
+  return message;
+}
+
+// Replace the body of a pending draft, in Gmail and in our table. The draft
+// actions below take the mail account the draft belongs to and its Gmail client.
+export async function updateReplyDraft({ gmail, supabase, account, draftId, body }) {
+  const draft = await getPendingDraft(supabase, account, draftId);
+  const message = await loadOriginalMessage(supabase, draft);
+  const raw = buildReplyMime({ message, from: account.email, to: draft.to_address, subject: draft.subject, body });
+
+  await gmail.users.drafts.update({
+    userId: 'me',
+    id: draft.gmail_draft_id,
+    requestBody: {
+      message: { raw, threadId: draft.thread_id }
+    }
+  });
+
+  return setDraftStatus(supabase, draft, { body, edited: true });
+}
+
+// Send a pending draft. Only ever called when the user approves it.
+export async function approveReplyDraft({ gmail, supabase, account, draftId }) {
+  const draft = await getPendingDraft(supabase, account, draftId);
+
+  const response = await gmail.users.drafts.send({
+    userId: 'me',
+    requestBody: { id: draft.gmail_draft_id }
+  });
+
+  return setDraftStatus(supabase, draft, {
+    status: 'sent',
+    sent_message_id: response.data.id
+  });
+}
+
+// Delete a pending draft from Gmail and mark it discarded
+export async function discardReplyDraft({ gmail, supabase, account, draftId }) {
+  const draft = await getPendingDraft(supabase, account, draftId);
+
+  try {
+    await gmail.users.drafts.delete({ userId: 'me', id: draft.gmail_draft_id });
+  } catch (error) {
+    // Already deleted in Gmail; still mark it discarded here
+    if (!isNotFoundError(error)) throw error;
+  }
+
+  return setDraftStatus(supabase, draft, { status: 'discarded' });
+}
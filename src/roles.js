@@ -0,0 +1,117 @@
+// Admin roles and what each of them may do
+//
+// A user's role lives in users.role. Users without one are regular users with
+// no access to /admin. Routes check a permission rather than a role, so what a
+// role may do is decided here and nowhere else.
+//
+//   owner   - everything, including granting and revoking owner and admin
+//   admin   - everything else; grants and revokes support and viewer, and
+//             manages every user who isn't an owner or admin
+//   support - read-only: users, their sessions and mail account health, jobs
+//   viewer  - the /admin overview numbers only
+
+export const ROLES = ['owner', 'admin', 'support', 'viewer'];
+
+const ROLE_PERMISSIONS = {
+  owner: ['admin:view', 'users:read', 'users:write', 'jobs:read', 'jobs:write', 'roles:manage', 'roles:manage-privileged', 'audit:read'],
+  admin: ['admin:view', 'users:read', 'users:write', 'jobs:read', 'jobs:write', 'roles:manage', 'audit:read'],
+  support: ['admin:view', 'users:read', 'jobs:read'],
+  viewer: ['admin:view']
+};
+
+// Roles only an owner can grant or take away
+const PRIVILEGED_ROLES = ['owner', 'admin'];
+
+function roleError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+export function hasPermission(user, permission) {
+  return Boolean(user?.role && ROLE_PERMISSIONS[user.role]?.includes(permission));
+}
+
+// Whether actor may move a user from one role to another (null means no role)
+export function canAssignRole(actor, fromRole, toRole) {
+  if (!hasPermission(actor, 'roles:manage')) return false;
+  if (toRole !== null && !ROLES.includes(toRole)) return false;
+  if (PRIVILEGED_ROLES.includes(fromRole) || PRIVILEGED_ROLES.includes(toRole)) {
+    return hasPermission(actor, 'roles:manage-privileged');
+  }
+  return true;
+}
+
+// Whether actor may deactivate, sign out or delete target. Nobody acts on
+// themselves this way, and owners and admins are only managed by owners.
+export function canManageUser(actor, target) {
+  if (!hasPermission(actor, 'users:write') || actor.id === target.id) return false;
+  return !PRIVILEGED_ROLES.includes(target.role) || hasPermission(actor, 'roles:manage-privileged');
+}
+
+async function countOwners(supabase) {
+  const { data, error } = await supabase
+    .from('users')
+    .select('id')
+    .eq('role', 'owner')
+    .limit(2);
+
+  if (error) throw error;
+  return data.length;
+}
+
+// Store a role; grantedBy is null when it wasn't granted from /admin
+export async function assignRole(supabase, userId, role, grantedBy = null) {
+  const { data, error } = await supabase
+    .from('users')
+    .update({
+      role,
+      role_granted_by: role ? grantedBy : null,
+      role_granted_at: role ? new Date().toISOString() : null
+    })
+    .eq('id', userId)
+    .select('id, email, role')
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// Grant, change or revoke (role null) a user's role on behalf of actor.
+// Fails with code NOT_FOUND, FORBIDDEN when actor may not make this change,
+// or CONFLICT when it would leave nobody holding the owner role.
+export async function setUserRole(supabase, { actor, userId, role }) {
+  const { data: target, error } = await supabase
+    .from('users')
+    .select('id, email, role')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!target) throw roleError('User not found', 'NOT_FOUND');
+  if (target.role === role) return { user: target, previousRole: target.role };
+
+  if (!canAssignRole(actor, target.role, role)) {
+    throw roleError(`You cannot change the role of ${target.email} to ${role || 'none'}`, 'FORBIDDEN');
+  }
+
+  if (target.role === 'owner' && await countOwners(supabase) < 2) {
+    throw roleError('The last owner cannot be removed; make someone else owner first', 'CONFLICT');
+  }
+
+  const user = await assignRole(supabase, target.id, role, actor.id);
+  return { user, previousRole: target.role };
+}
+
+// The first owner: while nobody holds the owner role, the user signing in
+// with the bootstrap email becomes one. After that, roles are granted from
+// /admin (or with grant-role.js). Returns the user's role.
+export async function bootstrapOwner(supabase, user, bootstrapEmail) {
+  if (!bootstrapEmail || user.role === 'owner') return user.role;
+  if (user.email.toLowerCase() !== bootstrapEmail.trim().toLowerCase()) return user.role;
+  if (await countOwners(supabase) > 0) return user.role;
+
+  await assignRole(supabase, user.id, 'owner');
+  console.log(`[Roles] ${user.email} is the first owner`);
+  return 'owner';
+}
@@ -0,0 +1,364 @@
+// User-defined mail rules: conditions matched against stored messages and
+// actions carried out through the Gmail API (gmail.modify scope)
+//
+// A rule looks like:
+//   {
+//     name: 'Archive newsletters',
+//     enabled: true,
+//     match_mode: 'all',            // 'all' or 'any' of the conditions
+//     conditions: [{ type: 'header', header: 'List-Id', pattern: '.+' }],
+//     actions: [{ type: 'add_label', label: 'Newsletters' }, { type: 'archive' }]
+//   }
+
+import RE2 from 're2';
+import { modifyMessageLabels, trashMessage, resolveLabelId } from './agent-actions.js';
+import { checkWebhookUrl, postWebhookJson } from './outbound-webhook.js';
+
+export const CONDITION_TYPES = ['from', 'to', 'subject', 'body', 'has_attachment', 'label', 'size', 'header'];
+export const ACTION_TYPES = ['add_label', 'remove_label', 'archive', 'mark_read', 'star', 'trash', 'forward_webhook'];
+
+const MAX_PATTERN_LENGTH = 200;
+// With the text cap below this bounds the work per message, which a preview
+// (POST /api/rules/simulate) multiplies by up to 1,000 messages
+const MAX_CONDITIONS = 20;
+const MAX_ACTIONS = 20;
+// Regexes only see this much of a body, to keep evaluation time bounded
+const MAX_MATCH_TEXT_LENGTH = 20000;
+const MAX_COMPILED_PATTERNS = 1000;
+
+// Patterns are user input and run on the main thread for every new message,
+// so they are matched with RE2, which runs in time linear in the text: a
+// pattern like (a|aa)+$ can't backtrack its way into blocking the server.
+// RE2 has no lookarounds or backreferences; such patterns fail validation.
+const compiledPatterns = new Map();
+
+function compilePattern(pattern) {
+  let regex = compiledPatterns.get(pattern);
+  if (!regex) {
+    regex = new RE2(pattern, 'i');
+    if (compiledPatterns.size >= MAX_COMPILED_PATTERNS) compiledPatterns.clear();
+    compiledPatterns.set(pattern, regex);
+  }
+  return regex;
+}
+
+function testPattern(pattern, text) {
+  if (!text) return false;
+  return compilePattern(pattern).test(String(text).slice(0, MAX_MATCH_TEXT_LENGTH));
+}
+
+function getHeaderValues(message, name) {
+  return (message.headers || [])
+    .filter(h => h.name.toLowerCase() === name.toLowerCase())
+    .map(h => h.value);
+}
+
+function matchCondition(condition, message) {
+  let result;
+
+  switch (condition.type) {
+    case 'from':
+      result = testPattern(condition.pattern, message.from_address);
+      break;
+    case 'to':
+      result = testPattern(condition.pattern, message.to_addresses) ||
+        testPattern(condition.pattern, message.cc_addresses);
+      break;
+    case 'subject':
+      result = testPattern(condition.pattern, message.subject);
+      break;
+    case 'body':
+      result = testPattern(condition.pattern, message.body_text || message.body_html || message.snippet);
+      break;
+    case 'has_attachment':
+      result = Boolean(message.has_attachments) === (condition.value !== false);
+      break;
+    case 'label':
+      result = (message.label_ids || []).includes(condition.value);
+      break;
+    case 'size':
+      result = condition.operator === 'lt'
+        ? (message.size_estimate || 0) < condition.value
+        : (message.size_estimate || 0) > condition.value;
+      break;
+    case 'header':
+      result = getHeaderValues(message, condition.header).some(value => testPattern(condition.pattern, value));
+      break;
+    default:
+      result = false;
+  }
+
+  return condition.negate ? !result : result;
+}
+
+// True if the message satisfies the rule's conditions. This is the only matcher,
+// used both for live processing and for previews.
+export function matchRule(rule, message) {
+  const conditions = rule.conditions || [];
+  if (conditions.length === 0) return false;
+
+  return rule.match_mode === 'any'
+    ? conditions.some(condition => matchCondition(condition, message))
+    : conditions.every(condition => matchCondition(condition, message));
+}
+
+// Returns a list of validation errors; empty means the rule is valid
+export function validateRule(rule) {
+  const errors = [];
+
+  if (!rule || typeof rule !== 'object') {
+    return ['Rule must be an object'];
+  }
+  if (!rule.name || typeof rule.name !== 'string') {
+    errors.push('name is required');
+  }
+  if (rule.match_mode && !['all', 'any'].includes(rule.match_mode)) {
+    errors.push('match_mode must be "all" or "any"');
+  }
+  if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+    errors.push('at least one condition is required');
+  } else if (rule.conditions.length > MAX_CONDITIONS) {
+    errors.push(`at most ${MAX_CONDITIONS} conditions are allowed`);
+  }
+  if (!Array.isArray(rule.actions) || rule.actions.length === 0) {
+    errors.push('at least one action is required');
+  } else if (rule.actions.length > MAX_ACTIONS) {
+    errors.push(`at most ${MAX_ACTIONS} actions are allowed`);
+  }
+
+  (Array.isArray(rule.conditions) ? rule.conditions : []).forEach((condition, i) => {
+    if (!CONDITION_TYPES.includes(condition?.type)) {
+      errors.push(`conditions[${i}]: unknown type "${condition?.type}"`);
+      return;
+    }
+    if (['from', 'to', 'subject', 'body', 'header'].includes(condition.type)) {
+      if (typeof condition.pattern !== 'string' || !condition.pattern) {
+        errors.push(`conditions[${i}]: pattern is required`);
+      } else if (condition.pattern.length > MAX_PATTERN_LENGTH) {
+        errors.push(`conditions[${i}]: pattern must be at most ${MAX_PATTERN_LENGTH} characters`);
+      } else {
+        try {
+          compilePattern(condition.pattern);
+        } catch (error) {
+          errors.push(`conditions[${i}]: invalid pattern (${error.message})`);
+        }
+      }
+    }
+    if (condition.type === 'header' && (typeof condition.header !== 'string' || !condition.header)) {
+      errors.push(`conditions[${i}]: header name is required`);
+    }
+    if (condition.type === 'label' && (typeof condition.value !== 'string' || !condition.value)) {
+      errors.push(`conditions[${i}]: label id is required`);
+    }
+    if (condition.type === 'size') {
+      if (!['gt', 'lt'].includes(condition.operator)) {
+        errors.push(`conditions[${i}]: operator must be "gt" or "lt"`);
+      }
+      if (typeof condition.value !== 'number' || condition.value < 0) {
+        errors.push(`conditions[${i}]: value must be a size in bytes`);
+      }
+    }
+  });
+
+  (Array.isArray(rule.actions) ? rule.actions : []).forEach((action, i) => {
+    if (!ACTION_TYPES.includes(action?.type)) {
+      errors.push(`actions[${i}]: unknown type "${action?.type}"`);
+      return;
+    }
+    if (['add_label', 'remove_label'].includes(action.type) && (typeof action.label !== 'string' || !action.label)) {
+      errors.push(`actions[${i}]: label is required`);
+    }
+    if (action.type === 'forward_webhook') {
+      const problem = checkWebhookUrl(action.url);
+      if (problem) errors.push(`actions[${i}]: url ${problem}`);
+    }
+  });
+
+  return errors;
+}
+
+// Copy only known fields from a request body into a rules row
+export function toRuleRecord(body) {
+  return {
+    name: body.name,
+    enabled: body.enabled !== false,
+    match_mode: body.match_mode || 'all',
+    conditions: body.conditions,
+    actions: body.actions,
+    position: Number.isInteger(body.position) ? body.position : 0
+  };
+}
+
+// Summarize what a rule's actions will do to a message, without touching Gmail.
+// Label names are left unresolved; executeRuleActions maps them to ids.
+export function planRuleActions(rule, message) {
+  const plan = { addLabels: [], removeLabels: [], trash: false, webhooks: [] };
+  const labelIds = message.label_ids || [];
+
+  for (const action of rule.actions || []) {
+    switch (action.type) {
+      case 'add_label':
+        plan.addLabels.push(action.label);
+        break;
+      case 'remove_label':
+        plan.removeLabels.push(action.label);
+        break;
+      case 'archive':
+        if (labelIds.includes('INBOX')) plan.removeLabels.push('INBOX');
+        break;
+      case 'mark_read':
+        if (labelIds.includes('UNREAD')) plan.removeLabels.push('UNREAD');
+        break;
+      case 'star':
+        if (!labelIds.includes('STARRED')) plan.addLabels.push('STARRED');
+        break;
+      case 'trash':
+        plan.trash = true;
+        break;
+      case 'forward_webhook':
+        plan.webhooks.push(action.url);
+        break;
+    }
+  }
+
+  return plan;
+}
+
+// Dry-run a rule against a list of messages. Nothing is changed in Gmail;
+// the result lists each matching message and the actions that would apply.
+export function simulateRule(rule, messages) {
+  const matches = [];
+
+  for (const message of messages) {
+    if (!matchRule(rule, message)) continue;
+
+    matches.push({
+      message: {
+        id: message.gmail_message_id,
+        threadId: message.thread_id,
+        from: message.from_address,
+        subject: message.subject,
+        snippet: message.snippet,
+        date: message.sent_at,
+        labelIds: message.label_ids
+      },
+      actions: planRuleActions(rule, message)
+    });
+  }
+
+  return { scanned: messages.length, matched: matches.length, matches };
+}
+
+// Private and internal hosts are refused, see outbound-webhook.js
+async function postToWebhook(url, rule, message) {
+  const status = await postWebhookJson(url, {
+    rule: { id: rule.id, name: rule.name },
+    message: {
+      id: message.gmail_message_id,
+      threadId: message.thread_id,
+      from: message.from_address,
+      to: message.to_addresses,
+      cc: message.cc_addresses,
+      subject: message.subject,
+      snippet: message.snippet,
+      date: message.sent_at,
+      labelIds: message.label_ids
+    }
+  });
+
+  if (status < 200 || status >= 300) {
+    throw new Error(`Webhook ${url} returned HTTP ${status}`);
+  }
+}
+
+// Carry out a matched rule's actions on a message, logging each mailbox change
+// to agent_actions. Returns the applied plan with label names resolved to ids.
+export async function executeRuleActions({ gmail, supabase, user, rule, message, labelCache = {} }) {
+  const plan = planRuleActions(rule, message);
+
+  const addLabelIds = [];
+  for (const label of plan.addLabels) {
+    addLabelIds.push(await resolveLabelId(gmail, label, labelCache, true));
+  }
+  const removeLabelIds = [];
+  for (const label of plan.removeLabels) {
+    const labelId = await resolveLabelId(gmail, label, labelCache, false);
+    if (labelId) removeLabelIds.push(labelId);
+  }
+
+  const trigger = { type: 'rule', ruleId: rule.id, ruleName: rule.name };
+
+  if (addLabelIds.length || removeLabelIds.length) {
+    message.label_ids = await modifyMessageLabels({
+      gmail,
+      supabase,
+      userId: user.id,
+      mailAccountId: message.mail_account_id,
+      messageId: message.gmail_message_id,
+      addLabelIds,
+      removeLabelIds,
+      trigger
+    });
+  }
+
+  if (plan.trash) {
+    message.label_ids = await trashMessage({
+      gmail,
+      supabase,
+      userId: user.id,
+      mailAccountId: message.mail_account_id,
+      messageId: message.gmail_message_id,
+      trigger
+    });
+  }
+
+  for (const url of plan.webhooks) {
+    await postToWebhook(url, rule, message);
+  }
+
+  return { ...plan, addLabelIds, removeLabelIds };
+}
+
+// Evaluate a user's enabled rules against a newly synced message and run the
+// actions of every rule that matches. A failing rule is logged and doesn't stop the others.
+export async function applyRulesToMessage({ gmail, supabase, user, message }) {
+  const { data: rules, error } = await supabase
+    .from('rules')
+    .select('*')
+    .eq('user_id', user.id)
+    .eq('enabled', true)
+    .order('position', { ascending: true })
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+
+  const labelCache = {};
+  const applied = [];
+
+  for (const rule of rules) {
+    if (!matchRule(rule, message)) continue;
+
+    try {
+      const result = await executeRuleActions({ gmail, supabase, user, rule, message, labelCache });
+      applied.push({ rule, result });
+      console.log(`[Rules] Rule "${rule.name}" applied to message ${message.gmail_message_id} for ${user.email}`);
+
+      // Nothing left to do once the message is in the trash
+      if (result.trash) break;
+    } catch (ruleError) {
+      console.error(`[Rules] Rule "${rule.name}" failed on message ${message.gmail_message_id}:`, ruleError.message);
+    }
+  }
+
+  // Keep the stored copy's labels in line with Gmail
+  if (applied.length > 0) {
+    const { error: updateError } = await supabase
+      .from('messages')
+      .update({ label_ids: message.label_ids })
+      .eq('id', message.id);
+
+    if (updateError) console.error('[Rules] Failed to update stored labels:', updateError);
+  }
+
+  return applied;
+}
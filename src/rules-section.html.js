@@ -0,0 +1,396 @@
+// Mail rules management card for the user dashboard. Talks to /api/rules.
+export function generateRulesSection() {
+  return `
+    <div class="card rules-card" style="margin-top: 1.5rem;">
+      <style>
+        .rules-card h3 { margin-bottom: 1rem; color: #333; }
+        .rules-card .muted { color: #666; }
+        .rule-row {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 1rem;
+          padding: 0.75rem 0;
+          border-bottom: 1px solid #f3f4f6;
+        }
+        .rule-row:last-child { border-bottom: none; }
+        .rule-row .rule-name { font-weight: 600; color: #333; }
+        .rule-row .rule-summary { font-size: 0.85rem; color: #666; margin-top: 0.25rem; }
+        .rules-card button {
+          background: #667eea;
+          color: white;
+          padding: 8px 16px;
+          border: none;
+          border-radius: 8px;
+          cursor: pointer;
+          font-weight: 600;
+        }
+        .rules-card button:hover { background: #5568d3; }
+        .rules-card button.secondary { background: #e5e7eb; color: #333; }
+        .rules-card button.danger { background: #ef4444; }
+        .rules-card input, .rules-card select {
+          padding: 8px;
+          border: 1px solid #ddd;
+          border-radius: 6px;
+          font-size: 0.9rem;
+        }
+        .rule-form {
+          display: none;
+          margin-top: 1rem;
+          padding-top: 1rem;
+          border-top: 1px solid #e5e7eb;
+        }
+        .rule-form .field-row {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 0.5rem;
+          align-items: center;
+          margin-bottom: 0.5rem;
+        }
+        .rule-form h4 { margin: 1rem 0 0.5rem; color: #333; }
+        .rule-errors { color: #991b1b; margin-top: 0.75rem; }
+        .rule-preview {
+          display: none;
+          margin-top: 1rem;
+          padding: 1rem;
+          background: #f9fafb;
+          border-radius: 8px;
+        }
+        .preview-match {
+          padding: 0.5rem 0;
+          border-bottom: 1px solid #e5e7eb;
+          font-size: 0.9rem;
+        }
+        .preview-match:last-child { border-bottom: none; }
+        .preview-match .preview-actions { color: #667eea; font-size: 0.8rem; margin-top: 0.25rem; }
+      </style>
+
+      <div style="display: flex; justify-content: space-between; align-items: center;">
+        <h3>Mail Rules</h3>
+        <button type="button" onclick="openRuleForm()">New Rule</button>
+      </div>
+      <p class="muted" style="margin-bottom: 1rem;">Rules run on every new message and act on it in Gmail</p>
+
+      <div id="rules-list"><span style="color: #999;">Loading...</span></div>
+
+      <div id="rule-form" class="rule-form">
+        <div class="field-row">
+          <input id="rule-name" placeholder="Rule name" style="flex: 1;">
+          <select id="rule-match-mode">
+            <option value="all">Match all conditions</option>
+            <option value="any">Match any condition</option>
+          </select>
+          <label><input id="rule-enabled" type="checkbox" checked> Enabled</label>
+        </div>
+
+        <h4>Conditions</h4>
+        <div id="rule-conditions"></div>
+        <button type="button" class="secondary" onclick="addConditionRow()">+ Condition</button>
+
+        <h4>Actions</h4>
+        <div id="rule-actions"></div>
+        <button type="button" class="secondary" onclick="addActionRow()">+ Action</button>
+
+        <div id="rule-errors" class="rule-errors"></div>
+
+        <div class="field-row" style="margin-top: 1rem;">
+          <button type="button" onclick="saveRule()">Save Rule</button>
+          <button type="button" class="secondary" onclick="previewRule(readRuleForm())">Preview</button>
+          <select id="preview-limit">
+            <option value="25">last 25</option>
+            <option value="50" selected>last 50</option>
+            <option value="200">last 200</option>
+          </select>
+          <select id="preview-source">
+            <option value="stored">stored messages</option>
+            <option value="gmail">from Gmail</option>
+          </select>
+          <button type="button" class="secondary" onclick="closeRuleForm()">Cancel</button>
+        </div>
+      </div>
+
+      <div id="rule-preview" class="rule-preview"></div>
+    </div>
+
+    <script>
+      let rules = [];
+      let editingRuleId = null;
+
+      const CONDITION_LABELS = {
+        from: 'From matches',
+        to: 'To/Cc matches',
+        subject: 'Subject matches',
+        body: 'Body matches',
+        header: 'Header matches',
+        has_attachment: 'Has attachment',
+        label: 'Has label',
+        size: 'Size'
+      };
+      const ACTION_LABELS = {
+        add_label: 'Add label',
+        remove_label: 'Remove label',
+        archive: 'Archive',
+        mark_read: 'Mark as read',
+        star: 'Star',
+        trash: 'Move to trash',
+        forward_webhook: 'Forward to webhook'
+      };
+
+      function describeCondition(c) {
+        if (c.type === 'has_attachment') return (c.value === false ? 'no' : 'has') + ' attachment';
+        if (c.type === 'size') return 'size ' + (c.operator === 'lt' ? '<' : '>') + ' ' + c.value + ' bytes';
+        if (c.type === 'label') return 'label ' + c.value;
+        if (c.type === 'header') return c.header + ' ~ /' + c.pattern + '/';
+        return c.type + ' ~ /' + c.pattern + '/';
+      }
+
+      function describeAction(a) {
+        if (a.type === 'add_label' || a.type === 'remove_label') return ACTION_LABELS[a.type].toLowerCase() + ' "' + a.label + '"';
+        if (a.type === 'forward_webhook') return 'forward to ' + a.url;
+        return ACTION_LABELS[a.type].toLowerCase();
+      }
+
+      async function loadRules() {
+        const list = document.getElementById('rules-list');
+        try {
+          const response = await fetch('/api/rules');
+          if (!response.ok) throw new Error('HTTP ' + response.status);
+          rules = (await response.json()).rules;
+
+          if (rules.length === 0) {
+            list.innerHTML = '<span class="muted">No rules yet</span>';
+            return;
+          }
+
+          list.innerHTML = rules.map(function(rule) {
+            return '<div class="rule-row">' +
+              '<div>' +
+                '<div class="rule-name">' + escapeHtml(rule.name) + (rule.enabled ? '' : ' <span class="muted">(disabled)</span>') + '</div>' +
+                '<div class="rule-summary">If ' + escapeHtml(rule.conditions.map(describeCondition).join(rule.match_mode === 'any' ? ' or ' : ' and ')) +
+                  ' → ' + escapeHtml(rule.actions.map(describeAction).join(', ')) + '</div>' +
+              '</div>' +
+              '<div style="display: flex; gap: 0.5rem;">' +
+                '<button type="button" class="secondary" onclick="previewSavedRule(\\'' + rule.id + '\\')">Preview</button>' +
+                '<button type="button" class="secondary" onclick="openRuleForm(\\'' + rule.id + '\\')">Edit</button>' +
+                '<button type="button" class="danger" onclick="deleteRule(\\'' + rule.id + '\\')">Delete</button>' +
+              '</div>' +
+            '</div>';
+          }).join('');
+        } catch (error) {
+          list.innerHTML = '<span style="color: #ef4444;">Error loading rules: ' + escapeHtml(error.message) + '</span>';
+        }
+      }
+
+      function options(labels, selected) {
+        return Object.keys(labels).map(function(key) {
+          return '<option value="' + key + '"' + (key === selected ? ' selected' : '') + '>' + labels[key] + '</option>';
+        }).join('');
+      }
+
+      function renderConditionFields(row, condition) {
+        const type = row.querySelector('.condition-type').value;
+        const fields = row.querySelector('.condition-fields');
+        condition = condition || {};
+
+        if (type === 'has_attachment') {
+          fields.innerHTML = '<select class="c-value"><option value="true">yes</option><option value="false"' +
+            (condition.value === false ? ' selected' : '') + '>no</option></select>';
+        } else if (type === 'size') {
+          fields.innerHTML = '<select class="c-operator"><option value="gt">larger than</option><option value="lt"' +
+            (condition.operator === 'lt' ? ' selected' : '') + '>smaller than</option></select>' +
+            '<input class="c-value" type="number" min="0" placeholder="bytes" value="' + escapeHtml(condition.value) + '">';
+        } else if (type === 'label') {
+          fields.innerHTML = '<input class="c-value" placeholder="Label id, e.g. IMPORTANT" value="' + escapeHtml(condition.value) + '">';
+        } else {
+          fields.innerHTML = (type === 'header' ? '<input class="c-header" placeholder="Header name" value="' + escapeHtml(condition.header) + '">' : '') +
+            '<input class="c-pattern" placeholder="Regular expression" value="' + escapeHtml(condition.pattern) + '">';
+        }
+      }
+
+      function addConditionRow(condition) {
+        const row = document.createElement('div');
+        row.className = 'field-row condition-row';
+        row.innerHTML = '<select class="condition-type">' + options(CONDITION_LABELS, condition && condition.type) + '</select>' +
+          '<span class="condition-fields"></span>' +
+          '<label><input class="c-negate" type="checkbox"' + (condition && condition.negate ? ' checked' : '') + '> not</label>' +
+          '<button type="button" class="secondary" onclick="this.parentElement.remove()">✕</button>';
+        row.querySelector('.condition-type').onchange = function() { renderConditionFields(row); };
+        document.getElementById('rule-conditions').appendChild(row);
+        renderConditionFields(row, condition);
+      }
+
+      function renderActionFields(row, action) {
+        const type = row.querySelector('.action-type').value;
+        const fields = row.querySelector('.action-fields');
+        action = action || {};
+
+        if (type === 'add_label' || type === 'remove_label') {
+          fields.innerHTML = '<input class="a-label" placeholder="Label name" value="' + escapeHtml(action.label) + '">';
+        } else if (type === 'forward_webhook') {
+          fields.innerHTML = '<input class="a-url" placeholder="https://..." style="min-width: 280px;" value="' + escapeHtml(action.url) + '">';
+        } else {
+          fields.innerHTML = '';
+        }
+      }
+
+      function addActionRow(action) {
+        const row = document.createElement('div');
+        row.className = 'field-row action-row';
+        row.innerHTML = '<select class="action-type">' + options(ACTION_LABELS, action && action.type) + '</select>' +
+          '<span class="action-fields"></span>' +
+          '<button type="button" class="secondary" onclick="this.parentElement.remove()">✕</button>';
+        row.querySelector('.action-type').onchange = function() { renderActionFields(row); };
+        document.getElementById('rule-actions').appendChild(row);
+        renderActionFields(row, action);
+      }
+
+      function openRuleForm(ruleId) {
+        const rule = rules.find(function(r) { return r.id === ruleId; });
+        editingRuleId = rule ? rule.id : null;
+
+        document.getElementById('rule-name').value = rule ? rule.name : '';
+        document.getElementById('rule-match-mode').value = rule ? rule.match_mode : 'all';
+        document.getElementById('rule-enabled').checked = rule ? rule.enabled : true;
+        document.getElementById('rule-conditions').innerHTML = '';
+        document.getElementById('rule-actions').innerHTML = '';
+        document.getElementById('rule-errors').innerHTML = '';
+
+        (rule ? rule.conditions : [{ type: 'from' }]).forEach(addConditionRow);
+        (rule ? rule.actions : [{ type: 'add_label' }]).forEach(addActionRow);
+
+        document.getElementById('rule-form').style.display = 'block';
+      }
+
+      function closeRuleForm() {
+        document.getElementById('rule-form').style.display = 'none';
+        editingRuleId = null;
+      }
+
+      function readRuleForm() {
+        const conditions = Array.from(document.querySelectorAll('.condition-row')).map(function(row) {
+          const condition = { type: row.querySelector('.condition-type').value };
+          const value = row.querySelector('.c-value');
+          const operator = row.querySelector('.c-operator');
+          const header = row.querySelector('.c-header');
+          const pattern = row.querySelector('.c-pattern');
+
+          if (condition.type === 'has_attachment') condition.value = value.value === 'true';
+          else if (condition.type === 'size') condition.value = Number(value.value);
+          else if (value) condition.value = value.value;
+          if (operator) condition.operator = operator.value;
+          if (header) condition.header = header.value;
+          if (pattern) condition.pattern = pattern.value;
+          if (row.querySelector('.c-negate').checked) condition.negate = true;
+          return condition;
+        });
+
+        const actions = Array.from(document.querySelectorAll('.action-row')).map(function(row) {
+          const action = { type: row.querySelector('.action-type').value };
+          const label = row.querySelector('.a-label');
+          const url = row.querySelector('.a-url');
+          if (label) action.label = label.value;
+          if (url) action.url = url.value;
+          return action;
+        });
+
+        return {
+          name: document.getElementById('rule-name').value,
+          match_mode: document.getElementById('rule-match-mode').value,
+          enabled: document.getElementById('rule-enabled').checked,
+          conditions: conditions,
+          actions: actions
+        };
+      }
+
+      async function saveRule() {
+        const errorsDiv = document.getElementById('rule-errors');
+        errorsDiv.innerHTML = '';
+
+        try {
+          const response = await fetch(editingRuleId ? '/api/rules/' + editingRuleId : '/api/rules', {
+            method: editingRuleId ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(readRuleForm())
+          });
+          const data = await response.json();
+
+          if (!data.success) {
+            errorsDiv.innerHTML = '<strong>✗ ' + escapeHtml(data.error || 'Error') + '</strong><br>' +
+              escapeHtml((data.details || []).join ? data.details.join('; ') : data.details);
+            return;
+          }
+
+          closeRuleForm();
+          loadRules();
+        } catch (error) {
+          errorsDiv.innerHTML = '<strong>✗ Connection Error</strong><br>' + escapeHtml(error.message);
+        }
+      }
+
+      function describePlan(plan) {
+        const parts = [];
+        if (plan.addLabels.length) parts.push('add ' + plan.addLabels.join(', '));
+        if (plan.removeLabels.length) parts.push('remove ' + plan.removeLabels.join(', '));
+        if (plan.trash) parts.push('move to trash');
+        plan.webhooks.forEach(function(url) { parts.push('forward to ' + url); });
+        return parts.length ? parts.join(' · ') : 'no changes (already applied)';
+      }
+
+      // Runs the rule through the same matcher as live processing; nothing changes in Gmail
+      async function previewRule(rule) {
+        const preview = document.getElementById('rule-preview');
+        preview.style.display = 'block';
+        preview.innerHTML = '<span style="color: #999;">Running preview...</span>';
+
+        try {
+          const response = await fetch('/api/rules/simulate', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              rule: rule,
+              limit: Number(document.getElementById('preview-limit').value),
+              source: document.getElementById('preview-source').value
+            })
+          });
+          const data = await response.json();
+
+          if (!data.success) {
+            preview.innerHTML = '<span style="color: #991b1b;"><strong>✗ ' + escapeHtml(data.error || 'Error') + '</strong><br>' +
+              escapeHtml((data.details || []).join ? data.details.join('; ') : data.details) + '</span>';
+            return;
+          }
+
+          preview.innerHTML = '<strong>Preview of "' + escapeHtml(rule.name) + '": ' + data.matched + ' of ' + data.scanned + ' messages match</strong>' +
+            '<button type="button" class="secondary" style="float: right;" onclick="this.parentElement.style.display=\\'none\\'">Close</button>' +
+            data.matches.map(function(match) {
+              return '<div class="preview-match">' +
+                '<div><strong>' + escapeHtml(match.message.subject || '(no subject)') + '</strong> — ' + escapeHtml(match.message.from) + '</div>' +
+                '<div class="muted">' + (match.message.date ? new Date(match.message.date).toLocaleString() : '') + '</div>' +
+                '<div class="preview-actions">Would ' + escapeHtml(describePlan(match.actions)) + '</div>' +
+              '</div>';
+            }).join('');
+        } catch (error) {
+          preview.innerHTML = '<span style="color: #991b1b;"><strong>✗ Connection Error</strong><br>' + escapeHtml(error.message) + '</span>';
+        }
+      }
+
+      function previewSavedRule(ruleId) {
+        const rule = rules.find(function(r) { return r.id === ruleId; });
+        if (rule) previewRule(rule);
+      }
+
+      async function deleteRule(ruleId) {
+        if (!confirm('Delete this rule?')) return;
+
+        const response = await fetch('/api/rules/' + ruleId, { method: 'DELETE' });
+        if (!response.ok) {
+          alert('Failed to delete rule');
+          return;
+        }
+        loadRules();
+      }
+
+      loadRules();
+    </script>
+  `;
+}
@@ -7,11 +7,74 @@ import helmet from 'helmet';
 import cors from 'cors';
 import rateLimit from 'express-rate-limit';
 import dotenv from 'dotenv';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
 import { generateAdminDashboard } from './admin-dashboard.html.js';
-import { google } from 'googleapis';
+import { escapeHtml, ESCAPE_HTML_SCRIPT } from './html-escape.js';
+import { syncMailbox } from './gmail-sync.js';
+import { startGmailWatch, startWatchRenewalScheduler, recordWatchNotification } from './gmail-watch.js';
+import { createPubSubAuthMiddleware } from './pubsub-auth.js';
+import { enqueueJob, startJobWorkers, listJobs, replayJob } from './job-queue.js';
+import { validateRule, toRuleRecord, applyRulesToMessage, simulateRule } from './rules-engine.js';
+import { listRecentMessages } from './gmail-messages.js';
+import { listAgentActions, undoAgentAction } from './agent-actions.js';
+import { generateActionsSection } from './actions-section.html.js';
+import {
+  createClassifier,
+  classifyMessage,
+  getClassificationSettings,
+  validateClassificationSettings
+} from './classification.js';
+import { generateClassificationSection } from './classification-section.html.js';
+import { generateRulesSection } from './rules-section.html.js';
+import { generateSessionsSection } from './sessions-section.html.js';
+import {
+  createReplyGenerator,
+  listReplyDrafts,
+  shouldDraftReply,
+  createReplyDraft,
+  updateReplyDraft,
+  approveReplyDraft,
+  discardReplyDraft
+} from './reply-drafts.js';
+import { generateDraftsSection } from './drafts-section.html.js';
+import {
+  getDigestSettings,
+  validateDigestSettings,
+  describeDigestSchedule,
+  getDigestPeriod,
+  getDigestGmailClient,
+  sendDigest,
+  processDigestJob,
+  startDigestScheduler
+} from './digest.js';
+import { generateDigestSection } from './digest-section.html.js';
+import { loadKeyring } from './token-crypto.js';
+import { createGmailClientFactory, NEEDS_REAUTH } from './gmail-client.js';
+import { createUserProfileCache, sanitizeUser } from './user-profile.js';
+import { createSessionStore } from './session-store.js';
+import {
+  listMailAccounts,
+  pickMailAccount,
+  resolveMailAccount,
+  findMailAccountByEmail,
+  saveMailAccountTokens,
+  removeMailAccount
+} from './mail-accounts.js';
+import { generateAccountsSection } from './accounts-section.html.js';
+import { ROLES, hasPermission, canAssignRole, canManageUser, setUserRole, bootstrapOwner } from './roles.js';
+import { recordAdminAction, listAdminAuditLog } from './admin-audit.js';
+import { deactivateUser, reactivateUser, deleteUser } from './user-admin.js';
+import { BULK_WATCH_ACTIONS, MAX_BULK_USERS, getWatchHealth, countExpiringWatches, runBulkWatchAction } from './watch-health.js';
+import { parseUserListQuery, listAdminUsers, getUserStats } from './admin-users.js';
+import { incrementDailyMetric, parseAnalyticsQuery, getDailyMetrics } from './admin-analytics.js';
+import { EXPORT_CONTENT_TYPES, parseUserExportQuery, generateUserExport } from './user-export.js';
 
 dotenv.config();
 
+// Fail at startup rather than on the first login if the token keys are malformed
+loadKeyring();
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -42,7 +105,11 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Session configuration
+const SESSION_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const sessionStore = createSessionStore({ supabase, ttlMs: SESSION_MAX_AGE_MS });
+
 app.use(session({
+  store: sessionStore,
   secret: process.env.SESSION_SECRET,
   resave: false,
   saveUninitialized: false,
@@ -50,7 +117,7 @@ app.use(session({
   cookie: {
     secure: process.env.NODE_ENV === 'production',
     httpOnly: true,
-    maxAge: 24 * 60 * 60 * 1000,
+    maxAge: SESSION_MAX_AGE_MS,
     sameSite: 'lax' // Important for OAuth redirects
   }
 }));
@@ -58,9 +125,30 @@ app.use(session({
 app.use(passport.initialize());
 app.use(passport.session());
 
-// Passport serialization
-passport.serializeUser((user, done) => done(null, user));
-passport.deserializeUser((user, done) => done(null, user));
+// Passport serialization: the session only holds the user id, and the
+// profile (without tokens) is reloaded per request through a short cache
+const userProfiles = createUserProfileCache({ supabase });
+
+passport.serializeUser((user, done) => done(null, user.id));
+passport.deserializeUser(async (id, done) => {
+  try {
+    const user = await userProfiles.get(id);
+    // A deleted or deactivated user is signed out on their next request
+    done(null, user && user.is_active !== false ? user : false);
+  } catch (error) {
+    done(error);
+  }
+});
+
+// Google reports the access token lifetime in seconds; assume an hour if it doesn't
+function tokenExpiryFrom(params) {
+  const expiresIn = parseInt(params?.expires_in) || 3600;
+  return new Date(Date.now() + expiresIn * 1000).toISOString();
+}
+
+// Whoever signs in with this email becomes owner while the app has none.
+// ADMIN_EMAIL is what single-admin deployments already have configured.
+const BOOTSTRAP_OWNER_EMAIL = process.env.BOOTSTRAP_OWNER_EMAIL || process.env.ADMIN_EMAIL;
 
 // Google OAuth Strategy
 passport.use(new GoogleStrategy({
@@ -68,16 +156,13 @@ passport.use(new GoogleStrategy({
     clientSecret: process.env.GOOGLE_CLIENT_SECRET,
     callbackURL: process.env.CALLBACK_URL || '/auth/google/callback'
   },
-  async (accessToken, refreshToken, profile, done) => {
+  async (accessToken, refreshToken, params, profile, done) => {
     try {
       const googleId = profile.id;
       const email = profile.emails[0].value;
       const name = profile.displayName;
       const picture = profile.photos[0]?.value;
 
-      // Calculate token expiry (tokens typically expire in 1 hour)
-      const tokenExpiry = new Date(Date.now() + 3600 * 1000).toISOString();
-
       // Check if user exists
       let { data: user, error: fetchError } = await supabase
         .from('users')
@@ -91,8 +176,12 @@ passport.use(new GoogleStrategy({
 
       let isNewUser = false;
 
+      if (user && user.is_active === false) {
+        return done(null, false);
+      }
+
       if (!user) {
-        // Create new user with OAuth tokens
+        // Create new user
         const { data: newUser, error: insertError } = await supabase
           .from('users')
           .insert([
@@ -100,10 +189,7 @@ passport.use(new GoogleStrategy({
               google_id: googleId,
               email,
               name,
-              picture,
-              access_token: accessToken,
-              refresh_token: refreshToken,
-              token_expiry: tokenExpiry
+              picture
             }
           ])
           .select()
@@ -113,15 +199,10 @@ passport.use(new GoogleStrategy({
         user = newUser;
         isNewUser = true;
       } else {
-        // Update last login and OAuth tokens
+        // Update last login
         await supabase
           .from('users')
-          .update({
-            last_login: new Date().toISOString(),
-            access_token: accessToken,
-            refresh_token: refreshToken || user.refresh_token, // Keep old refresh token if new one not provided
-            token_expiry: tokenExpiry
-          })
+          .update({ last_login: new Date().toISOString() })
           .eq('id', user.id);
 
         // Fetch updated user
@@ -132,12 +213,32 @@ passport.use(new GoogleStrategy({
           .single();
 
         user = updatedUser || user;
+        userProfiles.invalidate(user.id);
+      }
+
+      user.role = await bootstrapOwner(supabase, user, BOOTSTRAP_OWNER_EMAIL);
+
+      // The Google account a user signs in with is their primary mailbox
+      try {
+        await saveMailAccountTokens(supabase, {
+          userId: user.id,
+          googleId,
+          email,
+          isPrimary: true,
+          accessToken,
+          refreshToken,
+          tokenExpiry: tokenExpiryFrom(params)
+        });
+      } catch (accountError) {
+        if (accountError.code !== 'CONFLICT') throw accountError;
+        console.log(`[Mail Accounts] ${email} is linked to another user's dashboard; its tokens were not stored for this sign-in`);
       }
 
-      // Add isNewUser flag to user object
-      user.isNewUser = isNewUser;
+      if (isNewUser) await incrementDailyMetric(supabase, 'signups');
+      await incrementDailyMetric(supabase, 'logins');
 
-      return done(null, user);
+      // Only the sanitized profile goes on req.user; isNewUser is used by the callback redirect
+      return done(null, { ...sanitizeUser(user), isNewUser });
     } catch (error) {
       console.error('OAuth error:', error);
       return done(error, null);
@@ -145,8 +246,37 @@ passport.use(new GoogleStrategy({
   }
 ));
 
-// Admin email - add your email here
-const ADMIN_EMAIL = process.env.ADMIN_EMAIL || 'your-email@gmail.com';
+// Linking another mailbox. passport.authorize leaves the signed-in user alone
+// and hands the linked account to the callback route as req.account.
+passport.use('google-link', new GoogleStrategy({
+    clientID: process.env.GOOGLE_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    callbackURL: process.env.LINK_CALLBACK_URL || '/auth/google/link/callback',
+    passReqToCallback: true
+  },
+  async (req, accessToken, refreshToken, params, profile, done) => {
+    try {
+      const account = await saveMailAccountTokens(supabase, {
+        userId: req.user.id,
+        googleId: profile.id,
+        email: profile.emails[0].value,
+        accessToken,
+        refreshToken,
+        tokenExpiry: tokenExpiryFrom(params)
+      });
+
+      console.log(`[Mail Accounts] ${req.user.email} connected ${account.email}`);
+      return done(null, account);
+    } catch (error) {
+      if (error.code === 'CONFLICT') {
+        console.log(`[Mail Accounts] Link refused for ${req.user.email}: ${error.message}`);
+        return done(null, false);
+      }
+      console.error('OAuth link error:', error);
+      return done(error, null);
+    }
+  }
+));
 
 // Middleware
 const isAuthenticated = (req, res, next) => {
@@ -154,10 +284,14 @@ const isAuthenticated = (req, res, next) => {
   res.redirect('/');
 };
 
-const isAdmin = (req, res, next) => {
-  if (req.isAuthenticated() && req.user.email === ADMIN_EMAIL) {
+// Admin routes need a role that grants the permission (see roles.js)
+const requirePermission = (permission) => (req, res, next) => {
+  if (req.isAuthenticated() && hasPermission(req.user, permission)) {
     return next();
   }
+  if (req.path.startsWith('/api/')) {
+    return res.status(403).json({ success: false, error: 'Access denied', details: [`Requires the ${permission} permission`] });
+  }
   res.status(403).send('Access denied. Admin only.');
 };
 
@@ -235,14 +369,16 @@ app.get('/', (req, res) => {
   `);
 });
 
+const GOOGLE_SCOPES = [
+  'profile',
+  'email',
+  'https://www.googleapis.com/auth/gmail.readonly',
+  'https://www.googleapis.com/auth/gmail.modify'
+];
+
 app.get('/auth/google',
   passport.authenticate('google', {
-    scope: [
-      'profile',
-      'email',
-      'https://www.googleapis.com/auth/gmail.readonly',
-      'https://www.googleapis.com/auth/gmail.modify'
-    ],
+    scope: GOOGLE_SCOPES,
     accessType: 'offline',
     prompt: 'consent'
   })
@@ -251,6 +387,12 @@ app.get('/auth/google',
 app.get('/auth/google/callback',
   passport.authenticate('google', { failureRedirect: '/' }),
   (req, res) => {
+    // Shown on the active sessions list
+    req.session.client = {
+      ip: req.ip,
+      userAgent: (req.get('user-agent') || '').slice(0, 500)
+    };
+
     // Redirect to dashboard with welcome flag if new user
     if (req.user.isNewUser) {
       return res.redirect('/dashboard?welcome=true');
@@ -259,9 +401,32 @@ app.get('/auth/google/callback',
   }
 );
 
+// Connect another Gmail account (or reconnect one; ?email= preselects it)
+app.get('/auth/google/link', isAuthenticated, (req, res, next) => {
+  passport.authorize('google-link', {
+    scope: GOOGLE_SCOPES,
+    accessType: 'offline',
+    prompt: 'consent select_account',
+    loginHint: typeof req.query.email === 'string' ? req.query.email : undefined
+  })(req, res, next);
+});
+
+app.get('/auth/google/link/callback',
+  isAuthenticated,
+  passport.authorize('google-link', { failureRedirect: '/dashboard?link_failed=true' }),
+  (req, res) => {
+    // Show the mailbox that was just connected
+    req.session.mailAccountId = req.account.id;
+    res.redirect('/dashboard?linked=true');
+  }
+);
+
 app.get('/dashboard', isAuthenticated, (req, res) => {
   // Check if this is first visit (new registration)
   const isNewUser = req.query.welcome === 'true';
+  // Set by the account link callback
+  const linked = req.query.linked === 'true';
+  const linkFailed = req.query.link_failed === 'true';
   const joinDate = new Date(req.user.created_at).toLocaleDateString('en-US', {
     year: 'numeric',
     month: 'long',
@@ -272,8 +437,9 @@ app.get('/dashboard', isAuthenticated, (req, res) => {
     <!DOCTYPE html>
     <html>
     <head>
-      <title>Dashboard - ${req.user.name}</title>
+      <title>Dashboard - ${escapeHtml(req.user.name)}</title>
       <meta name="viewport" content="width=device-width, initial-scale=1">
+      ${ESCAPE_HTML_SCRIPT}
       <style>
         * { margin: 0; padding: 0; box-sizing: border-box; }
         body {
@@ -327,6 +493,32 @@ app.get('/dashboard', isAuthenticated, (req, res) => {
           font-size: 1.25rem;
           margin-bottom: 0.5rem;
         }
+        .reauth-banner {
+          background: white;
+          color: #991b1b;
+          padding: 1.5rem;
+          border-radius: 12px;
+          margin-bottom: 1.5rem;
+          box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+          border-left: 4px solid #ef4444;
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 1rem;
+        }
+        .reauth-banner h2 {
+          font-size: 1.25rem;
+          margin-bottom: 0.5rem;
+        }
+        .reauth-banner a {
+          background: #ef4444;
+          color: white;
+          padding: 10px 20px;
+          border-radius: 8px;
+          text-decoration: none;
+          font-weight: 600;
+          white-space: nowrap;
+        }
         @keyframes slideIn {
           from { transform: translateY(-20px); opacity: 0; }
           to { transform: translateY(0); opacity: 1; }
@@ -432,11 +624,31 @@ app.get('/dashboard', isAuthenticated, (req, res) => {
         <div class="header">
           <h1>👋 Welcome back!</h1>
           <div style="display: flex; gap: 1rem;">
-            ${req.user.email === ADMIN_EMAIL ? '<a href="/admin" class="logout-btn" style="background: rgba(255,255,255,0.3);">Admin Panel</a>' : ''}
+            ${hasPermission(req.user, 'admin:view') ? '<a href="/admin" class="logout-btn" style="background: rgba(255,255,255,0.3);">Admin Panel</a>' : ''}
             <a href="/logout" class="logout-btn">Logout</a>
           </div>
         </div>
 
+        <!-- Filled in by the mail accounts card for every account whose grant was revoked -->
+        <div id="reauth-banners"></div>
+
+        ${linked ? `
+        <div class="success-banner">
+          <h2>✓ Gmail account connected</h2>
+          <p>You're now viewing the account you just connected. Switch between accounts under Mail Accounts.</p>
+        </div>
+        ` : ''}
+
+        ${linkFailed ? `
+        <div class="reauth-banner">
+          <div>
+            <h2>That Gmail account could not be connected</h2>
+            <p>Access wasn't granted, or the account is already connected to another user.</p>
+          </div>
+          <a href="/auth/google/link">Try again</a>
+        </div>
+        ` : ''}
+
         ${isNewUser ? `
         <div class="success-banner">
           <h2>✓ Registration Successful!</h2>
@@ -447,10 +659,10 @@ app.get('/dashboard', isAuthenticated, (req, res) => {
         <div class="grid">
           <div class="card profile-card">
             <div class="profile">
-              <img src="${req.user.picture}" alt="Profile">
+              <img src="${escapeHtml(req.user.picture)}" alt="Profile">
               <div class="profile-info">
-                <h2>${req.user.name}</h2>
-                <p class="email">${req.user.email}</p>
+                <h2>${escapeHtml(req.user.name)}</h2>
+                <p class="email">${escapeHtml(req.user.email)}</p>
                 <span class="badge">${req.user.is_active ? 'Active' : 'Inactive'}</span>
               </div>
             </div>
@@ -483,7 +695,9 @@ app.get('/dashboard', isAuthenticated, (req, res) => {
           </div>
         </div>
 
-        <div class="card" style="grid-column: span 2;">
+        ${generateAccountsSection()}
+
+        <div class="card" style="grid-column: span 2; margin-top: 1.5rem;">
           <h3 style="margin-bottom: 1rem; color: #333;">Gmail Watch Notifications</h3>
           <p style="color: #666; margin-bottom: 1rem;">Enable real-time notifications for your Gmail inbox</p>
           <div id="watch-status" style="margin-bottom: 1rem;">
@@ -513,6 +727,15 @@ app.get('/dashboard', isAuthenticated, (req, res) => {
           </button>
           <div id="watch-message" style="margin-top: 1rem; padding: 12px; border-radius: 8px; display: none;"></div>
         </div>
+
+        ${generateClassificationSection()}
+
+        ${generateRulesSection()}
+
+        ${generateDraftsSection()}
+        ${generateDigestSection()}
+        ${generateActionsSection()}
+        ${generateSessionsSection()}
       </div>
 
       <script>
@@ -537,13 +760,16 @@ app.get('/dashboard', isAuthenticated, (req, res) => {
             }
 
             const data = await response.json();
-            console.log('[Gmail Watch] Status data:', data);
 
             watchEnabled = data.enabled;
 
             if (data.enabled) {
               const expiresAt = new Date(data.expiresAt);
               statusDiv.innerHTML = '<span style="color: #10b981; font-weight: 600;">✓ Active</span> - Expires: ' + expiresAt.toLocaleString();
+              if (data.renewalError) {
+                statusDiv.innerHTML += '<br><span style="color: #ef4444;">Last renewal failed (' +
+                  new Date(data.renewalError.failedAt).toLocaleString() + '): ' + escapeHtml(data.renewalError.message) + '</span>';
+              }
               toggleBtn.textContent = 'Disable Gmail Watch';
               toggleBtn.style.background = '#ef4444';
               toggleBtn.onmouseover = function() { this.style.background = '#dc2626'; };
@@ -559,7 +785,7 @@ app.get('/dashboard', isAuthenticated, (req, res) => {
             console.log('[Gmail Watch] Status loaded successfully. Button clickable:', !toggleBtn.disabled);
           } catch (error) {
             console.error('[Gmail Watch] Failed to load watch status:', error);
-            statusDiv.innerHTML = '<span style="color: #ef4444;">Error loading status: ' + error.message + '</span>';
+            statusDiv.innerHTML = '<span style="color: #ef4444;">Error loading status: ' + escapeHtml(error.message) + '</span>';
             // Make sure button is still enabled even on error
             toggleBtn.disabled = false;
           }
@@ -587,7 +813,7 @@ app.get('/dashboard', isAuthenticated, (req, res) => {
               messageDiv.style.display = 'block';
               messageDiv.style.background = '#d1fae5';
               messageDiv.style.color = '#065f46';
-              messageDiv.innerHTML = '<strong>✓ Success!</strong><br>' + data.message;
+              messageDiv.innerHTML = '<strong>✓ Success!</strong><br>' + escapeHtml(data.message);
 
               // Reload status after 2 seconds
               setTimeout(() => {
@@ -600,8 +826,8 @@ app.get('/dashboard', isAuthenticated, (req, res) => {
               messageDiv.style.background = '#fee2e2';
               messageDiv.style.color = '#991b1b';
               messageDiv.style.borderLeft = '4px solid #dc2626';
-              messageDiv.innerHTML = '<strong>✗ ' + (data.error || 'Error') + '</strong><br>' +
-                                     (data.details || 'Please try again or check the server logs.');
+              messageDiv.innerHTML = '<strong>✗ ' + escapeHtml(data.error || 'Error') + '</strong><br>' +
+                                     escapeHtml(data.details || 'Please try again or check the server logs.');
               toggleBtn.disabled = false;
               toggleBtn.textContent = watchEnabled ? 'Disable Gmail Watch' : 'Enable Gmail Watch';
             }
@@ -638,33 +864,450 @@ app.get('/dashboard', isAuthenticated, (req, res) => {
 });
 
 // Admin dashboard
-app.get('/admin', isAdmin, async (req, res) => {
+app.get('/admin', requirePermission('admin:view'), async (req, res) => {
+  try {
+    // The users table loads itself from /api/admin/users
+    const stats = {
+      ...await getUserStats(supabase),
+      watchesExpiringSoon: await countExpiringWatches(supabase, 24 * 60 * 60 * 1000)
+    };
+
+    // Viewers only get the overview numbers
+    const deadJobs = hasPermission(req.user, 'jobs:read')
+      ? await listJobs(supabase, { status: 'dead' })
+      : [];
+
+    let reauthAccounts = [];
+    if (hasPermission(req.user, 'users:read')) {
+      const { data, error: accountsError } = await supabase
+        .from('mail_accounts')
+        .select('id, user_id, email, needs_reauth_reason, needs_reauth_at, user:users(email)')
+        .eq('needs_reauth', true)
+        .order('needs_reauth_at', { ascending: false });
+
+      if (accountsError) throw accountsError;
+      reauthAccounts = data;
+    }
+
+    res.send(generateAdminDashboard(stats, deadJobs, reauthAccounts, req.user));
+  } catch (error) {
+    console.error('Admin dashboard error:', error);
+    res.status(500).send('Error loading admin dashboard');
+  }
+});
+
+// Users table: ?q=&active=&watch=&reauth=&joinedFrom=&joinedTo= filter,
+// ?sort=created_at|last_login|email|name&direction=asc|desc orders, and
+// ?cursor= (nextCursor of the previous page) pages
+app.get('/api/admin/users', requirePermission('users:read'), async (req, res) => {
+  const { options, errors } = parseUserListQuery(req.query);
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Invalid query', details: errors });
+  }
+
+  try {
+    const page = await listAdminUsers(supabase, options);
+    const watchHealth = await getWatchHealth(supabase, page.users.map(user => user.id));
+
+    // Roles the signed-in admin could move each user to, for the Role picker
+    const users = page.users.map(user => ({
+      ...user,
+      mailAccounts: watchHealth.get(user.id),
+      assignableRoles: [null, ...ROLES].filter(role => role !== user.role && canAssignRole(req.user, user.role, role)),
+      manageable: canManageUser(req.user, user)
+    }));
+
+    res.json({ ...page, users });
+  } catch (error) {
+    console.error('Admin users error:', error);
+    res.status(500).json({ success: false, error: 'Failed to list users', details: error.message });
+  }
+});
+
+// Download the users table: the filters and sort above, plus
+// ?format=csv|ndjson and ?columns=email,name,... Streamed a page at a time.
+app.get('/api/admin/users/export', requirePermission('users:read'), async (req, res) => {
+  const { options, errors } = parseUserExportQuery(req.query);
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Invalid query', details: errors });
+  }
+
+  const progress = { rows: 0 };
+  const chunks = generateUserExport(supabase, options, progress);
+
+  // The first page decides between a download and an error response
+  let first;
+  try {
+    first = await chunks.next();
+  } catch (error) {
+    console.error('[User Export] Export error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to export users', details: error.message });
+  }
+
+  res.set({
+    'Content-Type': EXPORT_CONTENT_TYPES[options.format],
+    'Content-Disposition': `attachment; filename="users-${new Date().toISOString().slice(0, 10)}.${options.format}"`,
+    'Cache-Control': 'no-store'
+  });
+
+  let completed = false;
+  try {
+    // pipeline waits for the client to take each page before reading the next,
+    // and stops reading if the download is cancelled
+    await pipeline(Readable.from((async function* () {
+      if (!first.done) yield first.value;
+      yield* chunks;
+    })()), res);
+    completed = true;
+  } catch (error) {
+    // Too late for an error response; the download is cut short instead
+    console.error(`[User Export] Export stopped after ${progress.rows} users:`, error.message);
+  }
+
+  await recordAdminAction(supabase, {
+    actor: req.user,
+    action: 'user.export',
+    details: { format: options.format, columns: options.columns, filters: options.filters, rows: progress.rows, completed }
+  });
+});
+
+// Background jobs (?status=pending|running|completed|dead, defaults to dead)
+app.get('/api/admin/jobs', requirePermission('jobs:read'), async (req, res) => {
+  try {
+    const jobs = await listJobs(supabase, {
+      status: req.query.status || 'dead',
+      limit: Math.min(parseInt(req.query.limit) || 50, 500)
+    });
+    res.json({ jobs });
+  } catch (error) {
+    console.error('Admin jobs error:', error);
+    res.status(500).json({ success: false, error: 'Failed to list jobs' });
+  }
+});
+
+app.post('/api/admin/jobs/:id/replay', requirePermission('jobs:write'), async (req, res) => {
+  try {
+    const job = await replayJob(supabase, req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Dead-lettered job not found' });
+    }
+    console.log(`[Job Queue] Job ${job.id} replayed by ${req.user.email}`);
+    await recordAdminAction(supabase, { actor: req.user, action: 'job.replay', details: { jobId: job.id, type: job.type } });
+    res.json({ success: true, job });
+  } catch (error) {
+    console.error('Admin job replay error:', error);
+    res.status(500).json({ success: false, error: 'Failed to replay job' });
+  }
+});
+
+// Active sessions. Revoking a session deletes it from the store, so the
+// browser holding it is signed out on its next request.
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+app.get('/api/sessions', isAuthenticated, async (req, res) => {
+  try {
+    const sessions = await sessionStore.listUserSessions(req.user.id, req.sessionID);
+    res.json({ sessions });
+  } catch (error) {
+    console.error('[Sessions] List error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load sessions' });
+  }
+});
+
+app.delete('/api/sessions/:id', isAuthenticated, async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Session not found' });
+  }
+
+  try {
+    const revoked = await sessionStore.revokeUserSession(req.user.id, req.params.id);
+    if (!revoked) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[Sessions] Revoke error:', error);
+    res.status(500).json({ success: false, error: 'Failed to revoke session', details: error.message });
+  }
+});
+
+// Sign out everywhere; { keepCurrent: true } keeps the session making the request
+app.post('/api/sessions/revoke-all', isAuthenticated, async (req, res) => {
+  try {
+    const keepCurrent = req.body.keepCurrent === true;
+    const revoked = await sessionStore.revokeAllUserSessions(req.user.id, {
+      exceptSid: keepCurrent ? req.sessionID : undefined
+    });
+    console.log(`[Sessions] ${req.user.email} signed out ${revoked} sessions`);
+    res.json({ success: true, revoked, signedOut: !keepCurrent });
+  } catch (error) {
+    console.error('[Sessions] Revoke all error:', error);
+    res.status(500).json({ success: false, error: 'Failed to revoke sessions', details: error.message });
+  }
+});
+
+app.get('/api/admin/users/:id/sessions', requirePermission('users:read'), async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'User not found' });
+  }
+
+  try {
+    const sessions = await sessionStore.listUserSessions(req.params.id, req.sessionID);
+    res.json({ sessions });
+  } catch (error) {
+    console.error('[Sessions] Admin list error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load sessions' });
+  }
+});
+
+// Loads the user an admin action is about into req.targetUser, if the
+// signed-in admin may manage them (see canManageUser)
+const withManagedUser = async (req, res, next) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'User not found' });
+  }
+
+  try {
+    const { data: target, error } = await supabase
+      .from('users')
+      .select('id, email, role, is_active')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!target) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    if (!canManageUser(req.user, target)) {
+      return res.status(403).json({ success: false, error: `You cannot manage ${target.email}` });
+    }
+
+    req.targetUser = target;
+    next();
+  } catch (error) {
+    console.error('[User Admin] Load user error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load user', details: error.message });
+  }
+};
+
+app.delete('/api/admin/users/:id/sessions/:sessionId', requirePermission('users:write'), withManagedUser, async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.sessionId)) {
+    return res.status(404).json({ success: false, error: 'Session not found' });
+  }
+
+  try {
+    const revoked = await sessionStore.revokeUserSession(req.targetUser.id, req.params.sessionId);
+    if (!revoked) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+    console.log(`[Sessions] Admin ${req.user.email} revoked session ${req.params.sessionId} of user ${req.targetUser.id}`);
+    await recordAdminAction(supabase, {
+      actor: req.user,
+      action: 'session.revoke',
+      target: req.targetUser,
+      details: { sessionId: req.params.sessionId }
+    });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[Sessions] Admin revoke error:', error);
+    res.status(500).json({ success: false, error: 'Failed to revoke session', details: error.message });
+  }
+});
+
+// Force sign-out: ends every session of the user
+app.post('/api/admin/users/:id/sessions/revoke-all', requirePermission('users:write'), withManagedUser, async (req, res) => {
+  try {
+    const revoked = await sessionStore.revokeAllUserSessions(req.targetUser.id);
+    console.log(`[Sessions] Admin ${req.user.email} signed out ${revoked} sessions of user ${req.targetUser.id}`);
+    await recordAdminAction(supabase, {
+      actor: req.user,
+      action: 'user.sign_out',
+      target: req.targetUser,
+      details: { sessionsRevoked: revoked }
+    });
+    res.json({ success: true, revoked });
+  } catch (error) {
+    console.error('[Sessions] Admin revoke all error:', error);
+    res.status(500).json({ success: false, error: 'Failed to revoke sessions', details: error.message });
+  }
+});
+
+// Blocks sign-in, signs the user out everywhere and stops their Gmail watches
+app.post('/api/admin/users/:id/deactivate', requirePermission('users:write'), withManagedUser, async (req, res) => {
+  try {
+    const result = await deactivateUser({ supabase, getGmailClient, sessionStore, user: req.targetUser });
+    userProfiles.invalidate(req.targetUser.id);
+
+    await recordAdminAction(supabase, {
+      actor: req.user,
+      action: 'user.deactivate',
+      target: req.targetUser,
+      details: result
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('[User Admin] Deactivate error:', error);
+    res.status(500).json({ success: false, error: 'Failed to deactivate user', details: error.message });
+  }
+});
+
+app.post('/api/admin/users/:id/reactivate', requirePermission('users:write'), withManagedUser, async (req, res) => {
+  try {
+    await reactivateUser({ supabase, user: req.targetUser });
+    userProfiles.invalidate(req.targetUser.id);
+
+    await recordAdminAction(supabase, { actor: req.user, action: 'user.reactivate', target: req.targetUser });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[User Admin] Reactivate error:', error);
+    res.status(500).json({ success: false, error: 'Failed to reactivate user', details: error.message });
+  }
+});
+
+// Permanently deletes the user and their mail data. The body must repeat the
+// user's email ({ confirmEmail }) so a stray request can't do this.
+app.delete('/api/admin/users/:id', requirePermission('users:write'), withManagedUser, async (req, res) => {
+  const confirmEmail = typeof req.body.confirmEmail === 'string' ? req.body.confirmEmail.trim().toLowerCase() : '';
+  if (confirmEmail !== req.targetUser.email.toLowerCase()) {
+    return res.status(400).json({ success: false, error: 'Confirmation does not match', details: ['confirmEmail must be the email of the user being deleted'] });
+  }
+
+  try {
+    const result = await deleteUser({ supabase, getGmailClient, sessionStore, user: req.targetUser });
+    userProfiles.invalidate(req.targetUser.id);
+
+    await recordAdminAction(supabase, {
+      actor: req.user,
+      action: 'user.delete',
+      target: req.targetUser,
+      details: result
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('[User Admin] Delete error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete user', details: error.message });
+  }
+});
+
+// Renew, disable or resync the Gmail watches of the selected users' mail
+// accounts. Body: { action: "renew" | "disable" | "resync", userIds: [...] }
+app.post('/api/admin/watches/bulk', requirePermission('users:write'), async (req, res) => {
+  const { action, userIds } = req.body;
+  const errors = [];
+
+  if (!BULK_WATCH_ACTIONS.includes(action)) {
+    errors.push(`action must be one of ${BULK_WATCH_ACTIONS.join(', ')}`);
+  }
+  if (!Array.isArray(userIds) || userIds.length === 0 || userIds.length > MAX_BULK_USERS ||
+      !userIds.every(id => typeof id === 'string' && UUID_PATTERN.test(id))) {
+    errors.push(`userIds must be a list of 1 to ${MAX_BULK_USERS} user ids`);
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Invalid bulk action', details: errors });
+  }
+
   try {
-    // Fetch all users
     const { data: users, error } = await supabase
       .from('users')
-      .select('*')
-      .order('created_at', { ascending: false });
+      .select('id, email')
+      .in('id', [...new Set(userIds)]);
 
     if (error) throw error;
 
-    // Calculate stats
-    const now = new Date();
-    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-    const weekAgo = new Date(today);
-    weekAgo.setDate(weekAgo.getDate() - 7);
+    const results = await runBulkWatchAction({ supabase, getGmailClient, action, userIds: users.map(user => user.id) });
 
-    const stats = {
-      totalUsers: users.length,
-      activeUsers: users.filter(u => u.is_active).length,
-      newToday: users.filter(u => new Date(u.created_at) >= today).length,
-      newThisWeek: users.filter(u => new Date(u.created_at) >= weekAgo).length
-    };
+    for (const user of users) {
+      await recordAdminAction(supabase, {
+        actor: req.user,
+        action: `watch.${action}`,
+        target: user,
+        details: { accounts: results.filter(result => result.userId === user.id) }
+      });
+    }
+
+    const counts = {};
+    for (const result of results) counts[result.outcome] = (counts[result.outcome] || 0) + 1;
 
-    res.send(generateAdminDashboard(users, stats));
+    console.log(`[Gmail Watch] ${req.user.email} ran bulk ${action} for ${users.length} users:`, JSON.stringify(counts));
+    res.json({ success: true, counts, results });
   } catch (error) {
-    console.error('Admin dashboard error:', error);
-    res.status(500).send('Error loading admin dashboard');
+    console.error('[Gmail Watch] Bulk action error:', error);
+    res.status(500).json({ success: false, error: `Failed to ${action} watches`, details: error.message });
+  }
+});
+
+// Admin audit trail, newest first (?before= pages back, ?userId= narrows to one user)
+app.get('/api/admin/audit', requirePermission('audit:read'), async (req, res) => {
+  if (req.query.userId && !UUID_PATTERN.test(req.query.userId)) {
+    return res.status(400).json({ success: false, error: 'Invalid query', details: ['userId must be a user id'] });
+  }
+
+  try {
+    const entries = await listAdminAuditLog(supabase, {
+      limit: Math.min(parseInt(req.query.limit) || 50, 200),
+      before: req.query.before,
+      targetUserId: req.query.userId
+    });
+    res.json({ entries });
+  } catch (error) {
+    console.error('[Admin Audit] List error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load audit trail' });
+  }
+});
+
+// Daily signups, logins, notifications, processed messages and rule actions
+// for the charts on /admin (?days=7|30|90|180, default 30)
+app.get('/api/admin/analytics', requirePermission('admin:view'), async (req, res) => {
+  const { options, errors } = parseAnalyticsQuery(req.query);
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Invalid query', details: errors });
+  }
+
+  try {
+    res.json(await getDailyMetrics(supabase, options));
+  } catch (error) {
+    console.error('[Analytics] Load error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load analytics' });
+  }
+});
+
+// Grant, change or revoke (role: null) a user's role
+app.put('/api/admin/users/:id/role', requirePermission('roles:manage'), async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'User not found' });
+  }
+
+  const role = req.body.role ?? null;
+  if (role !== null && !ROLES.includes(role)) {
+    return res.status(400).json({ success: false, error: 'Invalid role', details: [`role must be null or one of ${ROLES.join(', ')}`] });
+  }
+
+  try {
+    const { user, previousRole } = await setUserRole(supabase, { actor: req.user, userId: req.params.id, role });
+    userProfiles.invalidate(user.id);
+
+    if (previousRole !== user.role) {
+      console.log(`[Roles] ${req.user.email} changed the role of ${user.email} from ${previousRole || 'none'} to ${user.role || 'none'}`);
+      await recordAdminAction(supabase, {
+        actor: req.user,
+        action: 'role.change',
+        target: user,
+        details: { from: previousRole, to: user.role }
+      });
+    }
+    res.json({ success: true, user });
+  } catch (error) {
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    if (error.code === 'FORBIDDEN') {
+      return res.status(403).json({ success: false, error: error.message });
+    }
+    if (error.code === 'CONFLICT') {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+    console.error('[Roles] Change error:', error);
+    res.status(500).json({ success: false, error: 'Failed to change role', details: error.message });
   }
 });
 
@@ -679,58 +1322,101 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// Helper function to get Gmail client
-async function getGmailClient(userId) {
-  const { data: user, error } = await supabase
-    .from('users')
-    .select('access_token, refresh_token, token_expiry')
-    .eq('id', userId)
-    .single();
+// Gmail API client for a mail account; fails with code NEEDS_REAUTH once its grant is gone
+const getGmailClient = createGmailClientFactory({ supabase });
+
+function sendReauthRequired(res, account) {
+  return res.status(401).json({
+    success: false,
+    error: 'Gmail access needs to be re-authorized',
+    details: 'Please reconnect this Gmail account.',
+    reauthUrl: account ? `/auth/google/link?email=${encodeURIComponent(account.email)}` : '/auth/google/link'
+  });
+}
 
-  if (error || !user) {
-    throw new Error('User not found');
+// Routes that work on one mailbox use the account picked on the dashboard,
+// falling back to the user's primary account, as req.mailAccount
+const withMailAccount = async (req, res, next) => {
+  try {
+    req.mailAccount = await resolveMailAccount(supabase, req.user.id, req.session.mailAccountId);
+  } catch (error) {
+    return next(error);
   }
 
-  const oauth2Client = new google.auth.OAuth2(
-    process.env.GOOGLE_CLIENT_ID,
-    process.env.GOOGLE_CLIENT_SECRET,
-    process.env.CALLBACK_URL
-  );
+  if (!req.mailAccount) {
+    return res.status(400).json({
+      success: false,
+      error: 'No Gmail account connected',
+      details: 'Connect a Gmail account from your dashboard first.'
+    });
+  }
+  next();
+};
 
-  oauth2Client.setCredentials({
-    access_token: user.access_token,
-    refresh_token: user.refresh_token
-  });
+// Connected mail accounts and which one the dashboard is showing
+app.get('/api/accounts', isAuthenticated, async (req, res) => {
+  try {
+    const accounts = await listMailAccounts(supabase, req.user.id);
+    const selected = pickMailAccount(accounts, req.session.mailAccountId);
+    res.json({ accounts, selectedId: selected?.id || null });
+  } catch (error) {
+    console.error('[Mail Accounts] List error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load mail accounts' });
+  }
+});
 
-  // Handle token refresh
-  oauth2Client.on('tokens', async (tokens) => {
-    if (tokens.refresh_token) {
-      await supabase
-        .from('users')
-        .update({
-          access_token: tokens.access_token,
-          refresh_token: tokens.refresh_token,
-          token_expiry: new Date(Date.now() + 3600 * 1000).toISOString()
-        })
-        .eq('id', userId);
-    } else if (tokens.access_token) {
-      await supabase
-        .from('users')
-        .update({
-          access_token: tokens.access_token,
-          token_expiry: new Date(Date.now() + 3600 * 1000).toISOString()
-        })
-        .eq('id', userId);
+app.post('/api/accounts/:id/select', isAuthenticated, async (req, res) => {
+  try {
+    const accounts = await listMailAccounts(supabase, req.user.id);
+    const account = accounts.find(a => a.id === req.params.id);
+    if (!account) {
+      return res.status(404).json({ success: false, error: 'Mail account not found' });
     }
-  });
 
-  return google.gmail({ version: 'v1', auth: oauth2Client });
-}
+    req.session.mailAccountId = account.id;
+    res.json({ success: true, account });
+  } catch (error) {
+    console.error('[Mail Accounts] Select error:', error);
+    res.status(500).json({ success: false, error: 'Failed to switch mail account', details: error.message });
+  }
+});
+
+app.delete('/api/accounts/:id', isAuthenticated, async (req, res) => {
+  try {
+    const accounts = await listMailAccounts(supabase, req.user.id);
+    const account = accounts.find(a => a.id === req.params.id);
+
+    // Best effort: a revoked grant can't stop the watch, and it lapses on its own
+    if (account && !account.is_primary && account.gmail_watch_enabled) {
+      try {
+        const gmail = await getGmailClient(account.id);
+        await gmail.users.stop({ userId: 'me' });
+      } catch (error) {
+        console.log(`[Mail Accounts] Could not stop the watch for ${account.email}:`, error.message);
+      }
+    }
+
+    const removed = await removeMailAccount(supabase, req.user.id, req.params.id);
+    if (req.session.mailAccountId === removed.id) delete req.session.mailAccountId;
+
+    console.log(`[Mail Accounts] ${req.user.email} disconnected ${removed.email}`);
+    res.json({ success: true });
+  } catch (error) {
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    if (error.code === 'CONFLICT') {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+    console.error('[Mail Accounts] Remove error:', error);
+    res.status(500).json({ success: false, error: 'Failed to remove mail account', details: error.message });
+  }
+});
 
 // Activate Gmail Watch
-app.post('/api/gmail/watch/enable', isAuthenticated, async (req, res) => {
+app.post('/api/gmail/watch/enable', isAuthenticated, withMailAccount, async (req, res) => {
   try {
-    console.log(`[Gmail Watch] Enable request from user: ${req.user.email}`);
+    console.log(`[Gmail Watch] Enable request from user: ${req.user.email} for ${req.mailAccount.email}`);
 
     // Check if GMAIL_PUBSUB_TOPIC is configured
     if (!process.env.GMAIL_PUBSUB_TOPIC) {
@@ -742,55 +1428,51 @@ app.post('/api/gmail/watch/enable', isAuthenticated, async (req, res) => {
       });
     }
 
-    // Check if user has OAuth tokens
-    const { data: userData, error: userError } = await supabase
-      .from('users')
+    // Check if the account has OAuth tokens
+    const { data: accountData, error: accountError } = await supabase
+      .from('mail_accounts')
       .select('access_token, refresh_token')
-      .eq('id', req.user.id)
+      .eq('id', req.mailAccount.id)
       .single();
 
-    if (userError || !userData) {
-      console.error('[Gmail Watch] Failed to fetch user data:', userError);
+    if (accountError || !accountData) {
+      console.error('[Gmail Watch] Failed to fetch mail account:', accountError);
       return res.status(500).json({
         success: false,
-        error: 'Failed to fetch user data',
-        details: userError?.message || 'User not found'
+        error: 'Failed to fetch mail account',
+        details: accountError?.message || 'Mail account not found'
       });
     }
 
-    if (!userData.access_token || !userData.refresh_token) {
-      console.error('[Gmail Watch] User missing OAuth tokens:', req.user.email);
+    if (!accountData.access_token || !accountData.refresh_token) {
+      console.error('[Gmail Watch] Mail account missing OAuth tokens:', req.mailAccount.email);
       return res.status(400).json({
         success: false,
         error: 'Gmail permissions not granted',
-        details: 'Please log out and log in again to grant Gmail access permissions.'
+        details: 'Please reconnect this Gmail account to grant Gmail access permissions.'
       });
     }
 
     console.log('[Gmail Watch] Getting Gmail client...');
-    const gmail = await getGmailClient(req.user.id);
+    const gmail = await getGmailClient(req.mailAccount.id);
 
     console.log('[Gmail Watch] Setting up watch with topic:', process.env.GMAIL_PUBSUB_TOPIC);
     // Set up watch on user's mailbox
-    const watchResponse = await gmail.users.watch({
-      userId: 'me',
-      requestBody: {
-        topicName: process.env.GMAIL_PUBSUB_TOPIC,
-        labelIds: ['INBOX']
-      }
-    });
+    const watch = await startGmailWatch(gmail);
 
-    console.log('[Gmail Watch] Watch enabled successfully. Expiration:', watchResponse.data.expiration);
+    console.log('[Gmail Watch] Watch enabled successfully. Expiration:', watch.expiration);
 
     // Save watch info to database
     const { error: updateError } = await supabase
-      .from('users')
+      .from('mail_accounts')
       .update({
         gmail_watch_enabled: true,
-        gmail_watch_expiration: watchResponse.data.expiration,
-        gmail_history_id: watchResponse.data.historyId
+        gmail_watch_expiration: watch.expiration,
+        gmail_history_id: watch.historyId,
+        gmail_watch_renewal_error: null,
+        gmail_watch_renewal_failed_at: null
       })
-      .eq('id', req.user.id);
+      .eq('id', req.mailAccount.id);
 
     if (updateError) {
       console.error('[Gmail Watch] Failed to update database:', updateError);
@@ -804,19 +1486,18 @@ app.post('/api/gmail/watch/enable', isAuthenticated, async (req, res) => {
     res.json({
       success: true,
       message: 'Gmail Watch enabled successfully',
-      expiration: watchResponse.data.expiration
+      expiration: watch.expiration
     });
   } catch (error) {
+    if (error.code === NEEDS_REAUTH) return sendReauthRequired(res, req.mailAccount);
+
     console.error('[Gmail Watch] Error:', error);
 
     // Provide more specific error messages
     let errorMessage = 'Failed to enable Gmail Watch';
     let errorDetails = error.message;
 
-    if (error.message.includes('invalid_grant')) {
-      errorMessage = 'Gmail permissions expired';
-      errorDetails = 'Please log out and log in again to re-authorize Gmail access.';
-    } else if (error.message.includes('Pub/Sub')) {
+    if (error.message.includes('Pub/Sub')) {
       errorMessage = 'Pub/Sub configuration error';
       errorDetails = 'Please check your Google Cloud Pub/Sub setup. See GMAIL_WATCH_SETUP.md for details.';
     } else if (error.code === 403) {
@@ -833,9 +1514,9 @@ app.post('/api/gmail/watch/enable', isAuthenticated, async (req, res) => {
 });
 
 // Disable Gmail Watch
-app.post('/api/gmail/watch/disable', isAuthenticated, async (req, res) => {
+app.post('/api/gmail/watch/disable', isAuthenticated, withMailAccount, async (req, res) => {
   try {
-    const gmail = await getGmailClient(req.user.id);
+    const gmail = await getGmailClient(req.mailAccount.id);
 
     // Stop watching
     await gmail.users.stop({
@@ -844,18 +1525,27 @@ app.post('/api/gmail/watch/disable', isAuthenticated, async (req, res) => {
 
     // Update database
     await supabase
-      .from('users')
+      .from('mail_accounts')
       .update({
         gmail_watch_enabled: false,
         gmail_watch_expiration: null
       })
-      .eq('id', req.user.id);
+      .eq('id', req.mailAccount.id);
 
     res.json({
       success: true,
       message: 'Gmail Watch disabled successfully'
     });
   } catch (error) {
+    // The grant is gone, so Gmail can't be told to stop; the watch flag was
+    // already switched off when the account was marked for re-authorization
+    if (error.code === NEEDS_REAUTH) {
+      return res.json({
+        success: true,
+        message: 'Gmail Watch disabled (Gmail access needs to be re-authorized)'
+      });
+    }
+
     console.error('Gmail Watch disable error:', error);
     res.status(500).json({
       success: false,
@@ -866,21 +1556,30 @@ app.post('/api/gmail/watch/disable', isAuthenticated, async (req, res) => {
 });
 
 // Get Gmail Watch status
-app.get('/api/gmail/watch/status', isAuthenticated, async (req, res) => {
+app.get('/api/gmail/watch/status', isAuthenticated, withMailAccount, async (req, res) => {
   try {
-    const { data: user, error } = await supabase
-      .from('users')
-      .select('gmail_watch_enabled, gmail_watch_expiration')
-      .eq('id', req.user.id)
+    const { data: account, error } = await supabase
+      .from('mail_accounts')
+      .select('gmail_watch_enabled, gmail_watch_expiration, gmail_watch_renewed_at, gmail_watch_renewal_error, gmail_watch_renewal_failed_at')
+      .eq('id', req.mailAccount.id)
       .single();
 
     if (error) throw error;
 
     res.json({
-      enabled: user.gmail_watch_enabled || false,
-      expiration: user.gmail_watch_expiration,
-      expiresAt: user.gmail_watch_expiration
-        ? new Date(parseInt(user.gmail_watch_expiration)).toISOString()
+      accountId: req.mailAccount.id,
+      email: req.mailAccount.email,
+      enabled: account.gmail_watch_enabled || false,
+      expiration: account.gmail_watch_expiration,
+      expiresAt: account.gmail_watch_expiration
+        ? new Date(parseInt(account.gmail_watch_expiration)).toISOString()
+        : null,
+      lastRenewedAt: account.gmail_watch_renewed_at,
+      renewalError: account.gmail_watch_renewal_error
+        ? {
+            message: account.gmail_watch_renewal_error,
+            failedAt: account.gmail_watch_renewal_failed_at
+          }
         : null
     });
   } catch (error) {
@@ -892,70 +1591,542 @@ app.get('/api/gmail/watch/status', isAuthenticated, async (req, res) => {
   }
 });
 
-// Webhook endpoint for Gmail push notifications
-app.post('/api/gmail/webhook', express.json(), async (req, res) => {
+// Manually resync the selected mailbox (?full=true forces a full resync)
+app.post('/api/gmail/sync', isAuthenticated, withMailAccount, async (req, res) => {
   try {
-    // Acknowledge receipt immediately
-    res.status(200).send('OK');
+    const gmail = await getGmailClient(req.mailAccount.id);
+    const result = await syncMailbox({
+      gmail,
+      supabase,
+      user: req.user,
+      account: req.mailAccount,
+      full: req.query.full === 'true',
+      onMessage: processNewMessage
+    });
 
-    // Process the notification
-    const message = req.body.message;
-    if (!message || !message.data) {
-      console.log('Invalid webhook payload');
-      return;
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (error.code === NEEDS_REAUTH) return sendReauthRequired(res, req.mailAccount);
+    if (error.code === 'SYNC_LOCKED') {
+      return res.status(409).json({
+        success: false,
+        error: 'A sync is already running for this mailbox',
+        details: 'Please try again in a moment.'
+      });
     }
+    console.error('[Gmail Sync] Manual sync error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to sync mailbox',
+      details: error.message
+    });
+  }
+});
 
-    // Decode the Pub/Sub message
-    const decodedData = Buffer.from(message.data, 'base64').toString();
-    const notification = JSON.parse(decodedData);
+// Mail rules
+app.get('/api/rules', isAuthenticated, async (req, res) => {
+  try {
+    const { data: rules, error } = await supabase
+      .from('rules')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .order('position', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    res.json({ rules });
+  } catch (error) {
+    console.error('[Rules] List error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load rules' });
+  }
+});
 
-    console.log('Gmail notification received:', notification);
+// Dry-run a rule against recent mail without changing anything in Gmail.
+// Body: { rule, limit, source } where source is "stored" (default, all of the
+// user's accounts) or "gmail" (the selected account).
+app.post('/api/rules/simulate', isAuthenticated, withMailAccount, async (req, res) => {
+  const { rule, source = 'stored' } = req.body;
+  const errors = validateRule(rule);
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Invalid rule', details: errors });
+  }
+  if (!['stored', 'gmail'].includes(source)) {
+    return res.status(400).json({ success: false, error: 'source must be "stored" or "gmail"' });
+  }
 
-    // Find user by email
-    const { data: user, error } = await supabase
-      .from('users')
+  // Listing from Gmail fetches every message, so it gets a lower cap
+  const maxLimit = source === 'gmail' ? 200 : 1000;
+  const limit = Math.min(Math.max(parseInt(req.body.limit) || 50, 1), maxLimit);
+
+  try {
+    let messages;
+    if (source === 'gmail') {
+      const gmail = await getGmailClient(req.mailAccount.id);
+      messages = await listRecentMessages(gmail, req.user.id, limit);
+    } else {
+      const { data, error } = await supabase
+        .from('messages')
+        .select('*')
+        .eq('user_id', req.user.id)
+        .order('sent_at', { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+      messages = data;
+    }
+
+    // Same RE2 matcher as live processing, so an unsaved pattern can't stall the server either
+    res.json({ success: true, source, ...simulateRule(toRuleRecord(rule), messages) });
+  } catch (error) {
+    if (error.code === NEEDS_REAUTH) return sendReauthRequired(res, req.mailAccount);
+    console.error('[Rules] Simulation error:', error);
+    res.status(500).json({ success: false, error: 'Failed to simulate rule', details: error.message });
+  }
+});
+
+app.get('/api/rules/:id', isAuthenticated, async (req, res) => {
+  try {
+    const { data: rule, error } = await supabase
+      .from('rules')
       .select('*')
-      .eq('email', notification.emailAddress)
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!rule) {
+      return res.status(404).json({ success: false, error: 'Rule not found' });
+    }
+    res.json({ rule });
+  } catch (error) {
+    console.error('[Rules] Get error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load rule' });
+  }
+});
+
+app.post('/api/rules', isAuthenticated, async (req, res) => {
+  const errors = validateRule(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Invalid rule', details: errors });
+  }
+
+  try {
+    const { data: rule, error } = await supabase
+      .from('rules')
+      .insert([{ ...toRuleRecord(req.body), user_id: req.user.id }])
+      .select()
       .single();
 
-    if (error || !user) {
-      console.log('User not found for email:', notification.emailAddress);
-      return;
+    if (error) throw error;
+    res.status(201).json({ success: true, rule });
+  } catch (error) {
+    console.error('[Rules] Create error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create rule', details: error.message });
+  }
+});
+
+app.put('/api/rules/:id', isAuthenticated, async (req, res) => {
+  const errors = validateRule(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Invalid rule', details: errors });
+  }
+
+  try {
+    const { data: rules, error } = await supabase
+      .from('rules')
+      .update({ ...toRuleRecord(req.body), updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .select();
+
+    if (error) throw error;
+    if (rules.length === 0) {
+      return res.status(404).json({ success: false, error: 'Rule not found' });
     }
+    res.json({ success: true, rule: rules[0] });
+  } catch (error) {
+    console.error('[Rules] Update error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update rule', details: error.message });
+  }
+});
 
-    // Get Gmail client
-    const gmail = await getGmailClient(user.id);
+app.delete('/api/rules/:id', isAuthenticated, async (req, res) => {
+  try {
+    const { data: rules, error } = await supabase
+      .from('rules')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .select('id');
+
+    if (error) throw error;
+    if (rules.length === 0) {
+      return res.status(404).json({ success: false, error: 'Rule not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[Rules] Delete error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete rule' });
+  }
+});
+
+// Classification settings
+app.get('/api/classification/settings', isAuthenticated, async (req, res) => {
+  try {
+    const settings = await getClassificationSettings(supabase, req.user.id);
+    res.json({ settings, provider: classifier.name });
+  } catch (error) {
+    console.error('[Classifier] Settings error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load classification settings' });
+  }
+});
+
+app.put('/api/classification/settings', isAuthenticated, async (req, res) => {
+  const errors = validateClassificationSettings(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Invalid settings', details: errors });
+  }
+
+  try {
+    const { data: settings, error } = await supabase
+      .from('classification_settings')
+      .upsert({
+        user_id: req.user.id,
+        enabled: req.body.enabled !== false,
+        mirror_labels: req.body.mirror_labels === true,
+        draft_replies: req.body.draft_replies !== false,
+        label_prefix: req.body.label_prefix || 'Agent',
+        min_confidence: req.body.min_confidence ?? 0.5,
+        categories: req.body.categories.map(c => ({
+          name: c.name,
+          description: c.description || '',
+          keywords: c.keywords || []
+        })),
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    res.json({ success: true, settings });
+  } catch (error) {
+    console.error('[Classifier] Settings update error:', error);
+    res.status(500).json({ success: false, error: 'Failed to save classification settings', details: error.message });
+  }
+});
 
-    // Fetch history since last known historyId
-    const historyResponse = await gmail.users.history.list({
-      userId: 'me',
-      startHistoryId: user.gmail_history_id || notification.historyId
+// Audit log of changes made to the selected mailbox (?before=<created_at> pages back)
+app.get('/api/actions', isAuthenticated, withMailAccount, async (req, res) => {
+  try {
+    const actions = await listAgentActions(supabase, req.user.id, {
+      limit: Math.min(parseInt(req.query.limit) || 50, 200),
+      before: req.query.before,
+      mailAccountId: req.mailAccount.id
     });
+    res.json({ actions });
+  } catch (error) {
+    console.error('[Agent Actions] List error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load activity' });
+  }
+});
 
-    // Update the history ID
-    await supabase
-      .from('users')
-      .update({ gmail_history_id: notification.historyId })
-      .eq('id', user.id);
+app.post('/api/actions/:id/undo', isAuthenticated, withMailAccount, async (req, res) => {
+  try {
+    const gmail = await getGmailClient(req.mailAccount.id);
+    const labelIds = await undoAgentAction({
+      gmail,
+      supabase,
+      userId: req.user.id,
+      mailAccountId: req.mailAccount.id,
+      actionId: req.params.id,
+      actor: req.user.email
+    });
+
+    res.json({ success: true, labelIds });
+  } catch (error) {
+    if (error.code === NEEDS_REAUTH) return sendReauthRequired(res, req.mailAccount);
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    if (error.code === 'CONFLICT') {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+    console.error('[Agent Actions] Undo error:', error);
+    res.status(500).json({ success: false, error: 'Failed to undo action', details: error.message });
+  }
+});
 
-    // Process the history changes
-    if (historyResponse.data.history) {
-      console.log(`Processing ${historyResponse.data.history.length} history changes for ${user.email}`);
+// Reply drafts awaiting the user's approval. Nothing is sent without an explicit approve.
+const DRAFT_STATUSES = ['pending', 'sent', 'discarded'];
 
-      // Here you can add custom logic to process the email changes
-      // For example: messagesAdded, messagesDeleted, labelsAdded, labelsRemoved
-      for (const historyItem of historyResponse.data.history) {
-        if (historyItem.messagesAdded) {
-          console.log(`New messages: ${historyItem.messagesAdded.length}`);
-          // Process new messages here
-        }
-      }
+app.get('/api/drafts', isAuthenticated, withMailAccount, async (req, res) => {
+  const status = req.query.status || 'pending';
+  if (!DRAFT_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, error: 'Invalid status', details: [`status must be one of ${DRAFT_STATUSES.join(', ')}`] });
+  }
+
+  try {
+    const drafts = await listReplyDrafts(supabase, req.user.id, {
+      status,
+      limit: Math.min(parseInt(req.query.limit) || 50, 200),
+      mailAccountId: req.mailAccount.id
+    });
+    res.json({ drafts });
+  } catch (error) {
+    console.error('[Reply Drafts] List error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load drafts' });
+  }
+});
+
+async function handleDraftAction(req, res, action, failureMessage) {
+  try {
+    const gmail = await getGmailClient(req.mailAccount.id);
+    const draft = await action({ gmail, supabase, account: req.mailAccount, draftId: req.params.id });
+    res.json({ success: true, draft });
+  } catch (error) {
+    if (error.code === NEEDS_REAUTH) return sendReauthRequired(res, req.mailAccount);
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({ success: false, error: error.message });
     }
+    console.error(`[Reply Drafts] ${failureMessage}:`, error);
+    res.status(500).json({ success: false, error: failureMessage, details: error.message });
+  }
+}
+
+app.put('/api/drafts/:id', isAuthenticated, withMailAccount, (req, res) => {
+  const body = req.body.body;
+  if (typeof body !== 'string' || !body.trim()) {
+    return res.status(400).json({ success: false, error: 'Invalid draft', details: ['body must be a non-empty string'] });
+  }
+  return handleDraftAction(req, res, args => updateReplyDraft({ ...args, body }), 'Failed to update draft');
+});
+
+app.post('/api/drafts/:id/approve', isAuthenticated, withMailAccount, (req, res) =>
+  handleDraftAction(req, res, approveReplyDraft, 'Failed to send draft'));
+
+app.post('/api/drafts/:id/discard', isAuthenticated, withMailAccount, (req, res) =>
+  handleDraftAction(req, res, discardReplyDraft, 'Failed to discard draft'));
+
+// Digest schedule and delivery
+app.get('/api/digest/settings', isAuthenticated, async (req, res) => {
+  try {
+    const settings = await getDigestSettings(supabase, req.user.id);
+    res.json({ settings, schedule: describeDigestSchedule(settings) });
+  } catch (error) {
+    console.error('[Digest] Settings error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load digest settings' });
+  }
+});
+
+app.put('/api/digest/settings', isAuthenticated, async (req, res) => {
+  const errors = validateDigestSettings(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Invalid settings', details: errors });
+  }
+
+  try {
+    const { data: settings, error } = await supabase
+      .from('digest_settings')
+      .upsert({
+        user_id: req.user.id,
+        frequency: req.body.frequency,
+        send_hour: req.body.send_hour,
+        weekday: req.body.weekday ?? 1,
+        timezone: req.body.timezone,
+        delivery: req.body.delivery,
+        webhook_url: req.body.delivery === 'webhook' ? req.body.webhook_url : null,
+        unanswered_hours: req.body.unanswered_hours ?? 48,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    res.json({ success: true, settings, schedule: describeDigestSchedule(settings) });
+  } catch (error) {
+    console.error('[Digest] Settings update error:', error);
+    res.status(500).json({ success: false, error: 'Failed to save digest settings', details: error.message });
+  }
+});
+
+// Send a digest for the period ending now, without touching the schedule
+app.post('/api/digest/send', isAuthenticated, async (req, res) => {
+  try {
+    const settings = await getDigestSettings(supabase, req.user.id);
+    const { periodStart, periodEnd } = getDigestPeriod(settings, new Date());
+    const gmail = await getDigestGmailClient({ supabase, getGmailClient, user: req.user, settings });
+
+    const digest = await sendDigest({ supabase, gmail, user: req.user, settings, periodStart, periodEnd });
+    res.json({ success: true, digest });
+  } catch (error) {
+    if (error.code === NEEDS_REAUTH) return sendReauthRequired(res);
+    console.error('[Digest] Send error:', error);
+    res.status(500).json({ success: false, error: 'Failed to send digest', details: error.message });
+  }
+});
+
+// Webhook endpoint for Gmail push notifications
+const verifyPubSubPush = createPubSubAuthMiddleware();
+
+app.post('/api/gmail/webhook', verifyPubSubPush, express.json(), async (req, res) => {
+  // Process the notification
+  const message = req.body.message;
+  if (!message || !message.data) {
+    console.log('Invalid webhook payload');
+    // Acknowledge so Pub/Sub doesn't keep redelivering a message we can't use
+    return res.status(200).send('OK');
+  }
+
+  let notification;
+  try {
+    // Decode the Pub/Sub message
+    const decodedData = Buffer.from(message.data, 'base64').toString();
+    notification = JSON.parse(decodedData);
+  } catch (error) {
+    console.log('Invalid webhook payload:', error.message);
+    return res.status(200).send('OK');
+  }
+
+  console.log('Gmail notification received:', notification);
+
+  try {
+    // Persist the notification before acknowledging it; if this fails Pub/Sub redelivers.
+    // Pub/Sub delivers at least once, so redeliveries are deduplicated by messageId.
+    const pubsubMessageId = message.messageId || message.message_id;
+    await enqueueJob(supabase, 'gmail_notification', {
+      emailAddress: notification.emailAddress,
+      historyId: notification.historyId,
+      pubsubMessageId
+    }, {
+      dedupeKey: pubsubMessageId ? `pubsub:${pubsubMessageId}` : undefined
+    });
+    await incrementDailyMetric(supabase, 'notifications');
+
+    res.status(200).send('OK');
   } catch (error) {
-    console.error('Webhook processing error:', error);
+    console.error('Failed to enqueue Gmail notification:', error);
+    res.status(500).send('Failed to enqueue notification');
   }
 });
 
+// Pipeline run once for every newly synced message
+const classifier = createClassifier();
+const replyGenerator = createReplyGenerator();
+
+async function processNewMessage(message, { gmail, user, account }) {
+  // A classifier outage shouldn't stop rules from running
+  try {
+    await classifyMessage({ gmail, supabase, user, message, classifier });
+  } catch (error) {
+    console.error(`[Classifier] Failed to classify message ${message.gmail_message_id}:`, error.message);
+  }
+
+  await applyRulesToMessage({ gmail, supabase, user, message });
+
+  // Rules may have trashed or archived it; only draft for mail still in the inbox
+  if (message.category === 'needs-reply' && (message.label_ids || []).includes('INBOX') &&
+      shouldDraftReply(message, account)) {
+    try {
+      const settings = await getClassificationSettings(supabase, user.id);
+      if (settings.draft_replies) {
+        await createReplyDraft({ gmail, supabase, user, account, message, generator: replyGenerator });
+      }
+    } catch (error) {
+      console.error(`[Reply Drafts] Failed to draft reply to ${message.gmail_message_id}:`, error.message);
+    }
+  }
+
+  // Counted once it went through, not again when a failed message is retried
+  await incrementDailyMetric(supabase, 'messages_processed');
+}
+
+// Background job handlers
+async function processGmailNotification({ emailAddress, historyId }) {
+  // Notifications name the mailbox, which may be any of a user's accounts
+  const account = await findMailAccountByEmail(supabase, emailAddress);
+  if (!account) {
+    console.log('Mail account not found for email:', emailAddress);
+    return;
+  }
+  await recordWatchNotification(supabase, account, historyId);
+
+  const user = await userProfiles.get(account.user_id);
+  if (!user) {
+    console.log('User not found for mail account:', emailAddress);
+    return;
+  }
+  if (user.is_active === false) {
+    console.log('Skipping notification for deactivated user:', user.email);
+    return;
+  }
+
+  let result;
+  try {
+    // Get Gmail client
+    const gmail = await getGmailClient(account.id);
+
+    // Sync everything since the last processed historyId
+    result = await syncMailbox({
+      gmail,
+      supabase,
+      user,
+      account,
+      notificationHistoryId: historyId,
+      onMessage: processNewMessage
+    });
+  } catch (error) {
+    // Retrying can't help until the account is reconnected
+    if (error.code === NEEDS_REAUTH) {
+      console.log(`[Gmail Sync] Skipping notification for ${account.email}: Gmail access needs to be re-authorized`);
+      return;
+    }
+    throw error;
+  }
+
+  console.log(`[Gmail Sync] ${result.mode} sync for ${account.email}: ${result.messagesProcessed} new messages`);
+}
+
+// Catch-up sync queued from /admin (see runBulkWatchAction)
+async function processMailboxSyncJob({ mailAccountId }) {
+  const { data: account, error } = await supabase
+    .from('mail_accounts')
+    .select('id, user_id, email, gmail_history_id')
+    .eq('id', mailAccountId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!account) {
+    console.log('[Gmail Sync] Mail account not found for queued sync:', mailAccountId);
+    return;
+  }
+
+  const user = await userProfiles.get(account.user_id);
+  if (!user || user.is_active === false) {
+    console.log(`[Gmail Sync] Skipping queued sync for ${account.email}: user not found or deactivated`);
+    return;
+  }
+
+  let result;
+  try {
+    const gmail = await getGmailClient(account.id);
+    result = await syncMailbox({ gmail, supabase, user, account, onMessage: processNewMessage });
+  } catch (syncError) {
+    if (syncError.code === NEEDS_REAUTH) {
+      console.log(`[Gmail Sync] Skipping queued sync for ${account.email}: Gmail access needs to be re-authorized`);
+      return;
+    }
+    throw syncError;
+  }
+
+  console.log(`[Gmail Sync] ${result.mode} sync for ${account.email}: ${result.messagesProcessed} new messages`);
+}
+
+const jobHandlers = {
+  gmail_notification: processGmailNotification,
+  mailbox_sync: processMailboxSyncJob,
+  send_digest: (payload) => processDigestJob({ supabase, getGmailClient, payload })
+};
+
 // Error handling
 app.use((err, req, res, next) => {
   console.error('Error:', err);
@@ -965,4 +2136,8 @@ app.use((err, req, res, next) => {
 app.listen(PORT, () => {
   console.log(`✓ Server running on port ${PORT}`);
   console.log(`✓ Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  startWatchRenewalScheduler({ supabase, getGmailClient });
+  startJobWorkers({ supabase, handlers: jobHandlers });
+  startDigestScheduler({ supabase });
 });
@@ -0,0 +1,332 @@
+// express-session store backed by the sessions table
+//
+// The store itself handles expiry, touch throttling and cleanup; where the
+// rows live is up to a backend with this interface (all async):
+//   get(id)                            -> { data, expiresAt } | null (expired rows excluded)
+//   set(id, { data, userId, expiresAt, ip, userAgent })
+//   touch(id, expiresAt)
+//   destroy(id)
+//   deleteExpired(now)                 -> number of rows removed
+//   listByUser(userId)                 -> [{ id, token, createdAt, lastSeenAt, expiresAt, ip, userAgent }]
+//   destroyByUser(userId, { sessionId?, exceptToken? }) -> number of rows removed
+// SESSION_STORE picks the backend: supabase (default) or memory, which keeps
+// everything in-process and is meant for tests and local development.
+//
+// Session ids are stored as SHA-256 hashes, so a copy of the table can't be
+// used to hijack sessions.
+
+import crypto from 'crypto';
+import session from 'express-session';
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TOUCH_AFTER_MS = 5 * 60 * 1000;
+const DEFAULT_CLEANUP_INTERVAL_MINUTES = 60;
+
+export function hashSessionId(sid) {
+  return crypto.createHash('sha256').update(sid).digest('hex');
+}
+
+export function createSupabaseSessionBackend(supabase) {
+  return {
+    async get(id) {
+      const { data, error } = await supabase
+        .from('sessions')
+        .select('data, expires_at')
+        .eq('token', id)
+        .gt('expires_at', new Date().toISOString())
+        .maybeSingle();
+
+      if (error) throw error;
+      return data ? { data: data.data, expiresAt: new Date(data.expires_at) } : null;
+    },
+
+    async set(id, { data, userId, expiresAt, ip, userAgent }) {
+      const { error } = await supabase
+        .from('sessions')
+        .upsert({
+          token: id,
+          user_id: userId,
+          data,
+          expires_at: expiresAt.toISOString(),
+          last_seen_at: new Date().toISOString(),
+          ip,
+          user_agent: userAgent
+        }, { onConflict: 'token' });
+
+      if (error) throw error;
+    },
+
+    async touch(id, expiresAt) {
+      const { error } = await supabase
+        .from('sessions')
+        .update({ expires_at: expiresAt.toISOString(), last_seen_at: new Date().toISOString() })
+        .eq('token', id);
+
+      if (error) throw error;
+    },
+
+    async destroy(id) {
+      const { error } = await supabase
+        .from('sessions')
+        .delete()
+        .eq('token', id);
+
+      if (error) throw error;
+    },
+
+    async deleteExpired(now) {
+      const { data, error } = await supabase
+        .from('sessions')
+        .delete()
+        .lt('expires_at', now.toISOString())
+        .select('id');
+
+      if (error) throw error;
+      return data.length;
+    },
+
+    async listByUser(userId) {
+      const { data, error } = await supabase
+        .from('sessions')
+        .select('id, token, created_at, last_seen_at, expires_at, ip, user_agent')
+        .eq('user_id', userId)
+        .gt('expires_at', new Date().toISOString())
+        .order('last_seen_at', { ascending: false });
+
+      if (error) throw error;
+      return data.map(row => ({
+        id: row.id,
+        token: row.token,
+        createdAt: row.created_at,
+        lastSeenAt: row.last_seen_at,
+        expiresAt: row.expires_at,
+        ip: row.ip,
+        userAgent: row.user_agent
+      }));
+    },
+
+    async destroyByUser(userId, { sessionId, exceptToken } = {}) {
+      let query = supabase
+        .from('sessions')
+        .delete()
+        .eq('user_id', userId);
+
+      if (sessionId) query = query.eq('id', sessionId);
+      if (exceptToken) query = query.neq('token', exceptToken);
+
+      const { data, error } = await query.select('id');
+      if (error) throw error;
+      return data.length;
+    }
+  };
+}
+
+export function createMemorySessionBackend({ now = Date.now } = {}) {
+  const rows = new Map();
+
+  return {
+    rows,
+
+    async get(id) {
+      const row = rows.get(id);
+      if (!row || row.expiresAt.getTime() <= now()) return null;
+      return { data: structuredClone(row.data), expiresAt: row.expiresAt };
+    },
+
+    async set(id, { data, userId, expiresAt, ip, userAgent }) {
+      const existing = rows.get(id);
+      rows.set(id, {
+        id: existing?.id || crypto.randomUUID(),
+        data: structuredClone(data),
+        userId,
+        expiresAt,
+        ip,
+        userAgent,
+        createdAt: existing?.createdAt || new Date(now()),
+        lastSeenAt: new Date(now())
+      });
+    },
+
+    async touch(id, expiresAt) {
+      const row = rows.get(id);
+      if (row) {
+        row.expiresAt = expiresAt;
+        row.lastSeenAt = new Date(now());
+      }
+    },
+
+    async destroy(id) {
+      rows.delete(id);
+    },
+
+    async deleteExpired(at) {
+      let removed = 0;
+      for (const [id, row] of rows) {
+        if (row.expiresAt < at) {
+          rows.delete(id);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    async listByUser(userId) {
+      return [...rows.entries()]
+        .filter(([, row]) => row.userId === userId && row.expiresAt.getTime() > now())
+        .sort((a, b) => b[1].lastSeenAt - a[1].lastSeenAt)
+        .map(([token, row]) => ({
+          id: row.id,
+          token,
+          createdAt: row.createdAt.toISOString(),
+          lastSeenAt: row.lastSeenAt.toISOString(),
+          expiresAt: row.expiresAt.toISOString(),
+          ip: row.ip,
+          userAgent: row.userAgent
+        }));
+    },
+
+    async destroyByUser(userId, { sessionId, exceptToken } = {}) {
+      let removed = 0;
+      for (const [token, row] of rows) {
+        if (row.userId !== userId) continue;
+        if (sessionId && row.id !== sessionId) continue;
+        if (exceptToken && token === exceptToken) continue;
+        rows.delete(token);
+        removed++;
+      }
+      return removed;
+    }
+  };
+}
+
+// Adapts a backend to express-session's callback-style Store API
+export class SessionStore extends session.Store {
+  constructor({ backend, ttlMs = DEFAULT_TTL_MS, touchAfterMs = DEFAULT_TOUCH_AFTER_MS, now = Date.now }) {
+    super();
+    this.backend = backend;
+    this.ttlMs = ttlMs;
+    this.touchAfterMs = touchAfterMs;
+    this.now = now;
+    // Last time each session's expiry was written, to skip a write on every request
+    this.lastTouched = new Map();
+  }
+
+  expiresAt(sess) {
+    const cookieExpiry = sess?.cookie?.expires ? new Date(sess.cookie.expires) : null;
+    return cookieExpiry && !isNaN(cookieExpiry) ? cookieExpiry : new Date(this.now() + this.ttlMs);
+  }
+
+  get(sid, callback) {
+    this.backend.get(hashSessionId(sid))
+      .then(row => callback(null, row ? row.data : null))
+      .catch(error => callback(error));
+  }
+
+  set(sid, sess, callback = () => {}) {
+    this.backend.set(hashSessionId(sid), {
+      data: sess,
+      userId: sess.passport?.user || null,
+      expiresAt: this.expiresAt(sess),
+      ip: sess.client?.ip || null,
+      userAgent: sess.client?.userAgent || null
+    })
+      .then(() => {
+        this.lastTouched.set(sid, this.now());
+        callback(null);
+      })
+      .catch(error => callback(error));
+  }
+
+  touch(sid, sess, callback = () => {}) {
+    const last = this.lastTouched.get(sid);
+    if (last && this.now() - last < this.touchAfterMs) {
+      return callback(null);
+    }
+
+    this.backend.touch(hashSessionId(sid), this.expiresAt(sess))
+      .then(() => {
+        this.lastTouched.set(sid, this.now());
+        callback(null);
+      })
+      .catch(error => callback(error));
+  }
+
+  destroy(sid, callback = () => {}) {
+    this.lastTouched.delete(sid);
+    this.backend.destroy(hashSessionId(sid))
+      .then(() => callback(null))
+      .catch(error => callback(error));
+  }
+
+  // A user's live sessions, newest activity first. `currentSid` marks the
+  // caller's own session; the stored token hashes are never returned.
+  async listUserSessions(userId, currentSid) {
+    const currentToken = currentSid ? hashSessionId(currentSid) : null;
+    const sessions = await this.backend.listByUser(userId);
+    return sessions.map(({ token, ...rest }) => ({ ...rest, current: token === currentToken }));
+  }
+
+  // Sign out one session by its row id. Returns false if it wasn't found.
+  async revokeUserSession(userId, sessionId) {
+    return (await this.backend.destroyByUser(userId, { sessionId })) > 0;
+  }
+
+  // Sign out all of a user's sessions, optionally keeping `exceptSid`.
+  // Returns the number of sessions removed.
+  async revokeAllUserSessions(userId, { exceptSid } = {}) {
+    return this.backend.destroyByUser(userId, {
+      exceptToken: exceptSid ? hashSessionId(exceptSid) : undefined
+    });
+  }
+
+  // Remove expired sessions; returns the number removed
+  async prune() {
+    const now = this.now();
+    for (const [sid, touchedAt] of this.lastTouched) {
+      if (now - touchedAt > this.ttlMs) this.lastTouched.delete(sid);
+    }
+    return this.backend.deleteExpired(new Date(now));
+  }
+
+  // Prune on an interval. Returns a function that stops the cleanup.
+  startCleanup(intervalMs) {
+    const run = () => {
+      this.prune()
+        .then(removed => {
+          if (removed) console.log(`[Sessions] Removed ${removed} expired sessions`);
+        })
+        .catch(error => console.error('[Sessions] Cleanup failed:', error.message));
+    };
+
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+    run();
+
+    return () => clearInterval(timer);
+  }
+}
+
+export function createSessionStore({
+  supabase,
+  type = process.env.SESSION_STORE || 'supabase',
+  ttlMs = DEFAULT_TTL_MS,
+  cleanupIntervalMs = (parseFloat(process.env.SESSION_CLEANUP_INTERVAL_MINUTES) || DEFAULT_CLEANUP_INTERVAL_MINUTES) * 60 * 1000
+}) {
+  let backend;
+  switch (type) {
+    case 'supabase':
+      backend = createSupabaseSessionBackend(supabase);
+      break;
+    case 'memory':
+      backend = createMemorySessionBackend();
+      break;
+    default:
+      throw new Error(`Unknown SESSION_STORE: ${type}`);
+  }
+
+  const store = new SessionStore({ backend, ttlMs });
+  store.startCleanup(cleanupIntervalMs);
+
+  console.log(`✓ Session store: ${type} (cleanup every ${cleanupIntervalMs / 60000} min)`);
+  return store;
+}
@@ -0,0 +1,112 @@
+// Active sessions card for the user dashboard, with remote sign-out. Talks to /api/sessions.
+export function generateSessionsSection() {
+  return `
+    <div class="card sessions-card" style="margin-top: 1.5rem;">
+      <style>
+        .sessions-card h3 { margin-bottom: 1rem; color: #333; }
+        .sessions-card .muted { color: #666; }
+        .session-row {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 1rem;
+          padding: 0.75rem 0;
+          border-bottom: 1px solid #f3f4f6;
+          font-size: 0.9rem;
+        }
+        .session-row:last-child { border-bottom: none; }
+        .session-row .session-title { font-weight: 600; color: #333; }
+        .session-row .session-detail { font-size: 0.8rem; color: #666; margin-top: 0.25rem; }
+        .sessions-card button {
+          background: #e5e7eb;
+          color: #333;
+          padding: 6px 14px;
+          border: none;
+          border-radius: 8px;
+          cursor: pointer;
+          font-weight: 600;
+        }
+        .sessions-card button:hover { background: #d1d5db; }
+        .sessions-card button.danger { background: #fee2e2; color: #991b1b; }
+        .sessions-card button.danger:hover { background: #fecaca; }
+      </style>
+
+      <div style="display: flex; justify-content: space-between; align-items: center;">
+        <h3>Active Sessions</h3>
+        <button type="button" class="danger" onclick="signOutEverywhere(this)">Sign out everywhere</button>
+      </div>
+      <p class="muted" style="margin-bottom: 1rem;">Browsers and devices currently signed in to your account</p>
+
+      <div id="sessions-list"><span style="color: #999;">Loading...</span></div>
+    </div>
+
+    <script>
+      async function loadSessions() {
+        const list = document.getElementById('sessions-list');
+
+        try {
+          const response = await fetch('/api/sessions');
+          if (!response.ok) throw new Error('HTTP ' + response.status);
+          const data = await response.json();
+
+          if (data.sessions.length === 0) {
+            list.innerHTML = '<span class="muted">No active sessions</span>';
+            return;
+          }
+
+          list.innerHTML = data.sessions.map(function(s) {
+            return '<div class="session-row">' +
+              '<div>' +
+                '<div class="session-title">' + escapeHtml(s.userAgent || 'Unknown browser') +
+                  (s.current ? ' <span class="badge">This browser</span>' : '') + '</div>' +
+                '<div class="session-detail">IP ' + escapeHtml(s.ip || 'unknown') +
+                  ' · signed in ' + new Date(s.createdAt).toLocaleString() +
+                  ' · last seen ' + new Date(s.lastSeenAt).toLocaleString() + '</div>' +
+              '</div>' +
+              (s.current
+                ? '<a href="/logout"><button type="button">Sign out</button></a>'
+                : '<button type="button" onclick="revokeSession(\\'' + s.id + '\\', this)">Sign out</button>') +
+            '</div>';
+          }).join('');
+        } catch (error) {
+          list.innerHTML = '<span style="color: #ef4444;">Error loading sessions: ' + escapeHtml(error.message) + '</span>';
+        }
+      }
+
+      async function revokeSession(sessionId, button) {
+        button.disabled = true;
+
+        try {
+          const response = await fetch('/api/sessions/' + sessionId, { method: 'DELETE' });
+          const data = await response.json();
+          if (!data.success) throw new Error(data.error || 'HTTP ' + response.status);
+          loadSessions();
+        } catch (error) {
+          alert('Failed to sign out session: ' + error.message);
+          button.disabled = false;
+        }
+      }
+
+      async function signOutEverywhere(button) {
+        if (!confirm('Sign out of every browser and device, including this one?')) return;
+        button.disabled = true;
+
+        try {
+          const response = await fetch('/api/sessions/revoke-all', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ keepCurrent: false })
+          });
+          const data = await response.json();
+          if (!data.success) throw new Error(data.error || 'HTTP ' + response.status);
+          window.location.href = '/';
+        } catch (error) {
+          alert('Failed to sign out: ' + error.message);
+          button.disabled = false;
+        }
+      }
+
+      loadSessions();
+    </script>
+  `;
+}
@@ -0,0 +1,92 @@
+// Per-mailbox serialization of mailbox syncs
+//
+// Within one process, syncs for the same mail account are chained so they run
+// one after another. Across server instances, a lease in mail_accounts.sync_locked_until
+// makes sure only one instance syncs a mailbox at a time. If another instance
+// holds the lease, an error with code SYNC_LOCKED is thrown so the caller
+// (usually a queued job) can retry later. Long syncs extend the lease as they
+// go (after every page), so it never runs out while the sync is still working.
+
+import crypto from 'crypto';
+
+const DEFAULT_LOCK_TTL_MS = 10 * 60 * 1000;
+const localChains = new Map();
+
+async function acquireLease(supabase, accountId, owner, ttlMs) {
+  const now = new Date();
+
+  // Only succeeds if the lease is free or has expired
+  const { data, error } = await supabase
+    .from('mail_accounts')
+    .update({
+      sync_locked_by: owner,
+      sync_locked_until: new Date(now.getTime() + ttlMs).toISOString()
+    })
+    .eq('id', accountId)
+    .or(`sync_locked_until.is.null,sync_locked_until.lt.${now.toISOString()}`)
+    .select('id');
+
+  if (error) throw error;
+  return data.length > 0;
+}
+
+function lockedError(accountId) {
+  const error = new Error(`Mailbox sync already in progress for mail account ${accountId}`);
+  error.code = 'SYNC_LOCKED';
+  return error;
+}
+
+// Push the lease out by another ttlMs, as long as we still hold it. If it ran
+// out and another instance took over, stop here rather than sync alongside it.
+async function extendLease(supabase, accountId, owner, ttlMs) {
+  const { data, error } = await supabase
+    .from('mail_accounts')
+    .update({ sync_locked_until: new Date(Date.now() + ttlMs).toISOString() })
+    .eq('id', accountId)
+    .eq('sync_locked_by', owner)
+    .select('id');
+
+  if (error) throw error;
+  if (data.length === 0) throw lockedError(accountId);
+}
+
+async function releaseLease(supabase, accountId, owner) {
+  const { error } = await supabase
+    .from('mail_accounts')
+    .update({ sync_locked_by: null, sync_locked_until: null })
+    .eq('id', accountId)
+    .eq('sync_locked_by', owner);
+
+  if (error) console.error(`[Sync Lock] Failed to release lock for mail account ${accountId}:`, error);
+}
+
+async function runWithLease(supabase, accountId, fn) {
+  const ttlMs = parseInt(process.env.SYNC_LOCK_TTL_MS) || DEFAULT_LOCK_TTL_MS;
+  const owner = crypto.randomUUID();
+
+  if (!(await acquireLease(supabase, accountId, owner, ttlMs))) {
+    throw lockedError(accountId);
+  }
+
+  try {
+    return await fn(() => extendLease(supabase, accountId, owner, ttlMs));
+  } finally {
+    await releaseLease(supabase, accountId, owner);
+  }
+}
+
+// Run `fn(extendLock)` while holding the sync lock for `accountId`. Call
+// extendLock() regularly during long syncs; it throws if the lock was lost.
+export function withMailboxSyncLock(supabase, accountId, fn) {
+  const previous = localChains.get(accountId) || Promise.resolve();
+  const run = previous.catch(() => {}).then(() => runWithLease(supabase, accountId, fn));
+
+  // Keep the chain from growing forever once it's idle
+  const tail = run.catch(() => {});
+  localChains.set(accountId, tail);
+  tail.then(() => {
+    if (localChains.get(accountId) === tail) localChains.delete(accountId);
+  });
+
+  return run;
+}
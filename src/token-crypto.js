@@ -0,0 +1,220 @@
+// Encryption at rest for the OAuth tokens in the mail_accounts table
+//
+// Envelope encryption with AES-256-GCM: every value gets its own random data
+// key, which is itself encrypted ("wrapped") with a key-encryption key from
+// the environment. Stored values look like
+//   enc:v1:<key id>:<wrapped data key>:<ciphertext>
+// where both parts are base64url of iv | auth tag | ciphertext. The key id
+// says which environment key wrapped the value, so old values stay readable
+// while a rotation re-encrypts them under the new key.
+//
+//   TOKEN_ENCRYPTION_KEYS   - comma separated <id>:<base64 or hex 32-byte key>
+//   TOKEN_ENCRYPTION_KEY_ID - id of the key used for new writes (default: the first one)
+//
+// Values without the enc: prefix are plaintext from before encryption was
+// enabled; they are still read as-is until the migration has run.
+
+import crypto from 'crypto';
+
+const PREFIX = 'enc';
+const VERSION = 'v1';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+export const TOKEN_FIELDS = ['access_token', 'refresh_token'];
+
+function parseKey(id, encoded) {
+  const key = /^[0-9a-f]{64}$/i.test(encoded)
+    ? Buffer.from(encoded, 'hex')
+    : Buffer.from(encoded, 'base64');
+
+  if (key.length !== 32) {
+    throw new Error(`Token encryption key "${id}" must be 32 bytes (base64 or hex)`);
+  }
+  return key;
+}
+
+// Parse the keys from the environment. Returns { activeKeyId, keys: Map } or
+// null when encryption isn't configured.
+export function loadKeyring(env = process.env) {
+  const entries = (env.TOKEN_ENCRYPTION_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  if (entries.length === 0) return null;
+
+  const keys = new Map();
+  for (const entry of entries) {
+    const separator = entry.indexOf(':');
+    const id = entry.slice(0, separator);
+    if (separator < 1 || !/^[\w-]+$/.test(id)) {
+      throw new Error('TOKEN_ENCRYPTION_KEYS entries must look like <id>:<key>');
+    }
+    if (keys.has(id)) {
+      throw new Error(`Duplicate token encryption key id "${id}"`);
+    }
+    keys.set(id, parseKey(id, entry.slice(separator + 1)));
+  }
+
+  const activeKeyId = env.TOKEN_ENCRYPTION_KEY_ID || entries[0].split(':')[0];
+  if (!keys.has(activeKeyId)) {
+    throw new Error(`TOKEN_ENCRYPTION_KEY_ID "${activeKeyId}" is not in TOKEN_ENCRYPTION_KEYS`);
+  }
+
+  return { activeKeyId, keys };
+}
+
+let defaultKeyring;
+let warnedUnencrypted = false;
+
+function getDefaultKeyring() {
+  if (defaultKeyring === undefined) {
+    defaultKeyring = loadKeyring();
+  }
+  return defaultKeyring;
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+}
+
+function open(key, sealed) {
+  const data = Buffer.from(sealed, 'base64url');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, data.subarray(0, IV_LENGTH));
+  decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+  return Buffer.concat([decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+}
+
+export function isEncryptedToken(value) {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+}
+
+// Id of the key that wrapped an encrypted value, or null for plaintext
+export function getTokenKeyId(value) {
+  return isEncryptedToken(value) ? value.split(':')[2] : null;
+}
+
+// Encrypt a token for storage. Null stays null and already encrypted values
+// are returned unchanged, so this is safe to apply to any write.
+export function encryptToken(value, keyring = getDefaultKeyring()) {
+  if (value == null || isEncryptedToken(value)) return value;
+
+  if (!keyring) {
+    if (!warnedUnencrypted) {
+      console.warn('[Token Crypto] TOKEN_ENCRYPTION_KEYS is not set; OAuth tokens are stored unencrypted');
+      warnedUnencrypted = true;
+    }
+    return value;
+  }
+
+  const dataKey = crypto.randomBytes(32);
+  const wrappedKey = seal(keyring.keys.get(keyring.activeKeyId), dataKey);
+  const ciphertext = seal(dataKey, Buffer.from(value, 'utf8'));
+
+  return [PREFIX, VERSION, keyring.activeKeyId, wrappedKey, ciphertext].join(':');
+}
+
+export function decryptToken(value, keyring = getDefaultKeyring()) {
+  if (!isEncryptedToken(value)) return value;
+
+  const [, version, keyId, wrappedKey, ciphertext] = value.split(':');
+  if (version !== VERSION) {
+    throw new Error(`Unsupported token encryption version: ${version}`);
+  }
+
+  const key = keyring?.keys.get(keyId);
+  if (!key) {
+    throw new Error(`Token encryption key "${keyId}" is not configured`);
+  }
+
+  const dataKey = open(key, wrappedKey);
+  return open(dataKey, ciphertext).toString('utf8');
+}
+
+// Encrypt whichever token columns are present in a mail_accounts row or update
+export function encryptTokenFields(fields, keyring = getDefaultKeyring()) {
+  const result = { ...fields };
+  for (const field of TOKEN_FIELDS) {
+    if (field in result) result[field] = encryptToken(result[field], keyring);
+  }
+  return result;
+}
+
+export function decryptTokenFields(row, keyring = getDefaultKeyring()) {
+  const result = { ...row };
+  for (const field of TOKEN_FIELDS) {
+    if (field in result) result[field] = decryptToken(result[field], keyring);
+  }
+  return result;
+}
+
+// Re-encrypt stored tokens. Plaintext values are always encrypted; with
+// `rotate`, values wrapped by any key other than the active one are
+// re-encrypted too. Each row is only updated if its tokens haven't changed
+// since they were read, so a concurrent token refresh is never overwritten.
+export async function reencryptStoredTokens({ supabase, keyring = getDefaultKeyring(), rotate = false, dryRun = false, batchSize = 200 }) {
+  if (!keyring) {
+    throw new Error('TOKEN_ENCRYPTION_KEYS must be set');
+  }
+
+  const needsWrite = (value) => value != null &&
+    (!isEncryptedToken(value) || (rotate && getTokenKeyId(value) !== keyring.activeKeyId));
+
+  const results = { scanned: 0, updated: 0, skipped: 0, failed: 0 };
+  let lastId = null;
+
+  while (true) {
+    let query = supabase
+      .from('mail_accounts')
+      .select('id, email, access_token, refresh_token')
+      .order('id', { ascending: true })
+      .limit(batchSize);
+
+    if (lastId) query = query.gt('id', lastId);
+
+    const { data: accounts, error } = await query;
+    if (error) throw error;
+    if (accounts.length === 0) break;
+
+    for (const account of accounts) {
+      results.scanned++;
+      const fields = TOKEN_FIELDS.filter(field => needsWrite(account[field]));
+      if (fields.length === 0) {
+        results.skipped++;
+        continue;
+      }
+
+      try {
+        const update = {};
+        for (const field of fields) {
+          update[field] = encryptToken(decryptToken(account[field], keyring), keyring);
+        }
+
+        if (!dryRun) {
+          let updateQuery = supabase.from('mail_accounts').update(update).eq('id', account.id);
+          for (const field of fields) updateQuery = updateQuery.eq(field, account[field]);
+
+          const { data: updated, error: updateError } = await updateQuery.select('id');
+          if (updateError) throw updateError;
+          if (updated.length === 0) {
+            // Tokens changed underneath us; the new ones were written encrypted
+            results.skipped++;
+            continue;
+          }
+        }
+
+        results.updated++;
+      } catch (error) {
+        console.error(`[Token Crypto] Failed to re-encrypt tokens for ${account.email}:`, error.message);
+        results.failed++;
+      }
+    }
+
+    lastId = accounts[accounts.length - 1].id;
+  }
+
+  return results;
+}
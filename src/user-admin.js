@@ -0,0 +1,88 @@
+// Admin actions on user accounts: deactivate, reactivate and delete
+//
+// A deactivated user can't sign in (the OAuth callback refuses them), is
+// signed out of every session, and has their Gmail watches stopped so no
+// notifications, rules or digests run for them. Their data is kept, and
+// reactivating only lets them sign in again; they turn their watch back on
+// themselves. Deleting revokes the app's access at Google and removes the user
+// with everything stored for them.
+
+import { stopUserWatches } from './gmail-watch.js';
+import { revokeStoredGrant } from './gmail-client.js';
+
+export async function deactivateUser({ supabase, getGmailClient, sessionStore, user }) {
+  const { error } = await supabase
+    .from('users')
+    .update({ is_active: false })
+    .eq('id', user.id);
+
+  if (error) throw error;
+
+  // Sessions go last so nothing started by the user outlives the flag
+  const accounts = await stopUserWatches({ supabase, getGmailClient, userId: user.id });
+  const sessionsRevoked = await sessionStore.revokeAllUserSessions(user.id);
+
+  return { accounts, sessionsRevoked };
+}
+
+export async function reactivateUser({ supabase, user }) {
+  const { error } = await supabase
+    .from('users')
+    .update({ is_active: true })
+    .eq('id', user.id);
+
+  if (error) throw error;
+}
+
+// Stops every watch and revokes every grant first, best effort: a grant that
+// is already revoked can do neither, and must not keep the user from being
+// deleted. The outcome per account is returned for the audit trail.
+export async function deleteUser({ supabase, getGmailClient, sessionStore, user }) {
+  const accounts = await stopUserWatches({ supabase, getGmailClient, userId: user.id });
+
+  const { data: mailAccounts, error: fetchError } = await supabase
+    .from('mail_accounts')
+    .select('id, email')
+    .eq('user_id', user.id);
+
+  if (fetchError) throw fetchError;
+
+  for (const account of mailAccounts) {
+    const result = accounts.find(entry => entry.email === account.email);
+    try {
+      result.grantRevoked = await revokeStoredGrant(supabase, account.id);
+    } catch (error) {
+      console.log(`[User Admin] Could not revoke the Google grant for ${account.email}:`, error.message);
+      result.grantRevoked = false;
+      result.revokeError = error.message;
+    }
+  }
+
+  const sessionsRevoked = await sessionStore.revokeAllUserSessions(user.id);
+
+  // Mail accounts, messages, drafts, the activity log, rules and settings
+  // all cascade from users
+  const { error } = await supabase
+    .from('users')
+    .delete()
+    .eq('id', user.id);
+
+  if (error) throw error;
+
+  // Queued work for the user's mailboxes would find nothing to do, but its
+  // payloads still name them
+  const emails = mailAccounts.map(account => account.email);
+  const { error: jobsError } = await supabase
+    .from('jobs')
+    .delete()
+    .or([
+      `payload->>userId.eq.${user.id}`,
+      ...(emails.length ? [`payload->>emailAddress.in.(${emails.map(email => `"${email}"`).join(',')})`] : [])
+    ].join(','));
+
+  if (jobsError) {
+    console.error(`[User Admin] Failed to remove queued jobs of deleted user ${user.id}:`, jobsError.message);
+  }
+
+  return { accounts, sessionsRevoked };
+}
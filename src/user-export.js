@@ -0,0 +1,89 @@
+// CSV and NDJSON exports of the users table on /admin
+//
+// Exports take the same filters and sort as GET /api/admin/users and are
+// written out a page at a time as they are read, so the size of the users
+// table doesn't matter. Only columns of admin_user_overview listed here can be
+// exported; that view has no token columns to begin with.
+
+import { ADMIN_USER_COLUMNS, USER_SORTS, parseUserFilters, iterateAdminUsers } from './admin-users.js';
+
+export const EXPORT_COLUMNS = ADMIN_USER_COLUMNS.split(', ');
+export const DEFAULT_EXPORT_COLUMNS = EXPORT_COLUMNS.filter(column => column !== 'picture');
+export const EXPORT_FORMATS = ['csv', 'ndjson'];
+
+export const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+// Query string of GET /api/admin/users/export: the users table filters plus
+// ?format=csv|ndjson, ?columns=a,b,c, ?sort= and ?direction=.
+// Returns { options, errors }.
+export function parseUserExportQuery(query) {
+  const { filters, errors } = parseUserFilters(query);
+  const options = {
+    filters,
+    format: query.format || 'csv',
+    columns: DEFAULT_EXPORT_COLUMNS,
+    sort: query.sort || 'created_at',
+    direction: query.direction || 'asc'
+  };
+
+  if (!EXPORT_FORMATS.includes(options.format)) {
+    errors.push(`format must be one of ${EXPORT_FORMATS.join(', ')}`);
+  }
+  if (!USER_SORTS.includes(options.sort)) {
+    errors.push(`sort must be one of ${USER_SORTS.join(', ')}`);
+  }
+  if (!['asc', 'desc'].includes(options.direction)) {
+    errors.push('direction must be asc or desc');
+  }
+
+  if (query.columns !== undefined) {
+    const columns = typeof query.columns === 'string'
+      ? [...new Set(query.columns.split(',').map(column => column.trim()).filter(Boolean))]
+      : [];
+    const unknown = columns.filter(column => !EXPORT_COLUMNS.includes(column));
+
+    if (columns.length === 0 || unknown.length > 0) {
+      errors.push(`columns must be a comma-separated list of ${EXPORT_COLUMNS.join(', ')}`);
+    } else {
+      options.columns = columns;
+    }
+  }
+
+  return { options, errors };
+}
+
+// Quoted when needed, and text a spreadsheet would run as a formula (user
+// names come from Google and can be anything) is prefixed with a quote
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatRow(format, columns, user) {
+  if (format === 'ndjson') {
+    return JSON.stringify(Object.fromEntries(columns.map(column => [column, user[column] ?? null]))) + '\n';
+  }
+  return columns.map(column => csvField(user[column])).join(',') + '\r\n';
+}
+
+// The export as chunks of text, one page of users per chunk. The CSV header
+// comes with the first page, so nothing is produced until the first query has
+// succeeded. progress.rows counts the users produced so far.
+export async function* generateUserExport(supabase, { filters, format, columns, sort, direction }, progress = { rows: 0 }) {
+  let header = format === 'csv' ? columns.join(',') + '\r\n' : '';
+
+  for await (const users of iterateAdminUsers(supabase, { filters, sort, direction })) {
+    if (users.length === 0) continue;
+    yield header + users.map(user => formatRow(format, columns, user)).join('');
+    header = '';
+    progress.rows += users.length;
+  }
+
+  // No users matched: the CSV is only its header
+  if (header) yield header;
+}
@@ -0,0 +1,74 @@
+// Per-request user loading for sessions
+//
+// The session only holds the user id. Each request loads the user's profile
+// (never the OAuth tokens) through a short-lived in-process cache, so changes
+// such as deactivation take effect within USER_PROFILE_CACHE_TTL_MS, or
+// immediately on this instance when the code making the change calls
+// invalidate().
+
+// Columns safe to expose as req.user
+export const PROFILE_COLUMNS = 'id, google_id, email, name, picture, created_at, last_login, is_active, role';
+
+const DEFAULT_TTL_MS = 30 * 1000;
+const MAX_ENTRIES = 1000;
+
+export function sanitizeUser(row) {
+  if (!row) return null;
+
+  const profile = {};
+  for (const column of PROFILE_COLUMNS.split(', ')) {
+    profile[column] = row[column] ?? null;
+  }
+  return profile;
+}
+
+export function createUserProfileCache({
+  supabase,
+  ttlMs = parseInt(process.env.USER_PROFILE_CACHE_TTL_MS) || DEFAULT_TTL_MS,
+  now = Date.now
+}) {
+  const entries = new Map();
+  const inFlight = new Map();
+
+  async function load(userId) {
+    const { data, error } = await supabase
+      .from('users')
+      .select(PROFILE_COLUMNS)
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return sanitizeUser(data);
+  }
+
+  // The user's profile, or null if the user no longer exists
+  async function get(userId) {
+    const cached = entries.get(userId);
+    if (cached && cached.expiresAt > now()) return cached.profile;
+
+    // Concurrent requests for the same user share one query
+    if (inFlight.has(userId)) return inFlight.get(userId);
+
+    const promise = load(userId)
+      .then(profile => {
+        entries.delete(userId);
+        entries.set(userId, { profile, expiresAt: now() + ttlMs });
+
+        // Map keeps insertion order, so the first key is the oldest entry
+        if (entries.size > MAX_ENTRIES) {
+          entries.delete(entries.keys().next().value);
+        }
+        return profile;
+      })
+      .finally(() => inFlight.delete(userId));
+
+    inFlight.set(userId, promise);
+    return promise;
+  }
+
+  return {
+    get,
+    invalidate: (userId) => entries.delete(userId),
+    clear: () => entries.clear()
+  };
+}
@@ -0,0 +1,128 @@
+// Gmail watch health on /admin, and bulk watch operations
+//
+// Health is per mail account: whether its watch is on and when it expires,
+// when Gmail last pushed a notification for it, the last sync error, and the
+// history lag - how far the newest history id Gmail announced is ahead of the
+// sync checkpoint. A watch that is on but hasn't been notified for days, or a
+// lag that keeps growing, means notifications are lost or not processed.
+
+import { renewAccountWatch, stopUserWatches } from './gmail-watch.js';
+import { enqueueJob } from './job-queue.js';
+
+const WATCH_HEALTH_COLUMNS = 'id, user_id, email, needs_reauth, gmail_watch_enabled, gmail_watch_expiration, gmail_watch_renewal_error, gmail_history_id, last_notification_at, last_notification_history_id, last_synced_at, last_sync_error, last_sync_error_at';
+
+export const BULK_WATCH_ACTIONS = ['renew', 'disable', 'resync'];
+export const MAX_BULK_USERS = 100;
+
+export function historyLag(account) {
+  if (!account.last_notification_history_id || !account.gmail_history_id) return null;
+  const lag = BigInt(account.last_notification_history_id) - BigInt(account.gmail_history_id);
+  return lag > 0n ? Number(lag) : 0;
+}
+
+export function describeWatchHealth(account) {
+  return {
+    id: account.id,
+    email: account.email,
+    needsReauth: account.needs_reauth === true,
+    watchEnabled: account.gmail_watch_enabled === true,
+    watchExpiresAt: account.gmail_watch_expiration ? new Date(Number(account.gmail_watch_expiration)).toISOString() : null,
+    renewalError: account.gmail_watch_renewal_error,
+    lastNotificationAt: account.last_notification_at,
+    lastSyncedAt: account.last_synced_at,
+    lastSyncError: account.last_sync_error,
+    lastSyncErrorAt: account.last_sync_error_at,
+    historyLag: historyLag(account)
+  };
+}
+
+// Health of every mail account of the given users, as a Map of user id to a list
+export async function getWatchHealth(supabase, userIds) {
+  const health = new Map(userIds.map(userId => [userId, []]));
+  if (userIds.length === 0) return health;
+
+  const { data: accounts, error } = await supabase
+    .from('mail_accounts')
+    .select(WATCH_HEALTH_COLUMNS)
+    .in('user_id', userIds)
+    .order('is_primary', { ascending: false })
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+
+  for (const account of accounts) {
+    health.get(account.user_id)?.push(describeWatchHealth(account));
+  }
+  return health;
+}
+
+// Enabled watches that run out within windowMs unless they are renewed
+export async function countExpiringWatches(supabase, windowMs, now = Date.now()) {
+  const { count, error } = await supabase
+    .from('mail_accounts')
+    .select('id', { count: 'exact', head: true })
+    .eq('gmail_watch_enabled', true)
+    .gte('gmail_watch_expiration', now)
+    .lt('gmail_watch_expiration', now + windowMs);
+
+  if (error) throw error;
+  return count;
+}
+
+// Renew, disable or resync the watches of every mail account of the given
+// users. Renewing and resyncing skip accounts that need re-authorization, and
+// renewing skips watches that are off. Resyncs are queued as mailbox_sync jobs
+// rather than run in the request. Returns one entry per account with its
+// outcome: renewed, disabled, queued, skipped or failed.
+export async function runBulkWatchAction({ supabase, getGmailClient, action, userIds }) {
+  const { data: accounts, error } = await supabase
+    .from('mail_accounts')
+    .select('id, user_id, email, needs_reauth, gmail_watch_enabled, gmail_history_id')
+    .in('user_id', userIds);
+
+  if (error) throw error;
+
+  if (action === 'disable') {
+    const results = [];
+    for (const userId of userIds) {
+      const enabled = new Set(accounts.filter(a => a.user_id === userId && a.gmail_watch_enabled).map(a => a.email));
+      const stopped = await stopUserWatches({ supabase, getGmailClient, userId });
+      for (const entry of stopped) {
+        results.push({
+          userId,
+          email: entry.email,
+          outcome: enabled.has(entry.email) ? 'disabled' : 'skipped',
+          ...(entry.error ? { error: entry.error } : {})
+        });
+      }
+    }
+    return results;
+  }
+
+  const results = [];
+  for (const account of accounts) {
+    const result = { userId: account.user_id, email: account.email };
+
+    if (account.needs_reauth) {
+      results.push({ ...result, outcome: 'skipped', error: 'Needs re-authorization' });
+      continue;
+    }
+
+    if (action === 'renew') {
+      if (!account.gmail_watch_enabled) {
+        results.push({ ...result, outcome: 'skipped', error: 'Watch is off' });
+        continue;
+      }
+      try {
+        await renewAccountWatch({ supabase, getGmailClient, account });
+        results.push({ ...result, outcome: 'renewed' });
+      } catch (renewError) {
+        results.push({ ...result, outcome: 'failed', error: renewError.message });
+      }
+    } else {
+      await enqueueJob(supabase, 'mailbox_sync', { userId: account.user_id, mailAccountId: account.id });
+      results.push({ ...result, outcome: 'queued' });
+    }
+  }
+  return results;
+}
@@ -0,0 +1,115 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_CATEGORIES,
+  createKeywordProvider,
+  classifyMessage,
+  validateClassificationSettings
+} from '../src/classification.js';
+
+// Just enough of the Supabase query builder for classifyMessage: it reads
+// classification_settings and updates the message row
+function createFakeSupabase({ settings = null } = {}) {
+  const updates = [];
+  return {
+    updates,
+    from(name) {
+      const query = {
+        select: () => query,
+        eq: () => query,
+        maybeSingle: async () => ({ data: name === 'classification_settings' ? settings : null, error: null }),
+        update: (values) => {
+          updates.push({ table: name, values });
+          return { eq: async () => ({ error: null }) };
+        }
+      };
+      return query;
+    }
+  };
+}
+
+const user = { id: 'user-1' };
+const classifier = createKeywordProvider();
+
+function message(subject, body = '') {
+  return { id: 'row-1', gmail_message_id: 'm1', subject, snippet: '', body_text: body, label_ids: ['INBOX'] };
+}
+
+describe('createKeywordProvider', () => {
+  test('scores more keyword hits higher, up to 0.9', async () => {
+    const categories = [{ name: 'receipt', keywords: ['receipt', 'invoice', 'your order', 'payment received'] }];
+
+    assert.deepEqual(await classifier.classify(message('Your receipt'), categories), { category: 'receipt', confidence: 0.5 });
+    assert.deepEqual(await classifier.classify(message('Invoice and receipt'), categories), { category: 'receipt', confidence: 0.7 });
+    assert.deepEqual(
+      await classifier.classify(message('Invoice', 'Your order: receipt, payment received'), categories),
+      { category: 'receipt', confidence: 0.9 }
+    );
+  });
+
+  test('picks the category with the most hits and ignores case', async () => {
+    const result = await classifier.classify(message('URGENT: can you let me know by Friday?'), DEFAULT_CATEGORIES);
+    assert.deepEqual(result, { category: 'needs-reply', confidence: 0.7 });
+  });
+
+  test('returns no category when nothing matches', async () => {
+    assert.deepEqual(await classifier.classify(message('Lunch'), DEFAULT_CATEGORIES), { category: null, confidence: 0 });
+  });
+
+  test('gives the same result every time', async () => {
+    const input = message('Weekly digest', 'Unsubscribe or view in browser');
+    const first = await classifier.classify(input, DEFAULT_CATEGORIES);
+    for (let i = 0; i < 5; i++) {
+      assert.deepEqual(await classifier.classify(input, DEFAULT_CATEGORIES), first);
+    }
+  });
+
+  test('skips keywords that are not text instead of throwing', async () => {
+    const categories = [{ name: 'odd', keywords: [42, null, '', { a: 1 }, 'hello'] }];
+    assert.deepEqual(await classifier.classify(message('Hello there'), categories), { category: 'odd', confidence: 0.5 });
+    assert.deepEqual(await classifier.classify(message('Anything'), categories), { category: null, confidence: 0 });
+  });
+});
+
+describe('classifyMessage', () => {
+  test('categorizes a single keyword hit with the default settings', async () => {
+    const supabase = createFakeSupabase();
+    const result = await classifyMessage({ supabase, user, message: message('Could you send the slides?'), classifier });
+
+    assert.deepEqual(result, { category: 'needs-reply', confidence: 0.5 });
+    assert.equal(supabase.updates[0].values.category, 'needs-reply');
+    assert.equal(supabase.updates[0].values.classification_provider, 'keyword');
+  });
+
+  test('leaves the message uncategorized below the user\'s threshold', async () => {
+    const supabase = createFakeSupabase({
+      settings: { enabled: true, mirror_labels: false, min_confidence: 0.6, categories: DEFAULT_CATEGORIES }
+    });
+    const result = await classifyMessage({ supabase, user, message: message('Could you send the slides?'), classifier });
+
+    assert.deepEqual(result, { category: null, confidence: 0.5 });
+    assert.equal(supabase.updates[0].values.category, null);
+    assert.equal(supabase.updates[0].values.category_confidence, 0.5);
+  });
+
+  test('does nothing when classification is off', async () => {
+    const supabase = createFakeSupabase({ settings: { enabled: false, categories: DEFAULT_CATEGORIES } });
+    assert.equal(await classifyMessage({ supabase, user, message: message('Urgent'), classifier }), null);
+    assert.equal(supabase.updates.length, 0);
+  });
+});
+
+describe('validateClassificationSettings', () => {
+  test('accepts the default categories', () => {
+    assert.deepEqual(validateClassificationSettings({ categories: DEFAULT_CATEGORIES, min_confidence: 0.5 }), []);
+  });
+
+  test('rejects keywords that are not non-empty text', () => {
+    for (const keyword of [42, null, '', '   ', 'x'.repeat(101)]) {
+      assert.deepEqual(
+        validateClassificationSettings({ categories: [{ name: 'odd', keywords: ['fine', keyword] }] }),
+        ['categories[0]: keywords must be non-empty text of at most 100 characters']
+      );
+    }
+  });
+});
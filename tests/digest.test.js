@@ -0,0 +1,297 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import https from 'https';
+import { EventEmitter } from 'events';
+import { getLatestScheduledRun, buildDigest, sendDigest, validateDigestSettings } from '../src/digest.js';
+
+// Just enough of the Supabase query builder for the digest queries.
+// latest_thread_messages is derived from messages like the view does.
+function createFakeSupabase({ messages = [], mailAccounts = [] } = {}) {
+  const tables = {
+    messages: () => messages,
+    mail_accounts: () => mailAccounts,
+    latest_thread_messages: () => {
+      const latest = new Map();
+      for (const message of messages) {
+        const key = `${message.user_id}:${message.mail_account_id}:${message.thread_id || message.gmail_message_id}`;
+        if (!latest.has(key) || latest.get(key).sent_at < message.sent_at) latest.set(key, message);
+      }
+      return [...latest.values()];
+    }
+  };
+
+  return {
+    from(name) {
+      const filters = [];
+      let sort = null;
+      let limit = Infinity;
+
+      const query = {
+        select: () => query,
+        eq: (column, value) => { filters.push(row => row[column] === value); return query; },
+        gte: (column, value) => { filters.push(row => row[column] >= value); return query; },
+        lt: (column, value) => { filters.push(row => row[column] < value); return query; },
+        not: (column, operator, value) => {
+          assert.equal(operator, 'ov');
+          const values = value.slice(1, -1).split(',');
+          filters.push(row => !(row[column] || []).some(v => values.includes(v)));
+          return query;
+        },
+        order: (column, { ascending = true } = {}) => { sort = { column, ascending }; return query; },
+        limit: (n) => { limit = n; return query; },
+        then: (resolve, reject) => {
+          let rows = tables[name]().filter(row => filters.every(filter => filter(row)));
+          if (sort) {
+            rows = rows.sort((a, b) => (a[sort.column] < b[sort.column] ? -1 : 1) * (sort.ascending ? 1 : -1));
+          }
+          return Promise.resolve({ data: rows.slice(0, limit), error: null }).then(resolve, reject);
+        }
+      };
+      return query;
+    }
+  };
+}
+
+const HOUR = 60 * 60 * 1000;
+const user = { id: 'user-1', email: 'me@example.com' };
+const now = new Date('2026-10-18T08:00:00.000Z');
+const periodEnd = now;
+const periodStart = new Date(now.getTime() - 24 * HOUR);
+const settings = { frequency: 'daily', delivery: 'mailbox', timezone: 'UTC', unanswered_hours: 48 };
+
+function message(id, { hoursAgo, from = 'Alice <alice@example.com>', thread = id, labels = ['INBOX'], subject = `Subject ${id}`, category = null }) {
+  return {
+    user_id: user.id,
+    mail_account_id: 'account-1',
+    gmail_message_id: id,
+    thread_id: thread,
+    from_address: from,
+    subject,
+    sent_at: new Date(now.getTime() - hoursAgo * HOUR).toISOString(),
+    label_ids: labels,
+    category
+  };
+}
+
+describe('getLatestScheduledRun', () => {
+  const at = (settings, iso) => getLatestScheduledRun(settings, new Date(iso))?.toISOString();
+  const berlin = { frequency: 'daily', send_hour: 8, timezone: 'Europe/Berlin' };
+  const newYork = { frequency: 'daily', timezone: 'America/New_York' };
+
+  test('uses the offset of the day itself when clocks go forward', () => {
+    // 29 March 2026: Berlin moves from UTC+1 to UTC+2
+    assert.equal(at(berlin, '2026-03-29T05:30:00Z'), '2026-03-28T07:00:00.000Z');
+    assert.equal(at(berlin, '2026-03-29T07:30:00Z'), '2026-03-29T06:00:00.000Z');
+  });
+
+  test('uses the offset of the day itself when clocks go back', () => {
+    // 25 October 2026: Berlin moves from UTC+2 to UTC+1
+    assert.equal(at(berlin, '2026-10-25T06:30:00Z'), '2026-10-24T06:00:00.000Z');
+    assert.equal(at(berlin, '2026-10-25T07:30:00Z'), '2026-10-25T07:00:00.000Z');
+  });
+
+  test('runs a skipped hour when the clocks jump', () => {
+    // 8 March 2026: New York goes from 02:00 EST straight to 03:00 EDT
+    assert.equal(at({ ...newYork, send_hour: 2 }, '2026-03-08T12:00:00Z'), '2026-03-08T07:00:00.000Z');
+    assert.equal(at({ ...newYork, send_hour: 2 }, '2026-03-07T12:00:00Z'), '2026-03-07T07:00:00.000Z');
+  });
+
+  test('runs a repeated hour at its first occurrence', () => {
+    // 1 November 2026: 01:00-02:00 happens twice in New York, first as EDT
+    assert.equal(at({ ...newYork, send_hour: 1 }, '2026-11-01T12:00:00Z'), '2026-11-01T05:00:00.000Z');
+    assert.equal(at({ ...newYork, send_hour: 1 }, '2026-11-02T12:00:00Z'), '2026-11-02T06:00:00.000Z');
+  });
+
+  test('goes back to the chosen weekday for weekly digests', () => {
+    const weekly = { frequency: 'weekly', weekday: 1, send_hour: 9, timezone: 'UTC' };
+    assert.equal(at(weekly, '2026-10-21T12:00:00Z'), '2026-10-19T09:00:00.000Z');
+    assert.equal(at(weekly, '2026-10-19T08:59:00Z'), '2026-10-12T09:00:00.000Z');
+  });
+
+  test('returns null when digests are off', () => {
+    assert.equal(getLatestScheduledRun({ frequency: 'off', send_hour: 8, timezone: 'UTC' }, now), null);
+  });
+});
+
+describe('buildDigest', () => {
+  const messages = [
+    message('m1', { hoursAgo: 2, category: 'newsletter' }),
+    message('m2', { hoursAgo: 3, from: 'bob@example.com', category: 'needs-reply' }),
+    message('m3', { hoursAgo: 4, category: 'newsletter' }),
+    message('mine', { hoursAgo: 5, from: 'Me <me@example.com>', labels: ['SENT'] }),
+    // Waiting 50 hours, so from before this daily period
+    message('old', { hoursAgo: 50, from: 'Carol <carol@example.com>', subject: 'Contract' }),
+    // Waiting, but for less than the threshold
+    message('recent', { hoursAgo: 23, from: 'Dan <dan@example.com>' }),
+    // Answered: the user's reply is the latest message of the thread
+    message('asked', { hoursAgo: 60, thread: 't-answered' }),
+    message('replied', { hoursAgo: 55, thread: 't-answered', from: 'me@example.com', labels: ['SENT'] }),
+    // Waiting, but trashed
+    message('trashed', { hoursAgo: 70, labels: ['TRASH'] }),
+    // Another user's mail
+    { ...message('other', { hoursAgo: 60 }), user_id: 'user-2' }
+  ];
+
+  test('summarizes the period and lists threads waiting longer than the threshold', async () => {
+    const digest = await buildDigest({ supabase: createFakeSupabase({ messages }), user, settings, periodStart, periodEnd, now });
+
+    // The user's own message doesn't count
+    assert.equal(digest.totalMessages, 4);
+    assert.equal(digest.uniqueSenders, 3);
+    assert.deepEqual(digest.byCategory, { newsletter: 2, 'needs-reply': 1, uncategorized: 1 });
+    assert.deepEqual(digest.topSenders, [
+      { sender: 'alice@example.com', count: 2 },
+      { sender: 'bob@example.com', count: 1 },
+      { sender: 'dan@example.com', count: 1 }
+    ]);
+
+    assert.equal(digest.unansweredHours, 48);
+    assert.equal(digest.unansweredTotal, 1);
+    assert.equal(digest.unansweredThreads[0].subject, 'Contract');
+    assert.equal(digest.unansweredThreads[0].from, 'Carol <carol@example.com>');
+  });
+
+  test('uses the user\'s threshold', async () => {
+    const digest = await buildDigest({
+      supabase: createFakeSupabase({ messages }),
+      user,
+      settings: { ...settings, unanswered_hours: 12 },
+      periodStart,
+      periodEnd,
+      now
+    });
+
+    assert.deepEqual(digest.unansweredThreads.map(t => t.subject).sort(), ['Contract', 'Subject recent']);
+  });
+
+  test('counts mail from any of the user\'s linked accounts as theirs', async () => {
+    const mailAccounts = [
+      { id: 'account-1', user_id: user.id, email: 'me@example.com', is_primary: true },
+      { id: 'account-2', user_id: user.id, email: 'Me@Work.example.com', is_primary: false }
+    ];
+    const digest = await buildDigest({
+      supabase: createFakeSupabase({
+        mailAccounts,
+        messages: [
+          ...messages,
+          // Answered from the work address, seen in the personal mailbox without SENT
+          message('reply-from-work', { hoursAgo: 49, thread: 'old', from: 'Me <me@work.example.com>' }),
+          message('cc-from-work', { hoursAgo: 1, from: 'me@work.example.com' })
+        ]
+      }),
+      user,
+      settings,
+      periodStart,
+      periodEnd,
+      now
+    });
+
+    assert.equal(digest.totalMessages, 4);
+    assert.equal(digest.unansweredTotal, 0);
+  });
+});
+
+describe('sendDigest', () => {
+  // Webhooks are posted with https.request (see outbound-webhook.js)
+  function stubWebhook(t, statusCode) {
+    const requests = [];
+    t.mock.method(https, 'request', (url, options, callback) => {
+      const request = new EventEmitter();
+      request.end = (body) => {
+        requests.push({ url, body: JSON.parse(body) });
+        process.nextTick(() => callback({ statusCode, resume: () => {} }));
+      };
+      return request;
+    });
+    return requests;
+  }
+
+  function createStubGmail() {
+    const inserted = [];
+    return {
+      inserted,
+      users: { messages: { insert: async (request) => { inserted.push(request); return { data: { id: 'digest' } }; } } }
+    };
+  }
+
+  test('inserts the digest into the user\'s inbox', async () => {
+    const gmail = createStubGmail();
+    const supabase = createFakeSupabase({
+      messages: [
+        message('m1', { hoursAgo: 2, subject: '<b>Hello</b>' }),
+        message('old', { hoursAgo: 50, subject: 'Waiting <script>' })
+      ]
+    });
+
+    const digest = await sendDigest({ supabase, gmail, user, settings, periodStart, periodEnd, now });
+
+    assert.equal(digest.totalMessages, 1);
+    assert.equal(gmail.inserted.length, 1);
+
+    const { userId, requestBody } = gmail.inserted[0];
+    assert.equal(userId, 'me');
+    assert.deepEqual(requestBody.labelIds, ['INBOX', 'UNREAD']);
+
+    const mime = Buffer.from(requestBody.raw, 'base64url').toString('utf8');
+    assert.match(mime, /^To: me@example\.com$/m);
+    assert.match(mime, /^Subject: Your daily mail digest: 1 messages, 1 waiting$/m);
+    assert.match(mime, new RegExp(`^Date: ${now.toUTCString()}$`, 'm'));
+
+    const html = Buffer.from(mime.split('\r\n\r\n')[1].replace(/\r\n/g, ''), 'base64').toString('utf8');
+    assert.match(html, /Waiting &lt;script&gt;/);
+    assert.doesNotMatch(html, /<script>/);
+  });
+
+  test('posts the digest to the webhook instead when chosen', async (t) => {
+    const requests = stubWebhook(t, 204);
+
+    const gmail = createStubGmail();
+    await sendDigest({
+      supabase: createFakeSupabase({ messages: [message('m1', { hoursAgo: 2 })] }),
+      gmail,
+      user,
+      settings: { ...settings, delivery: 'webhook', webhook_url: 'https://hooks.example.com/digest' },
+      periodStart,
+      periodEnd,
+      now
+    });
+
+    assert.equal(gmail.inserted.length, 0);
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].url, 'https://hooks.example.com/digest');
+    assert.equal(requests[0].body.user.email, 'me@example.com');
+    assert.equal(requests[0].body.digest.totalMessages, 1);
+  });
+
+  test('fails when the webhook does', async (t) => {
+    stubWebhook(t, 500);
+
+    await assert.rejects(
+      sendDigest({
+        supabase: createFakeSupabase(),
+        gmail: createStubGmail(),
+        user,
+        settings: { ...settings, delivery: 'webhook', webhook_url: 'https://hooks.example.com/digest' },
+        periodStart,
+        periodEnd,
+        now
+      }),
+      /HTTP 500/
+    );
+  });
+});
+
+describe('validateDigestSettings', () => {
+  const webhook = (url) => validateDigestSettings({ ...settings, frequency: 'daily', send_hour: 8, delivery: 'webhook', webhook_url: url });
+
+  test('accepts a public https webhook', () => {
+    assert.deepEqual(webhook('https://hooks.example.com/digest'), []);
+  });
+
+  test('refuses webhooks on internal hosts', () => {
+    for (const url of ['https://localhost/digest', 'https://169.254.169.254/latest', 'https://10.0.0.5/', 'https://[::1]/']) {
+      assert.deepEqual(webhook(url), ['webhook_url must point to a public host']);
+    }
+    assert.deepEqual(webhook('http://hooks.example.com/digest'), ['webhook_url must use https']);
+  });
+});
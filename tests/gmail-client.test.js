@@ -0,0 +1,136 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { google } from 'googleapis';
+import { createGmailClientFactory, NEEDS_REAUTH } from '../src/gmail-client.js';
+
+// The factory hooks into google-auth-library's OAuth2Client.refreshTokenNoCache
+// (see gmail-client.js). These tests stub that method, so they also catch the
+// library no longer going through it.
+
+// Just enough of the Supabase query builder for mail_accounts reads and updates
+function createFakeSupabase(accounts) {
+  const updates = [];
+  return {
+    updates,
+    from() {
+      const filters = [];
+      let values = null;
+
+      const query = {
+        select: () => query,
+        update: (fields) => { values = fields; return query; },
+        eq: (column, value) => {
+          filters.push(row => row[column] === value);
+          // An update is awaited straight after its eq
+          if (values) {
+            const row = accounts.find(r => filters.every(f => f(r)));
+            Object.assign(row, values);
+            updates.push({ id: row.id, values });
+            return Promise.resolve({ error: null });
+          }
+          return query;
+        },
+        single: async () => ({ data: { ...accounts.find(r => filters.every(f => f(r))) }, error: null })
+      };
+      return query;
+    }
+  };
+}
+
+function expiredAccount(id = 'account-1') {
+  return {
+    id,
+    access_token: 'old-access',
+    refresh_token: 'refresh-1',
+    token_expiry: new Date(Date.now() - 60 * 1000).toISOString(),
+    needs_reauth: false,
+    needs_reauth_reason: null
+  };
+}
+
+const authOf = (gmail) => gmail.context._options.auth;
+
+describe('createGmailClientFactory', () => {
+  beforeEach((t) => {
+    // No TOKEN_ENCRYPTION_KEYS here, so tokens are stored as they are
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'log', () => {});
+  });
+
+  test('concurrent callers for one account share a single refresh', async (t) => {
+    const expiryDate = Date.now() + 60 * 60 * 1000;
+    const refresh = t.mock.method(google.auth.OAuth2.prototype, 'refreshTokenNoCache', async () => {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      return { tokens: { access_token: 'new-access', expiry_date: expiryDate, token_type: 'Bearer' }, res: null };
+    });
+
+    const supabase = createFakeSupabase([expiredAccount()]);
+    const getGmailClient = createGmailClientFactory({ supabase });
+
+    // Two requests, each with its own client for the same account
+    const clients = [await getGmailClient('account-1'), await getGmailClient('account-1')];
+    const results = await Promise.all([
+      authOf(clients[0]).getAccessToken(),
+      authOf(clients[1]).getAccessToken(),
+      authOf(clients[0]).getAccessToken()
+    ]);
+
+    assert.equal(refresh.mock.callCount(), 1);
+    assert.equal(refresh.mock.calls[0].arguments[0], 'refresh-1');
+    assert.deepEqual(results.map(r => r.token), ['new-access', 'new-access', 'new-access']);
+
+    // The real expiry from Google is stored, not a guess
+    assert.deepEqual(supabase.updates, [
+      { id: 'account-1', values: { access_token: 'new-access', token_expiry: new Date(expiryDate).toISOString() } }
+    ]);
+    assert.equal(authOf(clients[1]).credentials.expiry_date, expiryDate);
+  });
+
+  test('keeps a refresh token that Google rotated', async (t) => {
+    t.mock.method(google.auth.OAuth2.prototype, 'refreshTokenNoCache', async () => ({
+      tokens: { access_token: 'new-access', refresh_token: 'refresh-2', expiry_date: Date.now() + 60 * 60 * 1000 },
+      res: null
+    }));
+
+    const supabase = createFakeSupabase([expiredAccount()]);
+    await authOf(await createGmailClientFactory({ supabase })('account-1')).getAccessToken();
+
+    assert.equal(supabase.updates[0].values.refresh_token, 'refresh-2');
+  });
+
+  test('uses a token another instance stored instead of refreshing again', async (t) => {
+    const refresh = t.mock.method(google.auth.OAuth2.prototype, 'refreshTokenNoCache', async () => {
+      throw new Error('should not refresh');
+    });
+
+    const accounts = [expiredAccount()];
+    const supabase = createFakeSupabase(accounts);
+    const gmail = await createGmailClientFactory({ supabase })('account-1');
+
+    // Refreshed elsewhere after this client was created
+    Object.assign(accounts[0], { access_token: 'fresh-elsewhere', token_expiry: new Date(Date.now() + 30 * 60 * 1000).toISOString() });
+
+    assert.equal((await authOf(gmail).getAccessToken()).token, 'fresh-elsewhere');
+    assert.equal(refresh.mock.callCount(), 0);
+  });
+
+  test('flags the account when Google rejects the grant', async (t) => {
+    t.mock.method(google.auth.OAuth2.prototype, 'refreshTokenNoCache', async () => {
+      const error = new Error('invalid_grant');
+      error.response = { data: { error: 'invalid_grant', error_description: 'Token has been expired or revoked.' } };
+      throw error;
+    });
+
+    const accounts = [expiredAccount()];
+    const supabase = createFakeSupabase(accounts);
+    const getGmailClient = createGmailClientFactory({ supabase });
+
+    await assert.rejects(authOf(await getGmailClient('account-1')).getAccessToken(), { code: NEEDS_REAUTH });
+    assert.equal(accounts[0].needs_reauth, true);
+    assert.equal(accounts[0].needs_reauth_reason, 'Token has been expired or revoked.');
+    assert.equal(accounts[0].gmail_watch_enabled, false);
+
+    // From then on it fails fast, without calling Google
+    await assert.rejects(getGmailClient('account-1'), { code: NEEDS_REAUTH });
+  });
+});
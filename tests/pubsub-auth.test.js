@@ -0,0 +1,188 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { createJwksKeyResolver, verifyPubSubToken, createPubSubAuthMiddleware } from '../src/pubsub-auth.js';
+
+const audience = 'https://mail.example.com/webhook/gmail';
+const serviceAccountEmail = 'pubsub-push@example.iam.gserviceaccount.com';
+const now = Date.parse('2026-10-18T08:00:00Z');
+const nowSeconds = Math.floor(now / 1000);
+
+function createSigningKey(kid) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  return { kid, privateKey, jwk: { ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' } };
+}
+
+const googleKey = createSigningKey('google-key');
+const otherKey = createSigningKey('other-key');
+const getKey = createJwksKeyResolver({ keys: [googleKey.jwk] });
+
+function sign({ privateKey, kid }, overrides = {}) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const header = encode({ alg: 'RS256', kid, typ: 'JWT' });
+  const payload = encode({
+    iss: 'https://accounts.google.com',
+    aud: audience,
+    email: serviceAccountEmail,
+    email_verified: true,
+    iat: nowSeconds - 10,
+    exp: nowSeconds + 3600,
+    ...overrides
+  });
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), privateKey).toString('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+const verify = (token) => verifyPubSubToken(token, { audience, serviceAccountEmail, getKey, now });
+
+describe('verifyPubSubToken', () => {
+  test('returns the claims of a valid token', async () => {
+    const claims = await verify(sign(googleKey));
+    assert.equal(claims.email, serviceAccountEmail);
+    assert.equal(claims.aud, audience);
+  });
+
+  test('rejects an expired token', async () => {
+    await assert.rejects(verify(sign(googleKey, { iat: nowSeconds - 7200, exp: nowSeconds - 3600 })), /Token expired/);
+  });
+
+  test('accepts a token expired by less than the clock skew', async () => {
+    await verify(sign(googleKey, { exp: nowSeconds - 30 }));
+  });
+
+  test('rejects a token for another audience', async () => {
+    await assert.rejects(verify(sign(googleKey, { aud: 'https://elsewhere.example.com/' })), /Invalid audience/);
+  });
+
+  test('rejects a token for another service account', async () => {
+    await assert.rejects(verify(sign(googleKey, { email: 'someone@example.com' })), /Invalid service account/);
+    await assert.rejects(verify(sign(googleKey, { email_verified: false })), /Invalid service account/);
+  });
+
+  test('rejects a token from another issuer', async () => {
+    await assert.rejects(verify(sign(googleKey, { iss: 'https://evil.example.com' })), /Invalid issuer/);
+  });
+
+  test('rejects a bad signature', async () => {
+    // Signed by another key but claiming Google's kid
+    await assert.rejects(verify(sign({ ...otherKey, kid: googleKey.kid })), /Invalid token signature/);
+
+    // Claims changed after signing
+    const [header, , signature] = sign(googleKey).split('.');
+    const payload = Buffer.from(JSON.stringify({ aud: audience, email: 'someone@example.com' })).toString('base64url');
+    await assert.rejects(verify(`${header}.${payload}.${signature}`), /Invalid token signature/);
+  });
+
+  test('rejects a key that is not in the JWKS', async () => {
+    await assert.rejects(verify(sign(otherKey)), /Unknown signing key: other-key/);
+  });
+
+  test('rejects anything other than RS256', async () => {
+    const header = Buffer.from(JSON.stringify({ alg: 'none', kid: googleKey.kid })).toString('base64url');
+    const payload = sign(googleKey).split('.')[1];
+    await assert.rejects(verify(`${header}.${payload}.`), /Unsupported token algorithm: none/);
+  });
+
+  test('rejects a malformed token', async () => {
+    await assert.rejects(verify('not-a-jwt'), /Malformed token/);
+  });
+});
+
+describe('createJwksKeyResolver', () => {
+  const jwksUrl = 'https://keys.example.com/certs';
+
+  function stubJwksFetch(t, keys = [googleKey.jwk]) {
+    return t.mock.method(globalThis, 'fetch', async () => Response.json({ keys }));
+  }
+
+  test('fetches the keys once and serves them from the cache', async (t) => {
+    const fetchMock = stubJwksFetch(t);
+    const resolve = createJwksKeyResolver(jwksUrl);
+
+    assert.ok(await resolve(googleKey.kid));
+    assert.ok(await resolve(googleKey.kid));
+    assert.equal(fetchMock.mock.callCount(), 1);
+    assert.equal(fetchMock.mock.calls[0].arguments[0], jwksUrl);
+  });
+
+  test('shares one fetch between concurrent requests', async (t) => {
+    const fetchMock = stubJwksFetch(t);
+    const resolve = createJwksKeyResolver(jwksUrl);
+
+    await Promise.all([resolve(googleKey.kid), resolve('unknown'), resolve(googleKey.kid)]);
+    assert.equal(fetchMock.mock.callCount(), 1);
+  });
+
+  test('refetches for unknown kids at most once a minute', async (t) => {
+    const fetchMock = stubJwksFetch(t);
+    let clock = now;
+    const resolve = createJwksKeyResolver(jwksUrl, { now: () => clock });
+
+    await resolve(googleKey.kid);
+    for (let i = 0; i < 10; i++) {
+      assert.equal(await resolve(`forged-${i}`), null);
+    }
+    assert.equal(fetchMock.mock.callCount(), 1);
+
+    // A rotated key shows up once the minute is over
+    fetchMock.mock.mockImplementation(async () => Response.json({ keys: [googleKey.jwk, otherKey.jwk] }));
+    clock += 61 * 1000;
+    assert.ok(await resolve(otherKey.kid));
+    assert.equal(fetchMock.mock.callCount(), 2);
+  });
+
+  test('refetches once the cache is an hour old', async (t) => {
+    const fetchMock = stubJwksFetch(t);
+    let clock = now;
+    const resolve = createJwksKeyResolver(jwksUrl, { now: () => clock });
+
+    await resolve(googleKey.kid);
+    clock += 59 * 60 * 1000;
+    await resolve(googleKey.kid);
+    clock += 2 * 60 * 1000;
+    await resolve(googleKey.kid);
+    assert.equal(fetchMock.mock.callCount(), 2);
+  });
+
+  test('does not retry a failed fetch for every request', async (t) => {
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 503 }));
+    const resolve = createJwksKeyResolver(jwksUrl, { now: () => now });
+
+    await assert.rejects(resolve(googleKey.kid), /Failed to fetch JWKS: HTTP 503/);
+    assert.equal(await resolve(googleKey.kid), null);
+    assert.equal(fetchMock.mock.callCount(), 1);
+  });
+});
+
+describe('createPubSubAuthMiddleware', () => {
+  async function run(middleware, req) {
+    const result = { status: null, next: false };
+    const res = { status: (code) => { result.status = code; return { send: () => {} }; } };
+    await middleware({ query: {}, headers: {}, ...req }, res, () => { result.next = true; });
+    return result;
+  }
+
+  test('passes requests with a valid bearer token and keeps the claims', async () => {
+    const middleware = createPubSubAuthMiddleware({ mode: 'oidc', audience, serviceAccountEmail, getKey });
+    const req = { headers: { authorization: `Bearer ${sign(googleKey, { iat: undefined, exp: Math.floor(Date.now() / 1000) + 3600 })}` } };
+
+    assert.deepEqual(await run(middleware, req), { status: null, next: true });
+  });
+
+  test('answers 401 without a valid token', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const middleware = createPubSubAuthMiddleware({ mode: 'oidc', audience, serviceAccountEmail, getKey });
+
+    assert.deepEqual(await run(middleware, {}), { status: 401, next: false });
+    assert.deepEqual(await run(middleware, { headers: { authorization: `Bearer ${sign(otherKey)}` } }), { status: 401, next: false });
+  });
+
+  test('compares the shared secret in token mode', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const middleware = createPubSubAuthMiddleware({ mode: 'token', verificationToken: 's3cret' });
+
+    assert.deepEqual(await run(middleware, { query: { token: 's3cret' } }), { status: null, next: true });
+    assert.deepEqual(await run(middleware, { query: { token: 'guess' } }), { status: 401, next: false });
+    assert.deepEqual(await run(middleware, {}), { status: 401, next: false });
+  });
+});
@@ -0,0 +1,187 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createStubReplyGenerator,
+  createReplyDraft,
+  discardReplyDraft,
+  buildReplyMime,
+  shouldDraftReply
+} from '../src/reply-drafts.js';
+
+// Just enough of the Supabase query builder for reply_drafts, with its unique
+// (mail_account_id, gmail_message_id) index
+function createFakeSupabase(rows = []) {
+  let nextId = rows.length + 1;
+  return {
+    rows,
+    from() {
+      const filters = [];
+      let operation = null;
+
+      const query = {
+        select: () => query,
+        eq: (column, value) => { filters.push(row => row[column] === value); return query; },
+        insert: (newRows) => { operation = { type: 'insert', rows: newRows }; return query; },
+        update: (values) => { operation = { type: 'update', values }; return query; },
+        maybeSingle: async () => ({ data: rows.find(row => filters.every(f => f(row))) || null, error: null }),
+        single: async () => {
+          if (operation?.type === 'insert') {
+            const [row] = operation.rows;
+            if (rows.some(r => r.mail_account_id === row.mail_account_id && r.gmail_message_id === row.gmail_message_id)) {
+              return { data: null, error: { code: '23505', message: 'duplicate key value' } };
+            }
+            const inserted = { id: `draft-${nextId++}`, gmail_draft_id: null, ...row };
+            rows.push(inserted);
+            return { data: inserted, error: null };
+          }
+          const row = rows.find(r => filters.every(f => f(r)));
+          Object.assign(row, operation.values);
+          return { data: row, error: null };
+        }
+      };
+      return query;
+    }
+  };
+}
+
+function createStubGmail({ failCreate = false } = {}) {
+  const created = [];
+  const deleted = [];
+  return {
+    created,
+    deleted,
+    users: {
+      threads: { get: async () => ({ data: { messages: [] } }) },
+      drafts: {
+        create: async (request) => {
+          if (failCreate) throw new Error('Gmail is down');
+          created.push(request);
+          return { data: { id: `gmail-draft-${created.length}` } };
+        },
+        delete: async ({ id }) => {
+          deleted.push(id);
+          const error = new Error('Not Found');
+          error.code = 404;
+          throw error;
+        }
+      }
+    }
+  };
+}
+
+const user = { id: 'user-1', email: 'me@example.com' };
+const account = { id: 'account-1', user_id: user.id, email: 'me@example.com' };
+const generator = createStubReplyGenerator();
+const message = {
+  gmail_message_id: 'm1',
+  thread_id: 't1',
+  from_address: 'Jane Doe <jane@example.com>',
+  subject: 'Slides',
+  label_ids: ['INBOX'],
+  headers: [{ name: 'Message-ID', value: '<abc@example.com>' }]
+};
+
+describe('createReplyDraft', () => {
+  test('saves the stub reply as a Gmail draft on the thread', async () => {
+    const supabase = createFakeSupabase();
+    const gmail = createStubGmail();
+
+    const draft = await createReplyDraft({ gmail, supabase, user, account, message, generator });
+
+    assert.equal(gmail.created.length, 1);
+    assert.equal(gmail.created[0].requestBody.message.threadId, 't1');
+    assert.equal(draft.status, 'pending');
+    assert.equal(draft.gmail_draft_id, 'gmail-draft-1');
+    assert.equal(draft.subject, 'Re: Slides');
+    assert.equal(draft.generator, 'stub');
+    assert.match(draft.body, /^Hi Jane,\n\nThanks for your message about "Slides"/);
+  });
+
+  test('does not create a second Gmail draft when the message is processed again', async () => {
+    const supabase = createFakeSupabase();
+    const gmail = createStubGmail();
+
+    const first = await createReplyDraft({ gmail, supabase, user, account, message, generator });
+    const second = await createReplyDraft({ gmail, supabase, user, account, message, generator });
+
+    assert.equal(gmail.created.length, 1);
+    assert.equal(supabase.rows.length, 1);
+    assert.equal(second.id, first.id);
+  });
+
+  test('finishes a draft whose Gmail draft could not be created', async () => {
+    const supabase = createFakeSupabase();
+
+    await assert.rejects(
+      createReplyDraft({ gmail: createStubGmail({ failCreate: true }), supabase, user, account, message, generator }),
+      /Gmail is down/
+    );
+    assert.equal(supabase.rows[0].status, 'drafting');
+
+    const gmail = createStubGmail();
+    const draft = await createReplyDraft({ gmail, supabase, user, account, message, generator });
+
+    assert.equal(gmail.created.length, 1);
+    assert.equal(supabase.rows.length, 1);
+    assert.equal(draft.status, 'pending');
+    assert.equal(draft.gmail_draft_id, 'gmail-draft-1');
+  });
+
+  test('leaves the message to a sync that claimed it first', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const supabase = createFakeSupabase();
+    const gmail = createStubGmail();
+
+    // The other sync inserts its row between our lookup and our insert
+    const from = supabase.from;
+    let lookups = 0;
+    supabase.from = (table) => {
+      const query = from(table);
+      const maybeSingle = query.maybeSingle;
+      query.maybeSingle = async () => {
+        const result = await maybeSingle();
+        if (lookups++ === 0) {
+          supabase.rows.push({ id: 'other', mail_account_id: account.id, gmail_message_id: 'm1', status: 'drafting' });
+        }
+        return result;
+      };
+      return query;
+    };
+
+    assert.equal(await createReplyDraft({ gmail, supabase, user, account, message, generator }), null);
+    assert.equal(gmail.created.length, 0);
+  });
+});
+
+describe('discardReplyDraft', () => {
+  test('marks the draft discarded when Gmail no longer has it', async () => {
+    const supabase = createFakeSupabase([
+      { id: 'd1', user_id: user.id, mail_account_id: account.id, gmail_message_id: 'm1', gmail_draft_id: 'g1', status: 'pending' }
+    ]);
+    const gmail = createStubGmail();
+
+    const draft = await discardReplyDraft({ gmail, supabase, account, draftId: 'd1' });
+
+    assert.deepEqual(gmail.deleted, ['g1']);
+    assert.equal(draft.status, 'discarded');
+  });
+});
+
+describe('buildReplyMime', () => {
+  test('threads the reply onto the original message', () => {
+    const raw = buildReplyMime({ message, from: account.email, to: message.from_address, subject: 'Re: Slides', body: 'Sure' });
+    const mime = Buffer.from(raw, 'base64url').toString('utf8');
+
+    assert.match(mime, /^In-Reply-To: <abc@example\.com>$/m);
+    assert.match(mime, /^References: <abc@example\.com>$/m);
+    assert.match(mime, /^To: Jane Doe <jane@example\.com>$/m);
+  });
+});
+
+describe('shouldDraftReply', () => {
+  test('skips the user\'s own mail and no-reply senders', () => {
+    assert.equal(shouldDraftReply(message, account), true);
+    assert.equal(shouldDraftReply({ ...message, from_address: 'Me <me@example.com>' }, account), false);
+    assert.equal(shouldDraftReply({ ...message, from_address: 'no-reply@shop.example.com' }, account), false);
+  });
+});
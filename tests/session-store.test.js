@@ -0,0 +1,149 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { promisify } from 'util';
+import { SessionStore, createMemorySessionBackend, hashSessionId } from '../src/session-store.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// A store on the memory backend with a clock the test moves forward
+function createStore({ ttlMs = 24 * HOUR, touchAfterMs = 5 * MINUTE } = {}) {
+  const clock = { now: Date.parse('2026-10-18T08:00:00Z') };
+  const now = () => clock.now;
+  const backend = createMemorySessionBackend({ now });
+  const store = new SessionStore({ backend, ttlMs, touchAfterMs, now });
+
+  return {
+    clock,
+    backend,
+    store,
+    get: promisify(store.get.bind(store)),
+    set: promisify(store.set.bind(store)),
+    touch: promisify(store.touch.bind(store)),
+    destroy: promisify(store.destroy.bind(store))
+  };
+}
+
+function sessionFor(userId, extra = {}) {
+  return { cookie: {}, passport: { user: userId }, ...extra };
+}
+
+describe('SessionStore with the memory backend', () => {
+  test('stores sessions under the hash of their id', async () => {
+    const { backend, set, get } = createStore();
+
+    await set('sid-1', sessionFor('user-1', { client: { ip: '203.0.113.7', userAgent: 'Firefox' } }));
+
+    assert.deepEqual([...backend.rows.keys()], [hashSessionId('sid-1')]);
+    assert.match(hashSessionId('sid-1'), /^[0-9a-f]{64}$/);
+    assert.ok(!backend.rows.has('sid-1'));
+
+    const row = backend.rows.get(hashSessionId('sid-1'));
+    assert.equal(row.userId, 'user-1');
+    assert.equal(row.ip, '203.0.113.7');
+    assert.equal(row.userAgent, 'Firefox');
+
+    assert.deepEqual((await get('sid-1')).passport, { user: 'user-1' });
+    assert.equal(await get('unknown'), null);
+  });
+
+  test('keeps a copy, not the session object itself', async () => {
+    const { set, get } = createStore();
+    const sess = sessionFor('user-1');
+
+    await set('sid-1', sess);
+    sess.passport.user = 'someone-else';
+
+    assert.equal((await get('sid-1')).passport.user, 'user-1');
+  });
+
+  test('expires sessions after the ttl, or at the cookie\'s expiry', async () => {
+    const { clock, set, get } = createStore({ ttlMs: HOUR });
+
+    await set('default-ttl', sessionFor('user-1'));
+    await set('cookie-expiry', sessionFor('user-1', { cookie: { expires: new Date(clock.now + 2 * HOUR).toISOString() } }));
+
+    clock.now += HOUR - 1;
+    assert.ok(await get('default-ttl'));
+
+    clock.now += 1;
+    assert.equal(await get('default-ttl'), null);
+    assert.ok(await get('cookie-expiry'));
+
+    clock.now += HOUR;
+    assert.equal(await get('cookie-expiry'), null);
+  });
+
+  test('only writes a touch once touchAfterMs has passed', async () => {
+    const { clock, backend, set, touch, get } = createStore({ ttlMs: HOUR, touchAfterMs: 5 * MINUTE });
+    const row = () => backend.rows.get(hashSessionId('sid-1'));
+
+    await set('sid-1', sessionFor('user-1'));
+    const firstExpiry = row().expiresAt.getTime();
+
+    clock.now += 4 * MINUTE;
+    await touch('sid-1', sessionFor('user-1'));
+    assert.equal(row().expiresAt.getTime(), firstExpiry);
+
+    clock.now += 2 * MINUTE;
+    await touch('sid-1', sessionFor('user-1'));
+    assert.equal(row().expiresAt.getTime(), clock.now + HOUR);
+    assert.equal(row().lastSeenAt.getTime(), clock.now);
+
+    // Touching kept it alive past its first expiry
+    clock.now = firstExpiry + MINUTE;
+    assert.ok(await get('sid-1'));
+  });
+
+  test('destroys a session', async () => {
+    const { store, backend, set, get, destroy } = createStore();
+
+    await set('sid-1', sessionFor('user-1'));
+    await destroy('sid-1');
+
+    assert.equal(await get('sid-1'), null);
+    assert.equal(backend.rows.size, 0);
+    assert.ok(!store.lastTouched.has('sid-1'));
+  });
+
+  test('prunes expired sessions only', async () => {
+    const { clock, store, backend, set } = createStore({ ttlMs: HOUR });
+
+    await set('old', sessionFor('user-1'));
+    clock.now += 30 * MINUTE;
+    await set('new', sessionFor('user-1'));
+    clock.now += 45 * MINUTE;
+
+    assert.equal(await store.prune(), 1);
+    assert.deepEqual([...backend.rows.keys()], [hashSessionId('new')]);
+    assert.equal(await store.prune(), 0);
+  });
+
+  test('lists a user\'s live sessions without their tokens and signs them out', async () => {
+    const { clock, store, set, get } = createStore();
+
+    await set('laptop', sessionFor('user-1', { client: { userAgent: 'Laptop' } }));
+    clock.now += MINUTE;
+    await set('phone', sessionFor('user-1', { client: { userAgent: 'Phone' } }));
+    clock.now += MINUTE;
+    await set('tablet', sessionFor('user-1', { client: { userAgent: 'Tablet' } }));
+    await set('other-user', sessionFor('user-2'));
+
+    const sessions = await store.listUserSessions('user-1', 'phone');
+    assert.deepEqual(sessions.map(s => [s.userAgent, s.current]), [['Tablet', false], ['Phone', true], ['Laptop', false]]);
+    assert.ok(sessions.every(s => !('token' in s)));
+
+    const laptop = sessions.find(s => s.userAgent === 'Laptop');
+    assert.equal(await store.revokeUserSession('user-2', laptop.id), false);
+    assert.equal(await store.revokeUserSession('user-1', laptop.id), true);
+    assert.equal(await get('laptop'), null);
+
+    assert.equal(await store.revokeAllUserSessions('user-1', { exceptSid: 'phone' }), 1);
+    assert.ok(await get('phone'));
+    assert.equal(await get('tablet'), null);
+    assert.ok(await get('other-user'));
+
+    assert.equal(await store.revokeAllUserSessions('user-1'), 1);
+    assert.deepEqual(await store.listUserSessions('user-1'), []);
+  });
+});
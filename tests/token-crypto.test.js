@@ -0,0 +1,213 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import {
+  loadKeyring,
+  encryptToken,
+  decryptToken,
+  isEncryptedToken,
+  getTokenKeyId,
+  encryptTokenFields,
+  decryptTokenFields,
+  reencryptStoredTokens
+} from '../src/token-crypto.js';
+
+const oldKey = crypto.randomBytes(32);
+const newKey = crypto.randomBytes(32);
+const keyring = loadKeyring({ TOKEN_ENCRYPTION_KEYS: `old:${oldKey.toString('base64')}` });
+const rotated = loadKeyring({
+  TOKEN_ENCRYPTION_KEYS: `old:${oldKey.toString('base64')},new:${newKey.toString('hex')}`,
+  TOKEN_ENCRYPTION_KEY_ID: 'new'
+});
+
+// Just enough of the Supabase query builder for reencryptStoredTokens: keyset
+// paging over mail_accounts and updates guarded by eq filters.
+// `beforeUpdate` runs just before an update is matched, to simulate a
+// concurrent write.
+function createFakeSupabase(accounts, { beforeUpdate } = {}) {
+  return {
+    accounts,
+    from() {
+      const filters = [];
+      let update = null;
+      let limit = Infinity;
+
+      const run = () => {
+        if (update) beforeUpdate?.();
+        let rows = accounts.filter(row => filters.every(filter => filter(row)));
+        if (update) {
+          rows.forEach(row => Object.assign(row, update));
+          return rows.map(row => ({ id: row.id }));
+        }
+        rows = [...rows].sort((a, b) => a.id.localeCompare(b.id)).slice(0, limit);
+        return rows.map(row => ({ ...row }));
+      };
+
+      const query = {
+        select: () => query,
+        update: (values) => { update = values; return query; },
+        eq: (column, value) => { filters.push(row => row[column] === value); return query; },
+        gt: (column, value) => { filters.push(row => row[column] > value); return query; },
+        order: () => query,
+        limit: (n) => { limit = n; return query; },
+        then: (resolve, reject) => Promise.resolve({ data: run(), error: null }).then(resolve, reject)
+      };
+      return query;
+    }
+  };
+}
+
+describe('encryptToken / decryptToken', () => {
+  test('round-trips a token under the active key', () => {
+    const encrypted = encryptToken('ya29.secret-token', keyring);
+
+    assert.ok(isEncryptedToken(encrypted));
+    assert.match(encrypted, /^enc:v1:old:[\w-]+:[\w-]+$/);
+    assert.equal(getTokenKeyId(encrypted), 'old');
+    assert.ok(!encrypted.includes('secret-token'));
+    assert.equal(decryptToken(encrypted, keyring), 'ya29.secret-token');
+  });
+
+  test('uses a fresh data key and iv for every value', () => {
+    assert.notEqual(encryptToken('same', keyring), encryptToken('same', keyring));
+  });
+
+  test('leaves null, plaintext reads and already encrypted values alone', () => {
+    const encrypted = encryptToken('token', keyring);
+
+    assert.equal(encryptToken(null, keyring), null);
+    assert.equal(encryptToken(encrypted, keyring), encrypted);
+    assert.equal(decryptToken('plain-token', keyring), 'plain-token');
+    assert.equal(decryptToken(null, keyring), null);
+  });
+
+  test('fails with the wrong key or a missing key id', () => {
+    const encrypted = encryptToken('token', keyring);
+    const wrongKeyring = loadKeyring({ TOKEN_ENCRYPTION_KEYS: `old:${crypto.randomBytes(32).toString('base64')}` });
+
+    assert.throws(() => decryptToken(encrypted, wrongKeyring), /unable to authenticate data/);
+    assert.throws(
+      () => decryptToken(encrypted, loadKeyring({ TOKEN_ENCRYPTION_KEYS: `other:${oldKey.toString('base64')}` })),
+      /Token encryption key "old" is not configured/
+    );
+    assert.throws(() => decryptToken(encrypted, null), /is not configured/);
+  });
+
+  test('detects tampering with the ciphertext or the wrapped key', () => {
+    const parts = encryptToken('token', keyring).split(':');
+    const flip = (value) => {
+      const data = Buffer.from(value, 'base64url');
+      data[data.length - 1] ^= 1;
+      return data.toString('base64url');
+    };
+
+    assert.throws(() => decryptToken([...parts.slice(0, 4), flip(parts[4])].join(':'), keyring), /unable to authenticate data/);
+    assert.throws(() => decryptToken([...parts.slice(0, 3), flip(parts[3]), parts[4]].join(':'), keyring), /unable to authenticate data/);
+    assert.throws(() => decryptToken(['enc', 'v2', ...parts.slice(2)].join(':'), keyring), /Unsupported token encryption version: v2/);
+  });
+
+  test('only touches the token columns of a row', () => {
+    const row = encryptTokenFields({ id: 'a1', email: 'me@example.com', access_token: 'access', refresh_token: null }, keyring);
+
+    assert.equal(row.email, 'me@example.com');
+    assert.ok(isEncryptedToken(row.access_token));
+    assert.equal(row.refresh_token, null);
+    assert.deepEqual(decryptTokenFields(row, keyring), { id: 'a1', email: 'me@example.com', access_token: 'access', refresh_token: null });
+  });
+});
+
+describe('loadKeyring', () => {
+  test('is null without keys and rejects bad configuration', () => {
+    assert.equal(loadKeyring({}), null);
+    assert.throws(() => loadKeyring({ TOKEN_ENCRYPTION_KEYS: 'k1:c2hvcnQ=' }), /must be 32 bytes/);
+    assert.throws(() => loadKeyring({ TOKEN_ENCRYPTION_KEYS: oldKey.toString('base64') }), /must look like <id>:<key>/);
+    assert.throws(
+      () => loadKeyring({ TOKEN_ENCRYPTION_KEYS: `a:${oldKey.toString('hex')},a:${newKey.toString('hex')}` }),
+      /Duplicate token encryption key id "a"/
+    );
+    assert.throws(
+      () => loadKeyring({ TOKEN_ENCRYPTION_KEYS: `a:${oldKey.toString('hex')}`, TOKEN_ENCRYPTION_KEY_ID: 'b' }),
+      /TOKEN_ENCRYPTION_KEY_ID "b" is not in TOKEN_ENCRYPTION_KEYS/
+    );
+  });
+});
+
+describe('reencryptStoredTokens', () => {
+  test('migrates plaintext tokens and leaves encrypted ones alone', async () => {
+    const encrypted = encryptToken('already', keyring);
+    const supabase = createFakeSupabase([
+      { id: 'a1', email: 'one@example.com', access_token: 'plain-access', refresh_token: 'plain-refresh' },
+      { id: 'a2', email: 'two@example.com', access_token: encrypted, refresh_token: null },
+      { id: 'a3', email: 'three@example.com', access_token: null, refresh_token: null }
+    ]);
+
+    const results = await reencryptStoredTokens({ supabase, keyring, batchSize: 2 });
+
+    assert.deepEqual(results, { scanned: 3, updated: 1, skipped: 2, failed: 0 });
+    const [one, two] = supabase.accounts;
+    assert.equal(decryptToken(one.access_token, keyring), 'plain-access');
+    assert.equal(decryptToken(one.refresh_token, keyring), 'plain-refresh');
+    assert.equal(two.access_token, encrypted);
+  });
+
+  test('rotates values wrapped by an old key to the active key', async () => {
+    const supabase = createFakeSupabase([
+      { id: 'a1', email: 'one@example.com', access_token: encryptToken('access', keyring), refresh_token: encryptToken('refresh', keyring) },
+      { id: 'a2', email: 'two@example.com', access_token: encryptToken('current', rotated), refresh_token: null }
+    ]);
+
+    // Without rotate, values under the old key are fine as they are
+    assert.equal((await reencryptStoredTokens({ supabase, keyring: rotated })).updated, 0);
+
+    const results = await reencryptStoredTokens({ supabase, keyring: rotated, rotate: true });
+    assert.deepEqual(results, { scanned: 2, updated: 1, skipped: 1, failed: 0 });
+
+    const [one] = supabase.accounts;
+    assert.equal(getTokenKeyId(one.access_token), 'new');
+    assert.equal(getTokenKeyId(one.refresh_token), 'new');
+
+    // Readable without the old key once rotated
+    const newOnly = loadKeyring({ TOKEN_ENCRYPTION_KEYS: `new:${newKey.toString('hex')}` });
+    assert.equal(decryptToken(one.access_token, newOnly), 'access');
+    assert.equal(decryptToken(one.refresh_token, newOnly), 'refresh');
+  });
+
+  test('changes nothing on a dry run', async () => {
+    const supabase = createFakeSupabase([{ id: 'a1', email: 'one@example.com', access_token: 'plain', refresh_token: null }]);
+
+    const results = await reencryptStoredTokens({ supabase, keyring, dryRun: true });
+
+    assert.equal(results.updated, 1);
+    assert.equal(supabase.accounts[0].access_token, 'plain');
+  });
+
+  test('never overwrites a token refreshed since it was read', async () => {
+    const accounts = [{ id: 'a1', email: 'one@example.com', access_token: 'plain-old', refresh_token: null }];
+    const refreshed = encryptToken('refreshed', keyring);
+    const supabase = createFakeSupabase(accounts, {
+      beforeUpdate: () => { accounts[0].access_token = refreshed; }
+    });
+
+    const results = await reencryptStoredTokens({ supabase, keyring });
+
+    assert.deepEqual(results, { scanned: 1, updated: 0, skipped: 1, failed: 0 });
+    assert.equal(accounts[0].access_token, refreshed);
+  });
+
+  test('counts values it cannot decrypt as failed and carries on', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const unknownKey = loadKeyring({ TOKEN_ENCRYPTION_KEYS: `gone:${crypto.randomBytes(32).toString('base64')}` });
+    const supabase = createFakeSupabase([
+      { id: 'a1', email: 'one@example.com', access_token: encryptToken('lost', unknownKey), refresh_token: null },
+      { id: 'a2', email: 'two@example.com', access_token: 'plain', refresh_token: null }
+    ]);
+
+    const results = await reencryptStoredTokens({ supabase, keyring: rotated, rotate: true });
+
+    assert.deepEqual(results, { scanned: 2, updated: 1, skipped: 0, failed: 1 });
+  });
+
+  test('requires a keyring', async () => {
+    await assert.rejects(reencryptStoredTokens({ supabase: createFakeSupabase([]), keyring: null }), /TOKEN_ENCRYPTION_KEYS must be set/);
+  });
+});